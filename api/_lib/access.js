@@ -0,0 +1,75 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { envInt } from './env.js';
+import { AnalyzeError } from './errors.js';
+
+/**
+ * 呼び出し元の確認。どちらかを設定するとキーなしのリクエストは 401 になる。
+ *   ACCESS_SECRET       - 共有シークレット。Authorization: Bearer <secret> で送る
+ *   ACCESS_TOKEN_SECRET - 署名付きトークンの鍵。トークンは npm run token で発行する
+ *
+ * 署名付きトークンの形: <clientId>.<有効期限（UNIX ミリ秒の36進数）>.<HMAC-SHA256 の base64url>
+ */
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+// 長さ以外が漏れないように比べる
+export const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+export function signToken(clientId, expiresAt, secret) {
+  if (!/^[\w-]{1,64}$/.test(clientId)) throw new Error('clientId must be 1-64 letters, digits, _ or -');
+  const payload = `${clientId}.${expiresAt.toString(36)}`;
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// 正しいトークンなら clientId、そうでなければ null
+export function verifyToken(token, secret, now = Date.now()) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [clientId, expires, signature] = parts;
+  if (!safeEqual(signature, sign(`${clientId}.${expires}`, secret))) return null;
+  if (parseInt(expires, 36) <= now) return null;
+  return clientId;
+}
+
+/**
+ * 利用回数を数える IP。X-Forwarded-For の左側は呼び出し元が自由に書けるので、
+ * 信頼できるプロキシ（TRUSTED_PROXIES 台、既定 1 = Vercel）が右端に足した値だけを使う。
+ * 0 ならヘッダーを見ずに接続元のアドレスを使う（プロキシなしで直接公開する時）。
+ */
+export function clientIp(req, env = process.env) {
+  const trustedProxies = envInt(env.TRUSTED_PROXIES, 1);
+  const hops = (req.headers?.['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+  if (trustedProxies && hops.length >= trustedProxies) return hops[hops.length - trustedProxies];
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * 呼び出し元を特定する。戻り値は { clientId, ip }（clientId は認証なしなら null）。
+ * 認証が必要な設定で、正しいキーがなければ AnalyzeError('unauthorized') を投げる。
+ */
+export function authenticate(req, env = process.env) {
+  const ip = clientIp(req, env);
+  const { ACCESS_SECRET: sharedSecret, ACCESS_TOKEN_SECRET: tokenSecret } = env;
+  if (!sharedSecret && !tokenSecret) return { clientId: null, ip };
+
+  const header = req.headers?.authorization || '';
+  const credential = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!credential) {
+    throw new AnalyzeError('unauthorized', 'Missing access token');
+  }
+
+  // 共有シークレットは全員同じなので、利用回数は IP ごとに数える
+  if (sharedSecret && safeEqual(credential, sharedSecret)) {
+    return { clientId: null, ip };
+  }
+  const clientId = tokenSecret && verifyToken(credential, tokenSecret);
+  if (clientId) {
+    return { clientId, ip };
+  }
+
+  throw new AnalyzeError('unauthorized', 'Invalid or expired access token');
+}
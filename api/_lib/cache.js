@@ -0,0 +1,120 @@
+import { createHash } from 'node:crypto';
+import { envInt } from './env.js';
+import { hashDistance, imageHash } from './image.js';
+import { createStore } from './store/index.js';
+
+/**
+ * 解析結果のキャッシュ。同じ場面（知覚ハッシュが近い画像）を同じモードで解析したら前の結果を返す。
+ *   CACHE_STORE         - 'memory'（既定、LRU）/ 'file' / 'redis' / 'off'
+ *   CACHE_TTL_SECONDS   - 結果を使い回す期間（既定 86400）
+ *   CACHE_MAX_ENTRIES   - memory の時の結果の件数の上限（既定 500）
+ *   CACHE_HASH_DISTANCE - 同じ場面とみなす知覚ハッシュの違い（ハミング距離、既定 4、0〜7。0 で完全一致だけ）
+ *   CACHE_VERSION       - 変えるとそれまでのキャッシュを使わなくなる
+ * キーはプロバイダー・モード・プロンプトの版（モードの定義のハッシュ）・画像のハッシュから作るので、
+ * modes.json のプロンプトを直せば古い結果は自然に使われなくなる。
+ *
+ * ハッシュはセンサーのノイズで数ビット変わるので、完全一致しなければ近いハッシュを探す。
+ * 64 ビットを（距離 + 1）個の帯に分けると、距離がそれ以下の2つのハッシュは少なくとも1つの帯が一致する。
+ * そこで結果を保存する時に帯ごとの索引（帯の値 -> 最後に保存した画像のハッシュ）も書き、
+ * 読む時は帯の索引から候補を集めて、距離が範囲内で一番近いものの結果を使う（KV ストアのままで探せる）。
+ */
+export const MAX_HASH_DISTANCE = 7;
+
+export function cacheConfig(env = process.env) {
+  return {
+    store: env.CACHE_STORE || 'memory',
+    ttlMs: envInt(env.CACHE_TTL_SECONDS, 24 * 60 * 60) * 1000,
+    maxEntries: envInt(env.CACHE_MAX_ENTRIES, 500),
+    maxDistance: Math.min(envInt(env.CACHE_HASH_DISTANCE, 4), MAX_HASH_DISTANCE),
+    version: env.CACHE_VERSION || '1',
+  };
+}
+
+let store = null;
+const getStore = (config, env) => (store ??= createStore(config.store, {
+  name: 'cache',
+  env,
+  // 結果1件ごとに帯の索引も入るので、その分だけ広げる
+  maxEntries: config.maxEntries * (config.maxDistance + 2),
+}));
+
+// dHash の 64 ビットを count 個の帯に分ける（dHash でなければ帯なし）
+function hashBands(hash, count) {
+  if (!count || !hash.startsWith('dhash:')) return [];
+  const bits = BigInt(`0x${hash.slice(6)}`);
+  return Array.from({ length: count }, (_, i) => {
+    const start = Math.floor(64 * i / count);
+    const end = Math.floor(64 * (i + 1) / count);
+    return ((bits >> BigInt(start)) & ((1n << BigInt(end - start)) - 1n)).toString(16);
+  });
+}
+
+// 答えに関わる項目だけでモードの版を決める（名前を変えただけなら使い回す）
+const promptVersion = ({ backend, prompt, feature, wordLimit, casing, lang, writingMode }) => createHash('sha256')
+  .update(JSON.stringify({ backend, prompt, feature, wordLimit, casing, lang, writingMode }))
+  .digest('hex')
+  .slice(0, 12);
+
+/**
+ * 1枚の画像に対するキャッシュ。
+ *   get(modeConfig)          -> Promise<{ result, data?, writingMode?, meta } | null>
+ *                               （meta.cached: true と、近い画像の結果なら meta.hashDistance 付き）
+ *   set(modeConfig, outcome) -> Promise<void>
+ *   enabled                  - CACHE_STORE=off なら false
+ * fresh なら読まずに解析し直させ、新しい結果で上書きする。ストアに届かない時はキャッシュなしで続ける。
+ */
+export async function createResultCache({ providerName, image, fresh = false }, env = process.env) {
+  const config = cacheConfig(env);
+  if (config.store === 'off') {
+    return { enabled: false, get: async () => null, set: async () => {} };
+  }
+
+  const hash = await imageHash(image);
+  const bands = hashBands(hash, config.maxDistance && config.maxDistance + 1);
+  const prefix = modeConfig => ['analyze', config.version, providerName, modeConfig.id, promptVersion(modeConfig)].join(':');
+  const key = (modeConfig, imageKey = hash) => `${prefix(modeConfig)}:${imageKey}`;
+  const bandKey = (modeConfig, i) => `${prefix(modeConfig)}:band:${i}:${bands[i]}`;
+
+  // 帯の索引から、距離が範囲内で一番近い画像の結果を探す
+  const findNear = async (modeConfig) => {
+    const candidates = await Promise.all(bands.map((_, i) => getStore(config, env).get(bandKey(modeConfig, i))));
+    const near = [...new Set(candidates)]
+      .filter(candidate => candidate && candidate !== hash)
+      .map(candidate => ({ candidate, distance: hashDistance(hash, candidate) }))
+      .filter(({ distance }) => distance !== null && distance <= config.maxDistance)
+      .sort((a, b) => a.distance - b.distance);
+    for (const { candidate, distance } of near) {
+      const value = await getStore(config, env).get(key(modeConfig, candidate));
+      if (value) return { ...value, meta: { ...value.meta, hashDistance: distance } };
+    }
+    return null;
+  };
+
+  return {
+    enabled: true,
+
+    async get(modeConfig) {
+      if (fresh) return null;
+      try {
+        const value = await getStore(config, env).get(key(modeConfig)) ?? await findNear(modeConfig);
+        return value && { ...value, meta: { ...value.meta, cached: true } };
+      } catch (e) {
+        console.warn('Cache store unavailable:', e.message);
+        return null;
+      }
+    },
+
+    // 結果はそのまま（縦書きの writingMode なども）保存する。cached は読んだ時に付けるものなので除く
+    async set(modeConfig, outcome) {
+      const meta = { ...outcome.meta, cachedAt: Date.now() };
+      delete meta.cached;
+      delete meta.hashDistance;
+      try {
+        await getStore(config, env).set(key(modeConfig), { ...outcome, meta }, config.ttlMs);
+        await Promise.all(bands.map((_, i) => getStore(config, env).set(bandKey(modeConfig, i), hash, config.ttlMs)));
+      } catch (e) {
+        console.warn('Cache store unavailable:', e.message);
+      }
+    },
+  };
+}
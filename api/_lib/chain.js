@@ -0,0 +1,109 @@
+import { envInt } from './env.js';
+import { AnalyzeError, classifyError } from './errors.js';
+
+/**
+ * モデルのフォールバックチェーン。
+ * 候補のモデルを先頭から試し、再試行できるエラーの時だけバックオフして同じモデルをもう一度呼ぶ。
+ *
+ *   MODEL_ATTEMPT_TIMEOUT_MS - 1回の呼び出しのタイムアウト（ストリーミングは各チャンクの間隔）
+ *   ANALYZE_DEADLINE_MS      - チェーン全体の締め切り（ストリーミングは最後のチャンクまで）
+ *   MODEL_RETRIES            - 1モデルあたりの再試行回数
+ *   MODEL_BACKOFF_MS         - 最初の再試行までの待ち時間（以降は倍々）
+ */
+export function chainConfig(env = process.env) {
+  return {
+    attemptTimeoutMs: envInt(env.MODEL_ATTEMPT_TIMEOUT_MS, 15000),
+    deadlineMs: envInt(env.ANALYZE_DEADLINE_MS, 45000),
+    retries: envInt(env.MODEL_RETRIES, 1),
+    backoffMs: envInt(env.MODEL_BACKOFF_MS, 500),
+  };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// run に AbortSignal を渡し、時間切れになったら中断して upstream_down にする
+function withTimeout(run, ms, controller = new AbortController()) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new AnalyzeError('upstream_down', `Timed out after ${ms}ms`);
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * attempt(model, signal) を候補のモデルで順に試す。
+ * 戻り値は { value, meta: { model, attempts, latencyMs } }。全部だめなら最後のエラーを投げる。
+ */
+export async function runChain(models, attempt, config = chainConfig()) {
+  const startedAt = Date.now();
+  let attempts = 0;
+  let lastError = null;
+
+  const fail = (error) => {
+    error.meta = { attempts, latencyMs: Date.now() - startedAt };
+    return error;
+  };
+
+  for (const model of models) {
+    for (let retry = 0; retry <= config.retries; retry++) {
+      const remaining = config.deadlineMs - (Date.now() - startedAt);
+      if (remaining <= 0) {
+        throw fail(new AnalyzeError(lastError?.code || 'upstream_down', `Deadline exceeded. Last error: ${lastError?.message}`));
+      }
+
+      attempts++;
+      try {
+        const value = await withTimeout(signal => attempt(model, signal), Math.min(config.attemptTimeoutMs, remaining));
+        return { value, meta: { model, attempts, latencyMs: Date.now() - startedAt } };
+      } catch (e) {
+        const classified = classifyError(e);
+        console.warn(`Failed with ${model} (${classified.code}):`, e.message);
+        lastError = classified.error;
+
+        if (!classified.nextModel) throw fail(classified.error);
+        if (!classified.retryable || retry === config.retries) break;
+
+        const delay = config.backoffMs * 2 ** retry;
+        if (Date.now() - startedAt + delay >= config.deadlineMs) break;
+        await sleep(delay);
+      }
+    }
+  }
+
+  throw fail(new AnalyzeError(lastError?.code || 'upstream_down', `All models failed. Last error: ${lastError?.message}`));
+}
+
+/**
+ * ストリーミング版。open(model, signal) は文字列の AsyncIterable を返す。
+ * 最初のチャンクが届くまでは runChain と同じようにフォールバックし、届いた後の失敗はそのまま投げる。
+ * 2つ目からのチャンクも attemptTimeoutMs と締め切りの残りの短い方までしか待たず、
+ * 途中で止まったら中断して upstream_down を投げる。
+ * ジェネレーターの戻り値（done の value）が meta になる（firstChunkMs は最初のチャンクまでの時間）。
+ */
+export async function* runStreamChain(models, open, config = chainConfig()) {
+  const startedAt = Date.now();
+  const { value: { iterator, controller, first }, meta } = await runChain(models, async (model, signal) => {
+    // 最初のチャンクの後も中断できるように、自前の controller の signal を渡す
+    const controller = new AbortController();
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    const iterator = open(model, controller.signal)[Symbol.asyncIterator]();
+    return { iterator, controller, first: await iterator.next() };
+  }, config);
+
+  try {
+    let next = first;
+    while (!next.done) {
+      yield next.value;
+      const remaining = config.deadlineMs - (Date.now() - startedAt);
+      next = await withTimeout(() => iterator.next(), Math.max(0, Math.min(config.attemptTimeoutMs, remaining)), controller);
+    }
+  } catch (e) {
+    throw classifyError(e).error;
+  }
+
+  return { ...meta, firstChunkMs: meta.latencyMs, latencyMs: Date.now() - startedAt };
+}
@@ -0,0 +1,50 @@
+import { envList } from './env.js';
+
+// ---------------------------------------------------------
+// CORS設定（全エンドポイント共通）
+//   ALLOWED_ORIGINS にカンマ区切りでオリジンを並べると、それ以外のオリジンからのリクエストを断る。
+//   未設定なら今まで通りどこからでも呼べる。
+//   プリフライト（OPTIONS）に応答した・断った場合は true を返す。
+// ---------------------------------------------------------
+export function allowedOrigins(env = process.env) {
+  return envList(env.ALLOWED_ORIGINS) || ['*'];
+}
+
+export function applyCors(req, res, env = process.env) {
+  const origin = req.headers?.origin;
+  const allowed = allowedOrigins(env);
+  const anyOrigin = allowed.includes('*');
+
+  if (anyOrigin) {
+    res.setHeader('Access-Control-Allow-Credentials', true);
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Vary', 'Origin');
+    if (origin && allowed.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Credentials', true);
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+  }
+  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version, Authorization'
+  );
+  // 別オリジンのクライアントからも読めるようにする独自ヘッダー
+  res.setHeader(
+    'Access-Control-Expose-Headers',
+    'X-Cache, X-RateLimit-Limit, X-RateLimit-Remaining, X-Quota-Limit, X-Quota-Remaining, Retry-After'
+  );
+
+  // Origin ヘッダーのないリクエスト（サーバー間・curl）は認証の方で判断する
+  if (origin && !anyOrigin && !allowed.includes(origin)) {
+    res.status(403).json({ error: 'Origin not allowed', code: 'forbidden' });
+    return true;
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,13 @@
+// 環境変数の読み取り
+
+// 0 以上の整数。未設定・不正なら fallback
+export function envInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// カンマ区切りのリスト。空なら undefined（呼び出し側で既定値を使う）
+export function envList(value) {
+  const list = value?.split(',').map(s => s.trim()).filter(Boolean);
+  return list?.length ? list : undefined;
+}
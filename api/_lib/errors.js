@@ -0,0 +1,107 @@
+/**
+ * クライアントに返すエラー。code は JSON の { error, code } にそのまま入る。
+ *   rate_limited  - 上流の利用上限（429）。少し待てば通る
+ *   blocked       - セーフティで回答がブロックされた。別のモデルでも同じなので再試行しない
+ *   bad_image     - 画像を読めない。再試行しない
+ *   upstream_down - 上流の障害・タイムアウト
+ *
+ * リクエスト自体の問題:
+ *   invalid_request   - ボディの形が正しくない・未知のモード
+ *   forbidden         - サーバーの設定で無効にされている機能
+ *   too_large         - 画像が MAX_IMAGE_BYTES を超えている
+ *   unsupported_image - JPEG / PNG / WebP / HEIC 以外の画像
+ *   unauthorized      - トークン・共有シークレットがない、または正しくない
+ *   quota_exceeded    - このクライアントの利用回数の上限（1分あたり・1日あたり）
+ *
+ * サーバー自体の問題:
+ *   config_error      - 環境変数の設定が足りない・正しくない。中身はサーバーのログにだけ出す
+ */
+const STATUS_BY_CODE = {
+  rate_limited: 429,
+  blocked: 422,
+  bad_image: 400,
+  upstream_down: 502,
+  invalid_request: 400,
+  forbidden: 403,
+  too_large: 413,
+  unsupported_image: 415,
+  unauthorized: 401,
+  quota_exceeded: 429,
+  config_error: 500,
+};
+
+export class AnalyzeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AnalyzeError';
+    this.code = code;
+    this.status = STATUS_BY_CODE[code] || 500;
+  }
+}
+
+// プロバイダーが HTTP エラーを受け取った時に投げる（status で分類できるように）
+export class UpstreamError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+const BAD_IMAGE_PATTERN = /image|bad image data|unable to process input/i;
+const BLOCKED_PATTERN = /blocked|safety|prohibited content/i;
+
+/**
+ * 上流のエラーを分類する。
+ * retryable なら同じモデルで再試行、nextModel なら次のモデルへ進んでよい。
+ */
+export function classifyError(error) {
+  if (error instanceof AnalyzeError) {
+    return { code: error.code, retryable: error.code === 'upstream_down' || error.code === 'rate_limited', nextModel: true, error };
+  }
+
+  const status = error?.status;
+  const message = error?.message || '';
+
+  if (status === 429 || /quota|rate limit|resource.?exhausted/i.test(message)) {
+    return { code: 'rate_limited', retryable: true, nextModel: true, error: new AnalyzeError('rate_limited', message) };
+  }
+  // モデル名が存在しない・使えない時は再試行せずに次のモデルへ
+  if (status === 404 || status === 403) {
+    return { code: 'upstream_down', retryable: false, nextModel: true, error: new AnalyzeError('upstream_down', message) };
+  }
+  if (BLOCKED_PATTERN.test(message)) {
+    return { code: 'blocked', retryable: false, nextModel: false, error: new AnalyzeError('blocked', message) };
+  }
+  if (status === 400 && BAD_IMAGE_PATTERN.test(message)) {
+    return { code: 'bad_image', retryable: false, nextModel: false, error: new AnalyzeError('bad_image', message) };
+  }
+  if (status === 400) {
+    return { code: 'upstream_down', retryable: false, nextModel: true, error: new AnalyzeError('upstream_down', message) };
+  }
+
+  // 5xx・ネットワークエラー・タイムアウト
+  return { code: 'upstream_down', retryable: true, nextModel: true, error: new AnalyzeError('upstream_down', message || 'Upstream error') };
+}
+
+// 分類済みのエラーは code と試行の記録も一緒に返す
+export function errorBody(error, providerName) {
+  if (!(error instanceof AnalyzeError)) {
+    return { error: error.message || 'Server Error', code: 'server_error' };
+  }
+  // どの変数が足りないかなどは呼び出し元に見せない
+  if (error.code === 'config_error') {
+    console.error('Server configuration error:', error.message);
+    return { error: 'Server is not configured', code: error.code };
+  }
+  return {
+    error: error.message,
+    code: error.code,
+    meta: error.meta ? { provider: providerName, ...error.meta } : undefined,
+  };
+}
+
+export function sendError(res, error, providerName) {
+  if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+  res.status(error instanceof AnalyzeError ? error.status : 500).json(errorBody(error, providerName));
+}
@@ -0,0 +1,193 @@
+import { createHash } from 'node:crypto';
+import { envInt } from './env.js';
+import { AnalyzeError } from './errors.js';
+
+/**
+ * 受け取った画像の確認と下準備。
+ *   MAX_IMAGE_BYTES - デコード後の画像の上限（既定 3MB。base64 にすると Vercel の 4.5MB 制限に収まる）
+ *   IMAGE_MAX_EDGE  - 指定すると長辺がこれを超える画像を縮小する（sharp がインストールされている時だけ。0 なら縮小しない）
+ */
+const DEFAULT_MAX_BYTES = 3 * 1024 * 1024;
+
+export function imageConfig(env = process.env) {
+  return {
+    // 0 では何も受け付けられないので既定に戻す
+    maxBytes: envInt(env.MAX_IMAGE_BYTES, DEFAULT_MAX_BYTES) || DEFAULT_MAX_BYTES,
+    maxEdge: envInt(env.IMAGE_MAX_EDGE, 0) || null,
+  };
+}
+
+// 先頭のバイト列（マジックナンバー）から実際の形式を判定する
+export function sniffMimeType(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  // ISO BMFF: 4-8 バイト目が 'ftyp'、続く4バイトがブランド
+  if (buffer.length >= 12 && ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(brand)) return 'image/heic';
+    if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+  }
+  return null;
+}
+
+// ヘッダーから幅と高さを読む（HEIC など読めない形式は null）
+export function imageSize(buffer, mimeType) {
+  try {
+    if (mimeType === 'image/png') {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (mimeType === 'image/jpeg') {
+      let offset = 2;
+      while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        // SOF0-SOF15（DHT / JPG / DAC を除く）にサイズが入っている
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+      return null;
+    }
+
+    if (mimeType === 'image/webp') {
+      const chunk = buffer.toString('latin1', 12, 16);
+      if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+      }
+    }
+  } catch {
+    // ヘッダーが途中で切れている
+  }
+  return null;
+}
+
+// sharp は optionalDependencies。入っていない環境では縮小しない
+let sharpModule;
+async function loadSharp() {
+  if (sharpModule === undefined) {
+    sharpModule = await import('sharp').then(m => m.default).catch(() => null);
+  }
+  return sharpModule;
+}
+
+async function downscale(buffer, maxEdge) {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+
+  const image = sharp(buffer).rotate();
+  const { width, height } = await image.metadata();
+  if (Math.max(width, height) <= maxEdge) return null;
+
+  const { data, info } = await image
+    .resize({ width: maxEdge, height: maxEdge, fit: 'inside' })
+    .jpeg({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, mimeType: 'image/jpeg', size: { width: info.width, height: info.height } };
+}
+
+/**
+ * base64 の画像を確認して、プロバイダーに渡す { image, mimeType, width, height } にする。
+ * width / height はヘッダーから読めた時だけ入る（顔の位置を 0〜1 に正規化するのに使う）。
+ * 問題があれば AnalyzeError（too_large / unsupported_image / invalid_request）を投げる。
+ */
+export async function prepareImage(base64Image, config = imageConfig()) {
+  const base64 = base64Image.replace(/^data:[\w/+.-]+;base64,/, '').replace(/\s/g, '');
+  if (!base64 || base64.length % 4 === 1 || !/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    throw new AnalyzeError('invalid_request', 'base64Image is not valid base64');
+  }
+
+  // デコードする前に大きさを見積もる
+  const estimatedBytes = Math.floor(base64.length * 3 / 4);
+  if (estimatedBytes > config.maxBytes) {
+    throw new AnalyzeError('too_large', `Image is ${estimatedBytes} bytes; the limit is ${config.maxBytes}`);
+  }
+
+  let buffer = Buffer.from(base64, 'base64');
+  let mimeType = sniffMimeType(buffer);
+  if (!mimeType) {
+    throw new AnalyzeError('unsupported_image', 'Image must be JPEG, PNG, WebP or HEIC');
+  }
+  let size = imageSize(buffer, mimeType);
+
+  if (config.maxEdge) {
+    try {
+      const resized = await downscale(buffer, config.maxEdge);
+      if (resized) ({ buffer, mimeType, size } = resized);
+    } catch (e) {
+      // 縮小できなくても元の画像で続ける
+      console.warn('Downscale failed:', e.message);
+    }
+  }
+
+  return {
+    image: buffer.toString('base64'),
+    mimeType,
+    width: size?.width ?? null,
+    height: size?.height ?? null,
+    bytes: buffer.length,
+  };
+}
+
+/**
+ * キャッシュのキーに使う画像のハッシュ。
+ * sharp があれば知覚ハッシュ（dHash）: 9x8 のグレースケールに縮め、横に隣り合う画素の明るさの大小を
+ * 64 ビットにする。撮り直したほぼ同じ写真は同じか数ビット違いの値になる（近さは hashDistance で測る）。
+ * sharp がなければバイト列の SHA-256 で代用する（まったく同じ画像だけが一致する）。
+ */
+export async function imageHash(base64Image) {
+  const buffer = Buffer.from(base64Image, 'base64');
+
+  const sharp = await loadSharp();
+  if (sharp) {
+    try {
+      const pixels = await sharp(buffer)
+        .rotate()
+        .greyscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+      const channels = pixels.length / 72;
+
+      let bits = 0n;
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+          const i = (y * 9 + x) * channels;
+          bits = (bits << 1n) | (pixels[i] > pixels[i + channels] ? 1n : 0n);
+        }
+      }
+      return `dhash:${bits.toString(16).padStart(16, '0')}`;
+    } catch (e) {
+      console.warn('Perceptual hash failed:', e.message);
+    }
+  }
+
+  return `sha256:${createHash('sha256').update(buffer).digest('hex')}`;
+}
+
+/**
+ * 2つの知覚ハッシュの違うビットの数（ハミング距離）。どちらかが dHash でなければ null。
+ */
+export function hashDistance(a, b) {
+  if (!a.startsWith('dhash:') || !b.startsWith('dhash:')) return null;
+  let diff = BigInt(`0x${a.slice(6)}`) ^ BigInt(`0x${b.slice(6)}`);
+  let count = 0;
+  for (; diff; diff &= diff - 1n) count++;
+  return count;
+}
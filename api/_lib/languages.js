@@ -0,0 +1,94 @@
+/**
+ * 結果の言語。
+ *   name     - 画面に出す名前（その言語で）
+ *   english  - 訳したプロンプトがない時に「Reply in 〜」で指定する英語名
+ *   cased    - 大文字・小文字のある文字か。ない言語では casing: 'upper' でも大文字にしない
+ *   speech   - 読み上げ（Cloud Text-to-Speech）の言語コード
+ *   messages - サーバーが自分で組み立てる短い文言（検出結果がない時・顔の数・表情）
+ */
+export const DEFAULT_LANG = 'en';
+
+export const LANGUAGES = {
+  en: {
+    name: 'English',
+    english: 'English',
+    cased: true,
+    speech: 'en-US',
+    messages: {
+      noData: 'NO DATA FOUND',
+      faces: n => `${n} ${n === 1 ? 'face' : 'faces'}`,
+      emotions: { joy: 'joy', sorrow: 'sorrow', anger: 'anger', surprise: 'surprise' },
+    },
+  },
+  ja: {
+    name: '日本語',
+    english: 'Japanese',
+    cased: false,
+    speech: 'ja-JP',
+    messages: {
+      noData: '何も見つかりませんでした',
+      faces: n => `${n}人`,
+      emotions: { joy: '喜び', sorrow: '悲しみ', anger: '怒り', surprise: '驚き' },
+    },
+  },
+  fr: {
+    name: 'Français',
+    english: 'French',
+    cased: true,
+    speech: 'fr-FR',
+    messages: {
+      noData: 'AUCUNE DONNÉE',
+      faces: n => `${n} ${n === 1 ? 'visage' : 'visages'}`,
+      emotions: { joy: 'joie', sorrow: 'tristesse', anger: 'colère', surprise: 'surprise' },
+    },
+  },
+  es: {
+    name: 'Español',
+    english: 'Spanish',
+    cased: true,
+    speech: 'es-ES',
+    messages: {
+      noData: 'NO SE ENCONTRÓ NADA',
+      faces: n => `${n} ${n === 1 ? 'cara' : 'caras'}`,
+      emotions: { joy: 'alegría', sorrow: 'tristeza', anger: 'enfado', surprise: 'sorpresa' },
+    },
+  },
+  de: {
+    name: 'Deutsch',
+    english: 'German',
+    cased: true,
+    speech: 'de-DE',
+    messages: {
+      noData: 'NICHTS GEFUNDEN',
+      faces: n => `${n} ${n === 1 ? 'Gesicht' : 'Gesichter'}`,
+      emotions: { joy: 'Freude', sorrow: 'Trauer', anger: 'Wut', surprise: 'Überraschung' },
+    },
+  },
+  zh: {
+    name: '中文',
+    english: 'Simplified Chinese',
+    cased: false,
+    speech: 'cmn-CN',
+    messages: {
+      noData: '未发现任何内容',
+      faces: n => `${n}张脸`,
+      emotions: { joy: '喜悦', sorrow: '悲伤', anger: '愤怒', surprise: '惊讶' },
+    },
+  },
+  ko: {
+    name: '한국어',
+    english: 'Korean',
+    cased: false,
+    speech: 'ko-KR',
+    messages: {
+      noData: '찾은 것이 없습니다',
+      faces: n => `얼굴 ${n}개`,
+      emotions: { joy: '기쁨', sorrow: '슬픔', anger: '분노', surprise: '놀람' },
+    },
+  },
+};
+
+export const messages = lang => (LANGUAGES[lang] || LANGUAGES[DEFAULT_LANG]).messages;
+
+// クライアントに返す一覧
+export const publicLanguages = () => Object.entries(LANGUAGES).map(([id, { name }]) => ({ id, name }));
@@ -0,0 +1,191 @@
+import { readFileSync } from 'node:fs';
+import { appendFile, readFile } from 'node:fs/promises';
+import { AnalyzeError } from './errors.js';
+import { DEFAULT_LANG, LANGUAGES } from './languages.js';
+
+/**
+ * モードレジストリ。
+ * 既定では同じディレクトリの modes.json を読み、MODES_CONFIG で別のファイルを指定できる。
+ *
+ * 各モード:
+ *   id        - API で使う識別子
+ *   name      - 画面に出す表示名
+ *   backend   - 'gemini'（prompt で説明文を生成）または 'vision'（feature: labels / text / faces）
+ *   wordLimit - プロンプト中の {wordLimit} に入る語数（不要なら null）
+ *   casing    - 'upper' なら結果を大文字にする、'none' ならそのまま
+ *   prompts   - 言語ごとのプロンプト（{ ja: '...', fr: '...' }。ない言語は prompt に返答の言語を足して使う）
+ *   writingModes - 言語ごとの組み方（{ ja: 'vertical-rl' } なら日本語の結果を縦書きで出す）
+ *   speech    - 読み上げの速さと高さの既定（{ rate: 0.25〜4, pitch: 0〜2 }。1 が普通）
+ *   variants  - 同じモードの別のプロンプト（{ detailed: { prompt, prompts, wordLimit, casing, writingModes, speech } }）。
+ *               リクエストの variant で選ぶ。gemini のモードだけ
+ */
+export const VISION_FEATURES = ['labels', 'text', 'document', 'faces'];
+export const CASINGS = ['upper', 'none'];
+export const WRITING_MODES = ['horizontal-tb', 'vertical-rl'];
+// variant で差し替えられる項目
+export const VARIANT_FIELDS = ['prompt', 'prompts', 'wordLimit', 'casing', 'writingModes', 'speech'];
+
+let cachedModes = null;
+
+export function loadModes(env = process.env) {
+  if (cachedModes) return cachedModes;
+
+  const source = env.MODES_CONFIG
+    ? readFileSync(env.MODES_CONFIG, 'utf8')
+    : readFileSync(new URL('./modes.json', import.meta.url), 'utf8');
+
+  cachedModes = JSON.parse(source).modes.map((mode) => {
+    const problem = checkMode(mode);
+    if (problem) throw new Error(`Invalid mode "${mode.id}" in registry: ${problem}`);
+    return mode;
+  });
+  return cachedModes;
+}
+
+export function getMode(id) {
+  return loadModes().find(mode => mode.id === id) || null;
+}
+
+export function renderPrompt(mode) {
+  return mode.prompt.replaceAll('{wordLimit}', String(mode.wordLimit ?? ''));
+}
+
+export function applyCasing(mode, text) {
+  return mode.casing === 'upper' ? text.toLocaleUpperCase(mode.lang || DEFAULT_LANG) : text;
+}
+
+/**
+ * モードの variant（目の見えない人向けの詳しい説明など）を選ぶ。モードにその variant がなければそのまま。
+ * プロンプトを差し替えて訳がない時は、元のプロンプトの訳を使わないように prompts も外す。
+ */
+export function applyVariant(mode, variant) {
+  const overrides = variant ? mode.variants?.[variant] : null;
+  if (!overrides) return mode;
+
+  const { variants: _variants, ...base } = mode;
+  const varied = { ...base, ...overrides, variant };
+  if (overrides.prompt && !overrides.prompts) delete varied.prompts;
+  return varied;
+}
+
+/**
+ * モードを結果の言語に合わせる。
+ * 訳したプロンプトがあればそれを、なければ元のプロンプトに返答の言語を指定して使う。
+ * 大文字・小文字のない文字の言語では大文字にしない。
+ */
+export function localizeMode(mode, lang = DEFAULT_LANG) {
+  const language = LANGUAGES[lang] || LANGUAGES[DEFAULT_LANG];
+  const localized = { ...mode, lang };
+
+  if (mode.backend === 'gemini' && lang !== DEFAULT_LANG) {
+    localized.prompt = mode.prompts?.[lang] ?? `${mode.prompt}\nReply in ${language.english}.`;
+  }
+  if (!language.cased) localized.casing = 'none';
+  const writingMode = mode.writingModes?.[lang];
+  if (writingMode && writingMode !== 'horizontal-tb') localized.writingMode = writingMode;
+  return localized;
+}
+
+// 定義に問題があればその理由を、なければ null を返す
+export function checkMode(mode) {
+  if (!mode || typeof mode !== 'object') return 'mode must be an object';
+  if (typeof mode.id !== 'string' || !/^[a-z0-9-]{1,40}$/.test(mode.id)) return 'id must be 1-40 lowercase letters, digits or dashes';
+  if (typeof mode.name !== 'string' || !mode.name.trim() || mode.name.length > 24) return 'name must be 1-24 characters';
+  if (mode.wordLimit != null && !(Number.isInteger(mode.wordLimit) && mode.wordLimit > 0 && mode.wordLimit <= 200)) return 'wordLimit must be an integer from 1 to 200 or null';
+  if (!CASINGS.includes(mode.casing)) return `casing must be one of ${CASINGS.join(', ')}`;
+  if (mode.prompts != null) {
+    if (typeof mode.prompts !== 'object' || Array.isArray(mode.prompts)) return 'prompts must be an object';
+    for (const [lang, prompt] of Object.entries(mode.prompts)) {
+      if (!LANGUAGES[lang]) return `prompts has an unknown language: ${lang}`;
+      if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > 2000) return `prompts.${lang} must be 1-2000 characters`;
+    }
+  }
+  if (mode.writingModes != null) {
+    if (typeof mode.writingModes !== 'object' || Array.isArray(mode.writingModes)) return 'writingModes must be an object';
+    for (const [lang, writingMode] of Object.entries(mode.writingModes)) {
+      if (!LANGUAGES[lang]) return `writingModes has an unknown language: ${lang}`;
+      if (!WRITING_MODES.includes(writingMode)) return `writingModes.${lang} must be one of ${WRITING_MODES.join(', ')}`;
+    }
+  }
+
+  if (mode.speech != null) {
+    const { rate = 1, pitch = 1 } = mode.speech;
+    if (!(typeof rate === 'number' && rate >= 0.25 && rate <= 4)) return 'speech.rate must be a number from 0.25 to 4';
+    if (!(typeof pitch === 'number' && pitch >= 0 && pitch <= 2)) return 'speech.pitch must be a number from 0 to 2';
+  }
+
+  if (mode.variants != null) {
+    if (mode.backend !== 'gemini') return 'variants are only supported for gemini modes';
+    if (typeof mode.variants !== 'object' || Array.isArray(mode.variants)) return 'variants must be an object';
+    for (const [id, overrides] of Object.entries(mode.variants)) {
+      if (!/^[a-z0-9-]{1,40}$/.test(id)) return 'variant ids must be 1-40 lowercase letters, digits or dashes';
+      if (!overrides || typeof overrides !== 'object') return `variants.${id} must be an object`;
+      const unknown = Object.keys(overrides).find(key => !VARIANT_FIELDS.includes(key));
+      if (unknown) return `variants.${id} cannot change ${unknown}`;
+      const problem = checkMode(applyVariant(mode, id));
+      if (problem) return `variants.${id}: ${problem}`;
+    }
+  }
+
+  if (mode.backend === 'gemini') {
+    if (typeof mode.prompt !== 'string' || !mode.prompt.trim() || mode.prompt.length > 2000) return 'prompt must be 1-2000 characters';
+  } else if (mode.backend === 'vision') {
+    if (!VISION_FEATURES.includes(mode.feature)) return `feature must be one of ${VISION_FEATURES.join(', ')}`;
+  } else {
+    return 'backend must be gemini or vision';
+  }
+  return null;
+}
+
+// ユーザーが作ったモード。使えるのはプロンプトで説明文を生成する gemini バックエンドだけ
+export function parseCustomMode(input) {
+  const mode = {
+    id: 'custom',
+    name: typeof input?.name === 'string' ? input.name.trim() : '',
+    backend: 'gemini',
+    prompt: input?.prompt,
+    wordLimit: input?.wordLimit ?? null,
+    casing: input?.casing || 'upper',
+  };
+  const problem = checkMode(mode);
+  return problem ? { error: problem } : { mode };
+}
+
+// クライアントに返す形（表示とカスタムモードの下書きに必要な項目だけ）
+export function publicMode(mode) {
+  const { id, name, backend, feature, prompt, wordLimit, casing, writingModes, speech, variants } = mode;
+  return { id, name, backend, feature, prompt, wordLimit, casing, writingModes, speech, variants: Object.keys(variants || {}) };
+}
+
+// ---------------------------------------------------------
+// 承認待ちのカスタムモード
+//   MODE_SUBMISSIONS_FILE に1行1件の JSON Lines で保存する。承認したものは modes.json に移す。
+//   サーバーレスの一時ディレクトリはインスタンスごとに消えるので、既定の置き場所は持たない
+//   （設定がなければ受け付けずに forbidden を返す）。
+// ---------------------------------------------------------
+function submissionsFile(env) {
+  if (!env.MODE_SUBMISSIONS_FILE) {
+    throw new AnalyzeError('forbidden', 'Mode submissions are not configured on this server');
+  }
+  return env.MODE_SUBMISSIONS_FILE;
+}
+
+export async function saveSubmission(mode, env = process.env) {
+  const submission = {
+    ...mode,
+    id: `submission-${Date.now().toString(36)}`,
+    submittedAt: new Date().toISOString(),
+  };
+  await appendFile(submissionsFile(env), `${JSON.stringify(submission)}\n`);
+  return submission;
+}
+
+export async function listSubmissions(env = process.env) {
+  try {
+    const source = await readFile(submissionsFile(env), 'utf8');
+    return source.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
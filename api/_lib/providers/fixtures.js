@@ -0,0 +1,225 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { imageHash } from '../image.js';
+
+/**
+ * Google API の記録と再生（GOOGLE_FIXTURES）。キーなし・課金なしで /api を動かすためのもの。
+ *   record - 本物の Google プロバイダー（inner）を呼び、答えをフィクスチャとして保存する
+ *   replay - 保存した答えを返す。ない時は画像と質問から決まる作り物の答えを返す（同じ入力なら毎回同じ）
+ *
+ * フィクスチャは <dir>/<モード>/<画像のハッシュ>-<リクエストのハッシュ>.json に1件ずつ置く。
+ * モードは Gemini ならモードの id、Vision なら 'vision-<機能>'、読み上げは 'speech'（画像なし）。
+ * 画像のハッシュはキャッシュと同じ知覚ハッシュなので、同じ写真を撮り直しても同じ答えが返る。
+ */
+export const FIXTURE_MODES = ['record', 'replay'];
+
+const hashOf = value => createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+
+// ファイル名に使えない文字を除く
+const safeName = value => String(value || 'unknown').replace(/[^a-z0-9-]/gi, '-');
+
+// ---------------------------------------------------------
+// 作り物の答え（フィクスチャのない入力用）
+// ---------------------------------------------------------
+const FAKE_SUBJECTS = ['A CAT', 'A COFFEE CUP', 'A BICYCLE', 'AN OLD CHAIR', 'A HOUSEPLANT', 'A CITY STREET', 'A BOWL OF FRUIT', 'A DESK LAMP'];
+const FAKE_PLACES = ['ON A TABLE', 'BY A WINDOW', 'IN SOFT LIGHT', 'AT DUSK', 'IN A QUIET ROOM', 'UNDER A BLUE SKY'];
+const FAKE_LABELS = ['Furniture', 'Plant', 'Table', 'Window', 'Wood', 'Cup', 'Street', 'Sky', 'Cat', 'Lamp'];
+const FAKE_ANSWERS = ['IT LOOKS RECENT.', 'PROBABLY INDOORS.', 'THERE IS ONLY ONE.', 'THE LIGHT COMES FROM THE LEFT.'];
+
+// seed の i 番目のバイトで list から選ぶ
+const pick = (list, seed, i) => list[parseInt(seed.slice(i * 2, i * 2 + 2), 16) % list.length];
+
+function fakeAnnotations(seed, features) {
+  const value = {
+    labels: [0, 1, 2].map(i => ({ description: pick(FAKE_LABELS, seed, i), score: 0.9 - i * 0.1 }))
+      .filter((label, i, labels) => labels.findIndex(l => l.description === label.description) === i),
+    text: '',
+    // 半分くらいの画像には顔が1つある
+    faces: parseInt(seed[0], 16) % 2 ? [] : [{
+      box: { x: 0.35, y: 0.2, width: 0.3, height: 0.4 },
+      confidence: 0.9,
+      emotions: { joy: 'LIKELY', sorrow: 'VERY_UNLIKELY', anger: 'VERY_UNLIKELY', surprise: 'UNLIKELY' },
+      landmarks: [],
+    }],
+    plates: [],
+    // 読み取れる文字のある画像に見せかけた、2ブロックの書類
+    document: {
+      text: `${pick(FAKE_LABELS, seed, 3).toUpperCase()}\n\nOpen daily\n9:00 - 18:00`,
+      language: 'en',
+      blocks: [
+        { box: { x: 0.2, y: 0.15, width: 0.6, height: 0.12 }, paragraphs: [pick(FAKE_LABELS, seed, 3).toUpperCase()] },
+        { box: { x: 0.25, y: 0.4, width: 0.5, height: 0.2 }, paragraphs: ['Open daily\n9:00 - 18:00'] },
+      ],
+    },
+  };
+  return Object.fromEntries(features.map(f => [f, value[f]]));
+}
+
+// 0.5 秒の無音の WAV（16bit・8kHz・モノラル）
+function silentWav() {
+  const samples = 4000;
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(8000, 24);
+  buffer.writeUInt32LE(16000, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+  return buffer.toString('base64');
+}
+
+// 語ごとに区切って、ストリーミングの答えのように返す
+const toChunks = text => text.match(/\S+\s*/g) || [text];
+
+export function createFixtureProvider({ mode, dir, inner = null, models, visionModels = ['cloud-vision'] }) {
+  if (!FIXTURE_MODES.includes(mode)) throw new Error(`Unknown fixture mode: ${mode}`);
+  if (mode === 'record' && !inner) throw new Error('Recording fixtures needs the real provider');
+
+  // どのフィクスチャか（path）と、作り物の答えの元にする seed
+  const locate = async (label, image, request) => {
+    const requestKey = hashOf(request);
+    const imageKey = image ? safeName(await imageHash(image)) : null;
+    const file = imageKey ? `${imageKey}-${requestKey}.json` : `${requestKey}.json`;
+    return {
+      path: join(dir, safeName(label), file),
+      imageKey,
+      seed: createHash('sha256').update(`${imageKey}:${requestKey}`).digest('hex'),
+    };
+  };
+
+  const load = async (path) => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  };
+
+  const save = async ({ path, imageKey }, { method, label, model, request, response }) => {
+    await mkdir(dirname(path), { recursive: true });
+    const fixture = { method, mode: label, model, image: imageKey, request, response, recordedAt: new Date().toISOString() };
+    await writeFile(path, `${JSON.stringify(fixture, null, 2)}\n`);
+  };
+
+  /**
+   * 1回の呼び出しを記録する・再生する。
+   *   call()        - 本物を呼ぶ（record の時だけ）
+   *   fake(seed)    - フィクスチャがない時の答え（replay の時だけ）
+   * 保存するのは response（呼び出しの戻り値）そのもの。
+   */
+  const run = async ({ method, label, model, image, request, call, fake }) => {
+    const fixture = await locate(label, image, request);
+    if (mode === 'replay') {
+      const saved = await load(fixture.path);
+      return saved ? saved.response : fake(fixture.seed);
+    }
+    const response = await call();
+    await save(fixture, { method, label, model, request, response });
+    return response;
+  };
+
+  const fakeDescription = seed => `${pick(FAKE_SUBJECTS, seed, 0)} ${pick(FAKE_PLACES, seed, 1)}`;
+
+  return {
+    name: mode === 'replay' ? 'replay' : inner.name,
+    models: inner?.models || models,
+    visionModels: inner?.visionModels || visionModels,
+    speechModels: inner?.speechModels || ['cloud-tts'],
+
+    describe(model, input, signal) {
+      return run({
+        method: 'describe',
+        label: input.mode,
+        model,
+        image: input.image,
+        request: { prompt: input.prompt },
+        call: () => inner.describe(model, input, signal),
+        fake: fakeDescription,
+      });
+    },
+
+    // ストリーミングは全文を記録して describe と同じフィクスチャを使い、再生する時は語ごとに区切って返す
+    async *describeStream(model, input, signal) {
+      const fixture = await locate(input.mode, input.image, { prompt: input.prompt });
+      if (mode === 'replay') {
+        const saved = await load(fixture.path);
+        yield* toChunks(saved ? saved.response : fakeDescription(fixture.seed));
+        return;
+      }
+
+      const chunks = [];
+      for await (const chunk of inner.describeStream(model, input, signal)) {
+        chunks.push(chunk);
+        yield chunk;
+      }
+      await save(fixture, {
+        method: 'describe',
+        label: input.mode,
+        model,
+        request: { prompt: input.prompt },
+        response: chunks.join(''),
+      });
+    },
+
+    converse(model, input, signal) {
+      return run({
+        method: 'converse',
+        label: input.mode,
+        model,
+        image: input.image,
+        request: { turns: input.turns },
+        call: () => inner.converse(model, input, signal),
+        fake: seed => pick(FAKE_ANSWERS, seed, 0),
+      });
+    },
+
+    annotate(model, input, features, signal) {
+      const sorted = [...features].sort();
+      return run({
+        method: 'annotate',
+        label: `vision-${sorted.join('-')}`,
+        model,
+        image: input.image,
+        request: { features: sorted },
+        call: () => inner.annotate(model, input, features, signal),
+        fake: seed => fakeAnnotations(seed, features),
+      });
+    },
+
+    synthesize(model, input, signal) {
+      return run({
+        method: 'synthesize',
+        label: 'speech',
+        model,
+        image: null,
+        request: input,
+        call: () => inner.synthesize(model, input, signal),
+        fake: () => ({ audio: silentWav(), mimeType: 'audio/wav' }),
+      });
+    },
+
+    async labels(model, input, signal) {
+      return (await this.annotate(model, input, ['labels'], signal)).labels;
+    },
+
+    async ocr(model, input, signal) {
+      return (await this.annotate(model, input, ['text'], signal)).text;
+    },
+
+    async faces(model, input, signal) {
+      return (await this.annotate(model, input, ['faces'], signal)).faces;
+    },
+
+    async document(model, input, signal) {
+      return (await this.annotate(model, input, ['document'], signal)).document;
+    },
+  };
+}
@@ -0,0 +1,218 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { UpstreamError } from '../errors.js';
+
+const VISION_ENDPOINT = 'https://vision.googleapis.com/v1/images:annotate';
+const SPEECH_ENDPOINT = 'https://texttospeech.googleapis.com/v1/text:synthesize';
+export const DEFAULT_MODELS = ['gemini-2.0-flash', 'gemini-1.5-flash-latest', 'gemini-pro-vision'];
+
+// 画素の頂点を画像に対する割合（0〜1）の枠にする。画像の大きさがわからなければ null
+function toBox(vertices = [], width, height) {
+  if (!width || !height || !vertices.length) return null;
+  const xs = vertices.map(v => v.x || 0);
+  const ys = vertices.map(v => v.y || 0);
+  const x = Math.min(...xs) / width;
+  const y = Math.min(...ys) / height;
+  return { x, y, width: Math.max(...xs) / width - x, height: Math.max(...ys) / height - y };
+}
+
+// Vision の顔の結果を共通の形にする（座標は画像サイズで割って 0〜1 に）
+function toFace(annotation, width, height) {
+  const normalize = (x = 0, y = 0) => ({ x: x / width, y: y / height });
+
+  return {
+    box: toBox(annotation.boundingPoly?.vertices, width, height),
+    confidence: annotation.detectionConfidence ?? null,
+    emotions: {
+      joy: annotation.joyLikelihood,
+      sorrow: annotation.sorrowLikelihood,
+      anger: annotation.angerLikelihood,
+      surprise: annotation.surpriseLikelihood,
+    },
+    landmarks: width && height
+      ? (annotation.landmarks || []).map(l => ({ type: l.type, ...normalize(l.position?.x, l.position?.y) }))
+      : [],
+  };
+}
+
+// 物体検出の枠（normalizedVertices は最初から 0〜1）
+function toRegion(annotation) {
+  const vertices = annotation.boundingPoly?.normalizedVertices || [];
+  if (!vertices.length) return { box: null, confidence: annotation.score ?? null };
+  const xs = vertices.map(v => v.x || 0);
+  const ys = vertices.map(v => v.y || 0);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return {
+    box: { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y },
+    confidence: annotation.score ?? null,
+  };
+}
+
+// 文字の後ろの区切り（detectedBreak）。行末のハイフンは単語の途中で折り返した印なので消してつなぐ
+const BREAKS = { SPACE: ' ', SURE_SPACE: ' ', EOL_SURE_SPACE: '\n', LINE_BREAK: '\n', HYPHEN: '' };
+
+const paragraphText = paragraph => (paragraph.words || [])
+  .flatMap(word => word.symbols || [])
+  .map(symbol => symbol.text + (BREAKS[symbol.property?.detectedBreak?.type] ?? ''))
+  .join('')
+  .trim();
+
+// DOCUMENT_TEXT_DETECTION の fullTextAnnotation を、ブロックごとの段落と全文にする（大文字・小文字はそのまま）
+function toDocument(annotation, width, height) {
+  const pages = annotation?.pages || [];
+  const blocks = pages
+    .flatMap(page => page.blocks || [])
+    .filter(block => !block.blockType || block.blockType === 'TEXT')
+    .map(block => ({
+      box: toBox(block.boundingBox?.vertices, width, height),
+      paragraphs: (block.paragraphs || []).map(paragraphText).filter(Boolean),
+    }))
+    .filter(block => block.paragraphs.length);
+  const [language] = [...(pages[0]?.property?.detectedLanguages || [])]
+    .sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
+
+  return {
+    text: blocks.map(block => block.paragraphs.join('\n\n')).join('\n\n'),
+    language: language?.languageCode || null,
+    blocks,
+  };
+}
+
+// Vision の機能ごとのリクエストと、レスポンスを共通の形に直す関数
+const FEATURES = {
+  labels: {
+    request: { type: 'LABEL_DETECTION', maxResults: 10 },
+    parse: resData => (resData.labelAnnotations || []).map(l => ({
+      description: l.description,
+      score: l.score,
+    })),
+  },
+  text: {
+    request: { type: 'TEXT_DETECTION' },
+    parse: resData => resData.textAnnotations?.[0]?.description || '',
+  },
+  // 看板・メニュー・書類の全文（ブロックと段落の構造と言語付き）
+  document: {
+    request: { type: 'DOCUMENT_TEXT_DETECTION' },
+    parse: (resData, { width, height }) => toDocument(resData.fullTextAnnotation, width, height),
+  },
+  faces: {
+    request: { type: 'FACE_DETECTION', maxResults: 10 },
+    parse: (resData, { width, height }) => (resData.faceAnnotations || []).map(f => toFace(f, width, height)),
+  },
+  // ナンバープレートは物体検出の「License plate」だけを拾う
+  plates: {
+    request: { type: 'OBJECT_LOCALIZATION', maxResults: 20 },
+    parse: resData => (resData.localizedObjectAnnotations || [])
+      .filter(o => o.name === 'License plate')
+      .map(toRegion),
+  },
+};
+
+/**
+ * Gemini（describe）と Cloud Vision（labels / ocr / faces）と Cloud Text-to-Speech（synthesize）を使うプロバイダー。
+ */
+export function createGoogleProvider({ apiKey, models = DEFAULT_MODELS }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const requestAnnotations = async (image, features, signal) => {
+    const visionResponse = await fetch(`${VISION_ENDPOINT}?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        requests: [{
+          image: { content: image },
+          features,
+        }],
+      }),
+      signal,
+    });
+    const data = await visionResponse.json();
+    if (data.error) throw new UpstreamError(data.error.message, data.error.code);
+
+    const resData = data.responses?.[0];
+    if (!resData) throw new UpstreamError('No response from Vision API', visionResponse.status);
+    // 画像単位のエラーは gRPC のコードで返ってくる（3 = INVALID_ARGUMENT）
+    if (resData.error) throw new UpstreamError(resData.error.message, resData.error.code === 3 ? 400 : 502);
+    return resData;
+  };
+
+  const imagePart = (image, mimeType) => ({
+    inlineData: {
+      data: image,
+      mimeType,
+    },
+  });
+
+  return {
+    name: 'google',
+    models,
+    visionModels: ['cloud-vision'],
+    speechModels: ['cloud-tts'],
+
+    async describe(model, { image, mimeType, prompt }, signal) {
+      const result = await genAI.getGenerativeModel({ model })
+        .generateContent([prompt, imagePart(image, mimeType)], { signal });
+      const response = await result.response;
+      return response.text();
+    },
+
+    async *describeStream(model, { image, mimeType, prompt }, signal) {
+      const result = await genAI.getGenerativeModel({ model })
+        .generateContentStream([prompt, imagePart(image, mimeType)], { signal });
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    },
+
+    // 写真についての会話の続き。画像は最初の質問に付ける
+    async converse(model, { image, mimeType, turns }, signal) {
+      const contents = turns.map((turn, i) => ({
+        role: turn.role,
+        parts: i === 0 ? [{ text: turn.text }, imagePart(image, mimeType)] : [{ text: turn.text }],
+      }));
+      const result = await genAI.getGenerativeModel({ model }).generateContent({ contents }, { signal });
+      const response = await result.response;
+      return response.text();
+    },
+
+    // 複数の機能を1回の images:annotate で取る
+    async annotate(model, input, features, signal) {
+      const resData = await requestAnnotations(input.image, features.map(f => FEATURES[f].request), signal);
+      return Object.fromEntries(features.map(f => [f, FEATURES[f].parse(resData, input)]));
+    },
+
+    // pitch は Web Speech API と同じ 0〜2（1 が普通）で受け取り、Cloud TTS の半音（-20〜20）に直す
+    async synthesize(model, { text, languageCode, rate, pitch }, signal) {
+      const response = await fetch(`${SPEECH_ENDPOINT}?key=${apiKey}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          input: { text },
+          voice: { languageCode },
+          audioConfig: { audioEncoding: 'MP3', speakingRate: rate, pitch: (pitch - 1) * 10 },
+        }),
+        signal,
+      });
+      const data = await response.json();
+      if (data.error) throw new UpstreamError(data.error.message, data.error.code);
+      return { audio: data.audioContent, mimeType: 'audio/mpeg' };
+    },
+
+    async labels(model, input, signal) {
+      return (await this.annotate(model, input, ['labels'], signal)).labels;
+    },
+
+    async ocr(model, input, signal) {
+      return (await this.annotate(model, input, ['text'], signal)).text;
+    },
+
+    async faces(model, input, signal) {
+      return (await this.annotate(model, input, ['faces'], signal)).faces;
+    },
+
+    async document(model, input, signal) {
+      return (await this.annotate(model, input, ['document'], signal)).document;
+    },
+  };
+}
@@ -0,0 +1,86 @@
+import { envList } from '../env.js';
+import { AnalyzeError } from '../errors.js';
+import { createFixtureProvider, FIXTURE_MODES } from './fixtures.js';
+import { createGoogleProvider, DEFAULT_MODELS } from './google.js';
+import { createLocalProvider } from './local.js';
+
+/**
+ * VISION_PROVIDER 環境変数でバックエンドを選ぶ。
+ *
+ * どのプロバイダーも同じインターフェースを持つ。
+ * models / visionModels はフォールバックチェーンで先頭から試す候補で、
+ * 各メソッドはそのうちの1つ（model）と中断用の signal を受け取る:
+ *   describe(model, { image, mimeType, prompt }, signal)       -> Promise<string>
+ *   describeStream(model, { image, mimeType, prompt }, signal) -> AsyncIterable<string>
+ *   converse(model, { image, mimeType, turns }, signal)        -> Promise<string>
+ *     turns は [{ role: 'user' | 'model', text }] の会話で、最後の質問への答えを返す（画像は最初の質問に付ける）
+ *   labels(model, { image, mimeType }, signal)                 -> Promise<{ description, score }[]>
+ *   ocr(model, { image, mimeType }, signal)                    -> Promise<string>
+ *   faces(model, { image, mimeType, width, height }, signal)   -> Promise<Face[]>
+ *   document(model, { image, mimeType, width, height }, signal) -> Promise<Document>
+ *   annotate(model, { image, mimeType, width, height }, features, signal)
+ *     -> Promise<{ labels?, text?, faces?, plates?, document? }>
+ *     features（'labels' / 'text' / 'faces' / 'plates' / 'document'）の結果をまとめて返す
+ *
+ * describe / describeStream / converse の入力の mode は解析しているモードの id（フィクスチャの記録に使う）。
+ *
+ * 読み上げの音声を作れるプロバイダーだけが speechModels と synthesize を持つ:
+ *   synthesize(model, { text, languageCode, rate, pitch }, signal) -> Promise<{ audio: base64, mimeType }>
+ *
+ * Face = {
+ *   box: { x, y, width, height } | null   - 画像に対する割合（0〜1）。位置がわからなければ null
+ *   confidence: number | null
+ *   emotions: { joy, sorrow, anger, surprise }  - Vision の Likelihood（VERY_UNLIKELY〜VERY_LIKELY）
+ *   landmarks: { type, x, y }[]           - 目・鼻・口などの位置（0〜1）
+ * }
+ * plates（ナンバープレート）は [{ box, confidence }]。box は Face と同じ形。
+ *
+ * Document = {
+ *   text: string                          - 全文。大文字・小文字はそのままで、段落の間は空行、段落の中の改行は残す
+ *   language: string | null               - 一番多い言語の BCP-47 コード（'en', 'ja' など）
+ *   blocks: { box, paragraphs: string[] }[] - 読む順のまとまり（box は Face と同じ形）
+ * }
+ */
+export function getProvider(env = process.env) {
+  const name = env.VISION_PROVIDER || 'google';
+
+  if (name === 'local') {
+    return createLocalProvider({
+      baseUrl: env.LOCAL_VISION_URL || 'http://localhost:11434',
+      models: envList(env.LOCAL_VISION_MODEL) || ['llava'],
+      api: env.LOCAL_VISION_API || 'ollama',
+      apiKey: env.LOCAL_VISION_API_KEY,
+    });
+  }
+
+  if (name === 'google') {
+    // GOOGLE_FIXTURES=replay ならキーなしで、保存した答え（なければ作り物）を返す
+    const fixtures = env.GOOGLE_FIXTURES;
+    const dir = env.FIXTURES_DIR || 'fixtures/google';
+    if (fixtures && !FIXTURE_MODES.includes(fixtures)) {
+      throw new ConfigError(`Unknown GOOGLE_FIXTURES: ${fixtures}`);
+    }
+    if (fixtures === 'replay') {
+      return createFixtureProvider({ mode: 'replay', dir, models: envList(env.GEMINI_MODELS) || DEFAULT_MODELS });
+    }
+
+    if (!env.GOOGLE_API_KEY) {
+      throw new ConfigError('API Key not configured');
+    }
+    const google = createGoogleProvider({
+      apiKey: env.GOOGLE_API_KEY,
+      models: envList(env.GEMINI_MODELS),
+    });
+    return fixtures === 'record' ? createFixtureProvider({ mode: 'record', dir, inner: google }) : google;
+  }
+
+  throw new ConfigError(`Unknown VISION_PROVIDER: ${name}`);
+}
+
+// API では config_error として返す（メッセージはログにだけ出す）
+export class ConfigError extends AnalyzeError {
+  constructor(message) {
+    super('config_error', message);
+    this.name = 'ConfigError';
+  }
+}
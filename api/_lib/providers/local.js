@@ -0,0 +1,213 @@
+import { UpstreamError } from '../errors.js';
+
+/**
+ * ローカルでホストしているビジョンモデルを使うプロバイダー。
+ * Ollama（/api/chat）と OpenAI 互換（/v1/chat/completions）の両方に対応する。
+ * labels / ocr / faces / document もプロンプトで代用するので、Google のキーもネットワークも不要。
+ */
+const LABELS_PROMPT = `List up to 10 objects or concepts visible in this image.
+Reply ONLY with a JSON array like [{"description": "Cat", "score": 0.9}], where score is your confidence from 0 to 1.`;
+
+const OCR_PROMPT = 'Transcribe all text visible in this image exactly as written. Reply with the text only. If there is no text, reply with nothing.';
+
+const DOCUMENT_PROMPT = `Transcribe all text in this image exactly as written, keeping the original upper and lower case.
+Reply ONLY with a JSON object like {"language": "en", "blocks": [{"box": [x, y, width, height], "paragraphs": ["..."]}]}.
+Each block is a separate area of text (a column, a sign, a menu section) in reading order, and paragraphs keep their line breaks as \\n.
+box is the block position as fractions of the image size (0 to 1, from the top left).
+language is the BCP-47 code of the main language. Reply {"language": null, "blocks": []} if there is no text.`;
+
+const FACES_PROMPT = `Find the human faces in this image.
+Reply ONLY with a JSON array with one object per face, like [{"box": [x, y, width, height], "emotion": "joy"}].
+box is the face position as fractions of the image size (0 to 1, from the top left).
+emotion is one of joy, sorrow, anger, surprise or neutral. Reply [] if there are none.`;
+
+const PLATES_PROMPT = `Find the vehicle license plates in this image.
+Reply ONLY with a JSON array with one object per plate, like [{"box": [x, y, width, height]}].
+box is the plate position as fractions of the image size (0 to 1, from the top left). Reply [] if there are none.`;
+
+const EMOTIONS = ['joy', 'sorrow', 'anger', 'surprise'];
+
+// モデルの答えを Vision と同じ顔の形にする（表情は一番近いものだけ LIKELY にする）
+const toFace = (face) => {
+  const [x, y, width, height] = Array.isArray(face?.box) ? face.box.map(Number) : [];
+  const box = [x, y, width, height].every(Number.isFinite) ? { x, y, width, height } : null;
+  return {
+    box,
+    confidence: null,
+    emotions: Object.fromEntries(EMOTIONS.map(e => [e, face?.emotion === e ? 'LIKELY' : 'UNLIKELY'])),
+    landmarks: [],
+  };
+};
+
+const toRegion = (region) => ({ box: toFace(region).box, confidence: null });
+
+// モデルが前後に説明文を付けても JSON 部分だけ取り出す
+const parseJsonArray = (text) => {
+  const match = text.match(/\[[\s\S]*\]/);
+  if (!match) return [];
+  try {
+    const parsed = JSON.parse(match[0]);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const parseJsonObject = (text) => {
+  const match = text.match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+};
+
+// モデルの答えを Vision の DOCUMENT_TEXT_DETECTION と同じ形にする。JSON で答えなければ全文を1ブロックにする
+const toDocument = (reply) => {
+  const parsed = parseJsonObject(reply);
+  const blocks = Array.isArray(parsed?.blocks)
+    ? parsed.blocks
+      .map(block => ({
+        box: toFace(block).box,
+        paragraphs: (Array.isArray(block?.paragraphs) ? block.paragraphs : [])
+          .filter(p => typeof p === 'string' && p.trim())
+          .map(p => p.trim()),
+      }))
+      .filter(block => block.paragraphs.length)
+    : [];
+  if (!parsed && reply.trim()) blocks.push({ box: null, paragraphs: [reply.trim()] });
+
+  return {
+    text: blocks.map(block => block.paragraphs.join('\n\n')).join('\n\n'),
+    language: typeof parsed?.language === 'string' ? parsed.language : null,
+    blocks,
+  };
+};
+
+// fetch のレスポンスボディを1行ずつ読む
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).trim();
+      buffer = buffer.slice(index + 1);
+      if (line) yield line;
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+export function createLocalProvider({ baseUrl, models, api, apiKey }) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const post = async (path, body, signal) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(`${root}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) {
+      throw new UpstreamError(`Local model error: ${response.status} ${await response.text()}`, response.status);
+    }
+    return response;
+  };
+
+  // 会話（turns: [{ role: 'user' | 'model', text }]）をメッセージにする。画像は最初の質問に付ける
+  const messages = (turns, image, mimeType) => turns.map((turn, i) => {
+    const role = turn.role === 'model' ? 'assistant' : 'user';
+    if (i > 0) return { role, content: turn.text };
+    if (api === 'openai') {
+      return {
+        role,
+        content: [
+          { type: 'text', text: turn.text },
+          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${image}` } },
+        ],
+      };
+    }
+    return { role, content: turn.text, images: [image] };
+  });
+
+  const request = (model, { image, mimeType, prompt, turns = [{ role: 'user', text: prompt }] }, stream, signal) => (
+    post(api === 'openai' ? '/v1/chat/completions' : '/api/chat', {
+      model,
+      stream,
+      messages: messages(turns, image, mimeType),
+    }, signal)
+  );
+
+  const chat = async (model, input, signal) => {
+    const data = await (await request(model, input, false, signal)).json();
+    if (api === 'openai') return data.choices?.[0]?.message?.content || '';
+    return data.message?.content || '';
+  };
+
+  // Ollama は NDJSON、OpenAI 互換サーバーは SSE（data: ...）で返してくる
+  async function* chatStream(model, input, signal) {
+    const response = await request(model, input, true, signal);
+    for await (const line of readLines(response.body)) {
+      if (api === 'openai') {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+        const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      } else {
+        const data = JSON.parse(line);
+        if (data.error) throw new UpstreamError(`Local model error: ${data.error}`, 502);
+        if (data.message?.content) yield data.message.content;
+        if (data.done) return;
+      }
+    }
+  }
+
+  return {
+    name: 'local',
+    models,
+    visionModels: models,
+
+    describe: chat,
+
+    describeStream: chatStream,
+
+    converse: chat,
+
+    async labels(model, { image, mimeType }, signal) {
+      const text = await chat(model, { image, mimeType, prompt: LABELS_PROMPT }, signal);
+      return parseJsonArray(text)
+        .filter(l => typeof l?.description === 'string')
+        .map(l => ({ description: l.description, score: Number(l.score) || 0 }));
+    },
+
+    async ocr(model, { image, mimeType }, signal) {
+      return (await chat(model, { image, mimeType, prompt: OCR_PROMPT }, signal)).trim();
+    },
+
+    async faces(model, { image, mimeType }, signal) {
+      return parseJsonArray(await chat(model, { image, mimeType, prompt: FACES_PROMPT }, signal)).map(toFace);
+    },
+
+    async document(model, { image, mimeType }, signal) {
+      return toDocument(await chat(model, { image, mimeType, prompt: DOCUMENT_PROMPT }, signal));
+    },
+
+    async plates(model, { image, mimeType }, signal) {
+      return parseJsonArray(await chat(model, { image, mimeType, prompt: PLATES_PROMPT }, signal)).map(toRegion);
+    },
+
+    // ローカルモデルにはまとめて聞く API がないので、機能ごとのプロンプトを並行して投げる
+    async annotate(model, input, features, signal) {
+      const methods = { labels: this.labels, text: this.ocr, faces: this.faces, plates: this.plates, document: this.document };
+      const values = await Promise.all(features.map(f => methods[f].call(this, model, input, signal)));
+      return Object.fromEntries(features.map((f, i) => [f, values[i]]));
+    },
+  };
+}
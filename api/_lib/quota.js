@@ -0,0 +1,72 @@
+import { envInt } from './env.js';
+import { AnalyzeError } from './errors.js';
+import { createStore } from './store/index.js';
+
+/**
+ * クライアントごとの利用回数の制限。トークンで認証されていれば clientId ごと、なければ IP ごとに数える。
+ *   RATE_LIMIT_PER_MINUTE - 1分あたりの上限（既定 20、0 で無制限）
+ *   DAILY_QUOTA           - 1日（UTC）あたりの上限（既定 300、0 で無制限）
+ *   RATE_LIMIT_STORE      - 'memory'（既定）/ 'file' / 'redis'
+ */
+export function quotaConfig(env = process.env) {
+  return {
+    perMinute: envInt(env.RATE_LIMIT_PER_MINUTE, 20),
+    perDay: envInt(env.DAILY_QUOTA, 300),
+    store: env.RATE_LIMIT_STORE || 'memory',
+  };
+}
+
+let store = null;
+const getStore = (config, env) => (store ??= createStore(config.store, { name: 'quota', env }));
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * cost 回分（バッチならモードの数）を数え、上限を超えていたら AnalyzeError('quota_exceeded') を投げる（retryAfter は秒）。
+ * ストアに届かない時は止めずに通す。
+ */
+export async function enforceQuota(res, { clientId, ip }, { cost = 1 } = {}, env = process.env) {
+  const config = quotaConfig(env);
+  if (!config.perMinute && !config.perDay) return;
+
+  const key = clientId ? `token:${clientId}` : `ip:${ip}`;
+  const now = Date.now();
+  const today = new Date(now).toISOString().slice(0, 10);
+
+  let minute;
+  let day;
+  try {
+    [minute, day] = await Promise.all([
+      config.perMinute ? getStore(config, env).incr(`minute:${key}`, MINUTE, cost) : null,
+      // 日付をキーに入れて、UTC の0時にリセットする
+      config.perDay ? getStore(config, env).incr(`day:${today}:${key}`, DAY, cost) : null,
+    ]);
+  } catch (e) {
+    console.warn('Quota store unavailable:', e.message);
+    return;
+  }
+
+  if (minute) {
+    res.setHeader('X-RateLimit-Limit', String(config.perMinute));
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, config.perMinute - minute.count)));
+  }
+  if (day) {
+    res.setHeader('X-Quota-Limit', String(config.perDay));
+    res.setHeader('X-Quota-Remaining', String(Math.max(0, config.perDay - day.count)));
+  }
+
+  const exceeded = (message, resetAt) => {
+    const error = new AnalyzeError('quota_exceeded', message);
+    error.retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+    return error;
+  };
+
+  if (day && day.count > config.perDay) {
+    const midnight = Date.parse(`${today}T00:00:00Z`) + DAY;
+    throw exceeded(`Daily quota of ${config.perDay} requests used up`, midnight);
+  }
+  if (minute && minute.count > config.perMinute) {
+    throw exceeded(`More than ${config.perMinute} requests per minute`, minute.resetAt);
+  }
+}
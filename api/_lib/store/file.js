@@ -0,0 +1,64 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// JSON ファイル1つに保存するストア。1台のサーバーで動かす時用（複数インスタンスからの同時書き込みは想定しない）。
+export function createFileStore({ path }) {
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  };
+
+  // 一時ファイルに書いてから置き換える（途中で落ちても壊れないように）
+  const save = async (data) => {
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(`${path}.tmp`, JSON.stringify(data));
+    await rename(`${path}.tmp`, path);
+  };
+
+  const prune = (data) => {
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(data)) {
+      if (entry.expiresAt && entry.expiresAt <= now) delete data[key];
+    }
+    return data;
+  };
+
+  // 読み書きを順番に実行する
+  const update = (fn) => {
+    const run = queue.then(async () => {
+      const data = prune(await load());
+      const result = fn(data);
+      await save(data);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async get(key) {
+      const entry = prune(await load())[key];
+      return entry ? entry.value : null;
+    },
+
+    set(key, value, ttlMs) {
+      return update((data) => {
+        data[key] = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      });
+    },
+
+    incr(key, ttlMs, by = 1) {
+      return update((data) => {
+        const entry = data[key] || (data[key] = { value: 0, expiresAt: Date.now() + ttlMs });
+        entry.value += by;
+        return { count: entry.value, resetAt: entry.expiresAt };
+      });
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileStore } from './file.js';
+import { createMemoryStore } from './memory.js';
+import { createRedisStore } from './redis.js';
+
+/**
+ * キー・バリューストアを作る。kind は 'memory'（既定）/ 'file' / 'redis'。
+ * どのストアも同じインターフェースを持つ:
+ *   get(key)             -> Promise<value | null>
+ *   set(key, value, ttl) -> Promise<void>             （ttl はミリ秒、省略で無期限）
+ *   incr(key, ttl, by?)  -> Promise<{ count, resetAt }>（by ずつ増やす。最初の incr から ttl で消える固定ウィンドウ）
+ *
+ * name はファイル名や Redis のキーの接頭辞に使い、用途ごとにデータを分ける。
+ */
+export function createStore(kind = 'memory', { name, env = process.env, maxEntries } = {}) {
+  if (kind === 'file') {
+    return createFileStore({
+      path: join(env.STORE_DIR || join(tmpdir(), 'camera-describe'), `${name}.json`),
+    });
+  }
+
+  if (kind === 'redis') {
+    if (!env.REDIS_REST_URL || !env.REDIS_REST_TOKEN) {
+      throw new Error('REDIS_REST_URL and REDIS_REST_TOKEN are required for the redis store');
+    }
+    return createRedisStore({
+      url: env.REDIS_REST_URL,
+      token: env.REDIS_REST_TOKEN,
+      prefix: `camera-describe:${name}:`,
+    });
+  }
+
+  if (kind === 'memory') {
+    return createMemoryStore({ maxEntries });
+  }
+
+  throw new Error(`Unknown store: ${kind}`);
+}
@@ -0,0 +1,47 @@
+// プロセス内のストア。Map の挿入順を使った LRU で maxEntries を超えたら古いものから捨てる。
+// サーバーレスではインスタンスごとに別々になるので、厳密に数えたい時は file / redis を使う。
+export function createMemoryStore({ maxEntries = 10000 } = {}) {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    // 使われたものを末尾へ（LRU）
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  };
+
+  const write = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return {
+    async get(key) {
+      return read(key)?.value ?? null;
+    },
+
+    async set(key, value, ttlMs) {
+      write(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+
+    async incr(key, ttlMs, by = 1) {
+      const entry = read(key);
+      if (entry) {
+        entry.value += by;
+        return { count: entry.value, resetAt: entry.expiresAt };
+      }
+      const expiresAt = Date.now() + ttlMs;
+      write(key, { value: by, expiresAt });
+      return { count: by, resetAt: expiresAt };
+    },
+  };
+}
@@ -0,0 +1,44 @@
+// Redis のストア。Upstash などの REST API（/pipeline）を fetch で呼ぶので、追加のパッケージは要らない。
+export function createRedisStore({ url, token, prefix = 'camera-describe:' }) {
+  const root = url.replace(/\/+$/, '');
+
+  const pipeline = async (commands) => {
+    const response = await fetch(`${root}/pipeline`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(commands),
+    });
+    if (!response.ok) {
+      throw new Error(`Redis error: ${response.status} ${await response.text()}`);
+    }
+    const results = await response.json();
+    const failed = results.find(r => r.error);
+    if (failed) throw new Error(`Redis error: ${failed.error}`);
+    return results.map(r => r.result);
+  };
+
+  return {
+    async get(key) {
+      const [value] = await pipeline([['GET', prefix + key]]);
+      return value == null ? null : JSON.parse(value);
+    },
+
+    async set(key, value, ttlMs) {
+      const command = ['SET', prefix + key, JSON.stringify(value)];
+      if (ttlMs) command.push('PX', ttlMs);
+      await pipeline([command]);
+    },
+
+    async incr(key, ttlMs, by = 1) {
+      const [count, , ttl] = await pipeline([
+        ['INCRBY', prefix + key, by],
+        ['PEXPIRE', prefix + key, ttlMs, 'NX'],
+        ['PTTL', prefix + key],
+      ]);
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+  };
+}
@@ -0,0 +1,207 @@
+import { AnalyzeError } from './errors.js';
+import { DEFAULT_LANG, LANGUAGES } from './languages.js';
+import { applyVariant, getMode, localizeMode, parseCustomMode } from './modes.js';
+
+const invalid = message => new AnalyzeError('invalid_request', message);
+
+// 1回のバッチで解析できるモードの数
+export const MAX_BATCH_MODES = 12;
+
+// 写真についての質問（ASK）の上限
+export const MAX_QUESTION_CHARS = 500;
+export const MAX_THREAD_TURNS = 20;
+
+// 翻訳（DOCUMENT の TRANSLATE）する文字数の上限
+export const MAX_TRANSLATE_CHARS = 5000;
+
+/**
+ * POST /api/analyze のボディを確認する。
+ *   1モード:   { base64Image: string, mode: string, customMode?: object, stream?: boolean, fresh?: boolean, lang?: string, variant?: string }
+ *   バッチ:    { base64Image: string, modes: string[], customModes?: { [id]: object }, fresh?: boolean, lang?: string, variant?: string }
+ * fresh はキャッシュを使わずに解析し直す指定（REROLL）。
+ * lang は結果の言語（languages.js の LANGUAGES のキー。既定は en）。モードの定義はその言語に合わせて返す。
+ * variant はモードの別のプロンプト（'detailed' など）。その variant を持つモードだけ差し替える。
+ *
+ *   質問（ASK）: { base64Image: string, mode: string, customMode?: object, result: string,
+ *                 question: string, thread?: [{ question, answer }], lang?: string, variant?: string }
+ * result はそのモードで最初に出した答え、thread はそれまでの質問と答え。chat として返す。
+ *
+ *   翻訳: { base64Image: string, mode: string, customMode?: object, translate: string, lang?: string }
+ * translate は読み取った文字（DOCUMENT の結果）で、lang の言語に訳す。translation として返す。
+ * バッチの modes にはレジストリのモードの id か、customModes に定義を入れたカスタムモードの id を並べる。
+ * 問題があれば AnalyzeError を投げ、なければモードの定義を解決して返す
+ * （1モードなら modeConfig、バッチなら modeConfigs）。
+ */
+export function parseAnalyzeRequest(body, env = process.env) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw invalid('Request body must be a JSON object');
+  }
+
+  const { base64Image, mode, customMode, modes, customModes, stream, fresh, lang = DEFAULT_LANG, variant, question, translate } = body;
+
+  if (typeof base64Image !== 'string' || !base64Image) {
+    throw invalid('base64Image must be a non-empty string');
+  }
+  if (stream !== undefined && typeof stream !== 'boolean') {
+    throw invalid('stream must be a boolean');
+  }
+  if (fresh !== undefined && typeof fresh !== 'boolean') {
+    throw invalid('fresh must be a boolean');
+  }
+  if (typeof lang !== 'string' || !Object.hasOwn(LANGUAGES, lang)) {
+    throw invalid(`lang must be one of ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  if (variant !== undefined && !(typeof variant === 'string' && /^[a-z0-9-]{1,40}$/.test(variant))) {
+    throw invalid('variant must be 1-40 lowercase letters, digits or dashes');
+  }
+  const resolve = m => localizeMode(applyVariant(m, variant), lang);
+
+  if (question !== undefined) {
+    if (modes !== undefined) throw invalid('question is not supported for batch requests');
+    if (stream) throw invalid('stream is not supported for questions');
+  }
+  if (translate !== undefined) {
+    if (modes !== undefined) throw invalid('translate is not supported for batch requests');
+    if (question !== undefined) throw invalid('Send either question or translate, not both');
+    if (stream) throw invalid('stream is not supported for translations');
+  }
+
+  if (modes !== undefined) {
+    if (mode !== undefined) throw invalid('Send either mode or modes, not both');
+    if (stream) throw invalid('stream is not supported for batch requests');
+    const modeConfigs = parseModeList(modes, customModes, env).map(resolve);
+    return { base64Image, modeConfigs, fresh: Boolean(fresh) };
+  }
+
+  if (typeof mode !== 'string' || !mode) {
+    throw invalid('mode must be a non-empty string');
+  }
+
+  // カスタムモードはレジストリにないので、リクエストに含まれた定義を使う
+  const registered = mode === 'custom' ? resolveCustomMode('customMode', customMode, env) : getMode(mode);
+  if (!registered) {
+    throw invalid(`Unknown mode: ${mode}`);
+  }
+  const modeConfig = resolve(registered);
+
+  if (question !== undefined) {
+    return { base64Image, modeConfig, chat: parseChat(body) };
+  }
+  if (translate !== undefined) {
+    if (typeof translate !== 'string' || !translate.trim() || translate.length > MAX_TRANSLATE_CHARS) {
+      throw invalid(`translate must be 1-${MAX_TRANSLATE_CHARS} characters`);
+    }
+    return { base64Image, modeConfig, translation: { text: translate.trim() } };
+  }
+  return { base64Image, modeConfig, stream: Boolean(stream), fresh: Boolean(fresh) };
+}
+
+function parseChat({ question, result, thread = [] }) {
+  if (typeof question !== 'string' || !question.trim() || question.length > MAX_QUESTION_CHARS) {
+    throw invalid(`question must be 1-${MAX_QUESTION_CHARS} characters`);
+  }
+  if (typeof result !== 'string' || !result) {
+    throw invalid('result must be a non-empty string');
+  }
+  if (!Array.isArray(thread) || thread.length > MAX_THREAD_TURNS) {
+    throw invalid(`thread must be an array of at most ${MAX_THREAD_TURNS} turns`);
+  }
+  for (const turn of thread) {
+    if (typeof turn?.question !== 'string' || typeof turn?.answer !== 'string') {
+      throw invalid('thread must contain { question, answer } strings');
+    }
+  }
+  return { question: question.trim(), result, thread };
+}
+
+function resolveCustomMode(field, input, env) {
+  if (env.CUSTOM_MODES === 'off') {
+    throw new AnalyzeError('forbidden', 'Custom modes are disabled');
+  }
+  const parsed = parseCustomMode(input);
+  if (parsed.error) throw invalid(`${field}: ${parsed.error}`);
+  return parsed.mode;
+}
+
+function parseModeList(modes, customModes = {}, env) {
+  if (!Array.isArray(modes) || !modes.length) {
+    throw invalid('modes must be a non-empty array');
+  }
+  if (modes.length > MAX_BATCH_MODES) {
+    throw invalid(`modes can have at most ${MAX_BATCH_MODES} entries`);
+  }
+  if (!customModes || typeof customModes !== 'object' || Array.isArray(customModes)) {
+    throw invalid('customModes must be an object');
+  }
+  if (new Set(modes).size !== modes.length) {
+    throw invalid('modes must not contain duplicates');
+  }
+
+  return modes.map((id) => {
+    if (typeof id !== 'string' || !id) throw invalid('modes must contain non-empty strings');
+
+    const modeConfig = getMode(id);
+    if (modeConfig) return modeConfig;
+
+    if (!Object.hasOwn(customModes, id)) throw invalid(`Unknown mode: ${id}`);
+    // 結果をどのモードのものか返せるように、クライアントの id をそのまま使う
+    return { ...resolveCustomMode(`customModes.${id}`, customModes[id], env), id };
+  });
+}
+
+// 読み上げる文字数の上限（結果のテキストより十分長く）
+export const MAX_SPEECH_CHARS = 1000;
+
+/**
+ * POST /api/speech のボディを確認する。
+ *   { text: string, lang?: string, rate?: number, pitch?: number }
+ * rate（0.25〜4）と pitch（0〜2）は Web Speech API と同じく 1 が普通。
+ */
+export function parseSpeechRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw invalid('Request body must be a JSON object');
+  }
+
+  const { text, lang = DEFAULT_LANG, rate = 1, pitch = 1 } = body;
+
+  if (typeof text !== 'string' || !text.trim()) {
+    throw invalid('text must be a non-empty string');
+  }
+  if (text.length > MAX_SPEECH_CHARS) {
+    throw invalid(`text must be at most ${MAX_SPEECH_CHARS} characters`);
+  }
+  if (typeof lang !== 'string' || !Object.hasOwn(LANGUAGES, lang)) {
+    throw invalid(`lang must be one of ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  if (!(typeof rate === 'number' && rate >= 0.25 && rate <= 4)) {
+    throw invalid('rate must be a number from 0.25 to 4');
+  }
+  if (!(typeof pitch === 'number' && pitch >= 0 && pitch <= 2)) {
+    throw invalid('pitch must be a number from 0 to 2');
+  }
+  return { text, languageCode: LANGUAGES[lang].speech, rate, pitch };
+}
+
+// 隠す範囲として探せるもの
+export const PRIVATE_REGIONS = ['faces', 'plates'];
+
+/**
+ * POST /api/regions のボディを確認する。
+ *   { base64Image: string, regions?: ('faces' | 'plates')[] }
+ * regions を省くと顔とナンバープレートの両方を探す。
+ */
+export function parseRegionsRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw invalid('Request body must be a JSON object');
+  }
+
+  const { base64Image, regions = PRIVATE_REGIONS } = body;
+
+  if (typeof base64Image !== 'string' || !base64Image) {
+    throw invalid('base64Image must be a non-empty string');
+  }
+  if (!Array.isArray(regions) || !regions.length || regions.some(r => !PRIVATE_REGIONS.includes(r))) {
+    throw invalid(`regions must be a non-empty array of ${PRIVATE_REGIONS.join(', ')}`);
+  }
+  return { base64Image, regions: [...new Set(regions)] };
+}
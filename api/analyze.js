@@ -1,133 +1,289 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { authenticate } from './_lib/access.js';
+import { createResultCache } from './_lib/cache.js';
+import { runChain, runStreamChain } from './_lib/chain.js';
+import { applyCors } from './_lib/cors.js';
+import { errorBody, sendError } from './_lib/errors.js';
+import { prepareImage } from './_lib/image.js';
+import { LANGUAGES, messages } from './_lib/languages.js';
+import { applyCasing, renderPrompt } from './_lib/modes.js';
+import { getProvider } from './_lib/providers/index.js';
+import { enforceQuota } from './_lib/quota.js';
+import { parseAnalyzeRequest } from './_lib/validate.js';
 
 export default async function handler(req, res) {
   // ---------------------------------------------------------
   // 1. CORS設定
   // ---------------------------------------------------------
-  res.setHeader('Access-Control-Allow-Credentials', true);
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-  res.setHeader(
-    'Access-Control-Allow-Headers',
-    'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version'
-  );
+  if (applyCors(req, res)) return;
 
-  if (req.method === 'OPTIONS') {
-    res.status(200).end();
-    return;
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST, OPTIONS');
+    return res.status(405).json({ error: 'Method Not Allowed', code: 'invalid_request' });
   }
 
   // ---------------------------------------------------------
-  // 2. APIキーとデータの準備
+  // 2. 呼び出し元の確認（利用回数はリクエストの確認が済んでから数える）
   // ---------------------------------------------------------
-  const { base64Image, mode } = req.body;
-  const API_KEY = process.env.GOOGLE_API_KEY;
+  let caller;
+  try {
+    caller = authenticate(req);
+  } catch (error) {
+    return sendError(res, error);
+  }
 
-  if (!API_KEY) {
-    return res.status(500).json({ error: 'API Key not configured' });
+  // ---------------------------------------------------------
+  // 3. プロバイダーとデータの準備
+  // ---------------------------------------------------------
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    return sendError(res, error);
   }
 
   try {
-    let resultText = '';
+    // ボディの確認と、画像の形式・大きさの確認（必要なら縮小）
+    const request = parseAnalyzeRequest(req.body);
+    const { image: imageData, mimeType, width, height } = await prepareImage(request.base64Image);
+    const image = { image: imageData, mimeType, width, height };
+
+    // 確認を通ったリクエストだけを利用回数に数える。バッチは確認済みのモードの数だけ数える
+    await enforceQuota(res, caller, { cost: request.modeConfigs?.length || 1 });
 
     // ---------------------------------------------------------
-    // 3. Geminiへの問い合わせ
+    // 4. 写真についての質問（ASK）。会話ごとに違うのでキャッシュしない
     // ---------------------------------------------------------
-    if (['gemini', 'celebrity', 'mood', 'haiku'].includes(mode)) {
-      const prompts = {
-  gemini: 'Describe this image in 10 words or less. Be direct and poetic. Reply in uppercase.',
-  celebrity: `First, identify who this person is (but keep it to yourself).
-Then, describe that specific person WITHOUT saying their name or group name.
-Focus on THEIR unique career, THEIR specific achievements, THEIR signature style. And include unique keyword naturallyto recognise them.
-15-20 words. Reply in uppercase. Never mention their actual name.
-
-EXCEPTION: If this is Donald Trump, write a brief satirical critique of his politics in 15-20 words. Be sharp, witty, and critical. Reply in uppercase. Refer to him as "ORANGE CROWN".
-
-If you don't recognize the person, say "A STRANGER IN THE FRAME".`,
-  mood: 'Describe the mood or atmosphere of this image in 5 words or less. Reply in uppercase.',
-  haiku: 'Write a haiku about this image. Reply in uppercase.',
-};
-
-      const genAI = new GoogleGenerativeAI(API_KEY);
-      const prompt = prompts[mode];
-      const imagePart = {
-        inlineData: {
-          data: base64Image,
-          mimeType: 'image/jpeg',
-        },
-      };
-
-    
-      const modelsToTry = ['gemini-2.0-flash', 'gemini-1.5-flash-latest', 'gemini-pro-vision'];
-      let lastError = null;
-      let success = false;
-
-      for (const modelName of modelsToTry) {
-        try {
-          console.log(`Trying model: ${modelName} ...`); 
-          const model = genAI.getGenerativeModel({ model: modelName });
-          
-          const result = await model.generateContent([prompt, imagePart]);
-          const response = await result.response;
-          resultText = response.text().toUpperCase();
-          
-          success = true;
-          break; // 成功したらループを抜ける（これ以上試さない）
-        } catch (e) {
-          console.warn(`Failed with ${modelName}:`, e.message);
-          lastError = e;
-          // 失敗したら、次のモデルへ（continue）
-        }
-      }
+    if (request.chat) {
+      return res.status(200).json(await answerQuestion(provider, request.modeConfig, request.chat, image));
+    }
+    // 読み取った文字の翻訳も、訳す文字と言語の組み合わせで変わるのでキャッシュしない
+    if (request.translation) {
+      return res.status(200).json(await translateText(provider, request.modeConfig, request.translation, image));
+    }
 
-      // 全部のモデルが全滅した場合だけエラーにする
-      if (!success) {
-        throw new Error(`All models failed. Last error: ${lastError?.message}`);
-      }
+    // 同じ場面を同じモードで解析済みなら、その結果を返す（X-Cache: HIT / MISS / BYPASS）
+    const cache = await createResultCache({ providerName: provider.name, image: imageData, fresh: request.fresh });
+    const missStatus = request.fresh ? 'BYPASS' : 'MISS';
 
-    } 
     // ---------------------------------------------------------
-    // 4. Vision API
+    // 5. 複数モードのバッチ
     // ---------------------------------------------------------
-    else {
-      const features = {
-        labels: [{ type: 'LABEL_DETECTION', maxResults: 10 }],
-        text: [{ type: 'TEXT_DETECTION' }],
-        faces: [{ type: 'FACE_DETECTION', maxResults: 10 }],
-      };
-      const visionResponse = await fetch(
-        `https://vision.googleapis.com/v1/images:annotate?key=${API_KEY}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            requests: [{
-              image: { content: base64Image },
-              features: features[mode]
-            }]
-          })
-        }
-      );
-      const data = await visionResponse.json();
-      const resData = data.responses?.[0];
-      if (!resData) throw new Error('No response from Vision API');
-
-      if (mode === 'labels' && resData.labelAnnotations) {
-        resultText = resData.labelAnnotations.slice(0, 5).map(l => l.description.toUpperCase()).join('\n');
-      } else if (mode === 'text' && resData.textAnnotations?.[0]) {
-        resultText = resData.textAnnotations[0].description.toUpperCase().slice(0, 100);
-      } else if (mode === 'faces' && resData.faceAnnotations) {
-        resultText = "FACES DETECTED"; 
-      } else {
-        resultText = "NO DATA FOUND";
+    if (request.modeConfigs) {
+      const results = await analyzeBatch(provider, request.modeConfigs, image, cache);
+      if (cache.enabled) {
+        const hits = results.filter(r => r.meta?.cached).length;
+        res.setHeader('X-Cache', hits === results.length ? 'HIT' : hits ? 'PARTIAL' : missStatus);
       }
+      return res.status(200).json({ results });
     }
 
-    res.status(200).json({ result: resultText });
+    // ---------------------------------------------------------
+    // 6. 1モード（Gemini / ローカルモデルの説明文はストリーミングもできる）
+    // ---------------------------------------------------------
+    const { modeConfig, stream } = request;
+
+    const cached = await cache.get(modeConfig);
+    if (cache.enabled) res.setHeader('X-Cache', cached ? 'HIT' : missStatus);
+    if (cached) return res.status(200).json(cached);
+
+    if (modeConfig.backend === 'gemini' && stream) {
+      const input = { ...image, mode: modeConfig.id, prompt: renderPrompt(modeConfig) };
+      const chunks = runStreamChain(provider.models, (model, signal) => provider.describeStream(model, input, signal));
+      return await streamDescription(res, modeConfig, provider.name, chunks, outcome => cache.set(modeConfig, outcome));
+    }
+
+    const outcome = modeConfig.backend === 'gemini'
+      ? await describeMode(provider, modeConfig, image)
+      : (await detectModes(provider, [modeConfig], image))[0];
+    await cache.set(modeConfig, outcome);
+
+    // data は顔の位置や表情・ラベルの確信度など、画像の上に重ねて描くための構造化した結果
+    res.status(200).json(outcome);
 
   } catch (error) {
     console.error('Final API Error:', error);
     // エラー内容をそのまま返して、万が一ダメな時も原因がわかるようにする
-    res.status(500).json({ error: error.message || 'Server Error' });
+    sendError(res, error, provider.name);
+  }
+}
+
+// ---------------------------------------------------------
+// モードごとの解析
+//   どれも { result, data?, meta } を返す。meta は答えたモデル・試行回数・所要時間。
+// ---------------------------------------------------------
+async function describeMode(provider, modeConfig, image) {
+  const input = { ...image, mode: modeConfig.id, prompt: renderPrompt(modeConfig) };
+  const { value, meta } = await runChain(provider.models, (model, signal) => provider.describe(model, input, signal));
+  return { result: applyCasing(modeConfig, value), ...layout(modeConfig), meta: { provider: provider.name, ...meta } };
+}
+
+// Vision のモードは必要な機能をまとめて1回で取り、モードごとの結果に分ける
+async function detectModes(provider, modeConfigs, image) {
+  const features = [...new Set(modeConfigs.map(m => m.feature))];
+  const { value, meta } = await runChain(
+    provider.visionModels,
+    (model, signal) => provider.annotate(model, image, features, signal)
+  );
+  return modeConfigs.map(modeConfig => ({
+    ...formatDetection(modeConfig, value),
+    meta: { provider: provider.name, ...meta },
+  }));
+}
+
+// 縦書きなどの組み方が決まっているモードは結果に writingMode を付ける
+const layout = modeConfig => (modeConfig.writingMode ? { writingMode: modeConfig.writingMode } : {});
+
+// ラベルや読み取った文字は画像の中の言葉なので訳さない。決まった文言だけ結果の言語にする
+function formatDetection(modeConfig, { labels, text, faces, document }) {
+  const { noData } = messages(modeConfig.lang);
+  if (modeConfig.feature === 'labels') {
+    return {
+      result: labels.length
+        ? applyCasing(modeConfig, labels.slice(0, 5).map(l => l.description).join('\n'))
+        : noData,
+      data: { labels },
+    };
   }
-}
\ No newline at end of file
+  if (modeConfig.feature === 'text') {
+    return { result: text ? applyCasing(modeConfig, text).slice(0, 100) : noData };
+  }
+  // 書類は全文をそのまま返し、ブロックの位置と言語を data に付ける（切り詰めない）
+  if (modeConfig.feature === 'document') {
+    return {
+      result: document.text ? applyCasing(modeConfig, document.text) : noData,
+      data: { document: { language: document.language, blocks: document.blocks } },
+    };
+  }
+  return {
+    result: faces.length ? applyCasing(modeConfig, describeFaces(faces, modeConfig.lang)) : noData,
+    data: { faces },
+  };
+}
+
+// 「2 faces / joy · surprise」のように、人数と読み取れた表情をまとめる
+function describeFaces(faces, lang) {
+  const likely = ['LIKELY', 'VERY_LIKELY'];
+  const emotions = new Set();
+  for (const face of faces) {
+    for (const [emotion, likelihood] of Object.entries(face.emotions)) {
+      if (likely.includes(likelihood)) emotions.add(emotion);
+    }
+  }
+
+  const words = messages(lang);
+  const count = words.faces(faces.length);
+  return emotions.size ? `${count}\n${[...emotions].map(e => words.emotions[e] ?? e).join(' · ')}` : count;
+}
+
+// ---------------------------------------------------------
+// 写真についての会話（ASK）
+//   最初のやり取り（モードのプロンプトと、その答え）にそれまでの質問と答えを続け、
+//   新しい質問への答えを { answer, meta } で返す。Vision のモードは答えがラベルや文字なので、
+//   最初の質問は「何が見えるか」にしておく。
+// ---------------------------------------------------------
+const FOLLOW_UP_WORDS = 40;
+const DETECTION_PROMPT = 'List what you can see in this image.';
+
+async function answerQuestion(provider, modeConfig, { question, result, thread }, image) {
+  const language = LANGUAGES[modeConfig.lang] || LANGUAGES.en;
+  const turns = [
+    { role: 'user', text: modeConfig.backend === 'gemini' ? renderPrompt(modeConfig) : DETECTION_PROMPT },
+    { role: 'model', text: result },
+    ...thread.flatMap(turn => [{ role: 'user', text: turn.question }, { role: 'model', text: turn.answer }]),
+    {
+      role: 'user',
+      text: `${question}\n\nAnswer this question about the same image in ${FOLLOW_UP_WORDS} words or less, in plain text. Reply in ${language.english}.`,
+    },
+  ];
+  const { value, meta } = await runChain(
+    provider.models,
+    (model, signal) => provider.converse(model, { ...image, mode: modeConfig.id, turns }, signal)
+  );
+  return { answer: value.trim(), meta: { provider: provider.name, ...meta } };
+}
+
+// ---------------------------------------------------------
+// 読み取った文字の翻訳（DOCUMENT の TRANSLATE）
+//   メニューや看板の文脈がわかるように画像も一緒に渡し、段落と改行を保ったまま結果の言語に訳す。
+//   { translation, lang, meta } を返す。
+// ---------------------------------------------------------
+async function translateText(provider, modeConfig, { text }, image) {
+  const language = LANGUAGES[modeConfig.lang] || LANGUAGES.en;
+  const turns = [{
+    role: 'user',
+    text: `Translate the following text from this image into ${language.english}. `
+      + `Keep the paragraphs and line breaks, and leave names, numbers and prices as they are. Reply with the translation only.\n\n${text}`,
+  }];
+  const { value, meta } = await runChain(
+    provider.models,
+    (model, signal) => provider.converse(model, { ...image, mode: modeConfig.id, turns }, signal)
+  );
+  return { translation: value.trim(), lang: modeConfig.lang, meta: { provider: provider.name, ...meta } };
+}
+
+// ---------------------------------------------------------
+// バッチ
+//   Gemini のモードは並行して投げ、Vision のモードは1回の images:annotate にまとめる。
+//   結果はリクエストの順に [{ mode, result, data?, meta }] で返し、
+//   失敗したモードだけ { mode, error, code } にする（ほかのモードの結果は捨てない）。
+//   キャッシュにあるモードは解析しない（meta.cached が付く）。
+// ---------------------------------------------------------
+async function analyzeBatch(provider, modeConfigs, image, cache) {
+  const cached = await Promise.all(modeConfigs.map(modeConfig => cache.get(modeConfig)));
+  const visionModes = modeConfigs.filter((m, i) => m.backend === 'vision' && !cached[i]);
+  const detection = visionModes.length ? detectModes(provider, visionModes, image) : null;
+
+  return Promise.all(modeConfigs.map(async (modeConfig, i) => {
+    if (cached[i]) return { mode: modeConfig.id, ...cached[i] };
+    try {
+      const outcome = modeConfig.backend === 'gemini'
+        ? await describeMode(provider, modeConfig, image)
+        : (await detection)[visionModes.indexOf(modeConfig)];
+      await cache.set(modeConfig, outcome);
+      return { mode: modeConfig.id, ...outcome };
+    } catch (error) {
+      console.error(`Batch Error (${modeConfig.id}):`, error);
+      return { mode: modeConfig.id, ...errorBody(error, provider.name) };
+    }
+  }));
+}
+
+// ---------------------------------------------------------
+// ストリーミング応答（NDJSON）
+//   {"chunk":"..."} を届いた順に1行ずつ書き、最後に {"result":"全文","meta":{...}} を送る。
+//   途中で失敗したら {"error":"...","code":"..."} を送って終わる。
+//   最後まで届いたら onComplete({ result, meta }) を呼ぶ（キャッシュへの保存）。
+// ---------------------------------------------------------
+async function streamDescription(res, modeConfig, providerName, chunks, onComplete) {
+  const iterator = chunks[Symbol.asyncIterator]();
+
+  // 最初のチャンクが来るまではヘッダーを送らない（失敗したら通常のエラー応答で返せるように）
+  let next = await iterator.next();
+
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('X-Accel-Buffering', 'no');
+
+  const send = (message) => res.write(`${JSON.stringify(message)}\n`);
+  let resultText = '';
+
+  try {
+    while (!next.done) {
+      const text = applyCasing(modeConfig, next.value);
+      if (text) {
+        resultText += text;
+        send({ chunk: text });
+      }
+      next = await iterator.next();
+    }
+    const meta = { provider: providerName, ...next.value };
+    send({ result: resultText, ...layout(modeConfig), meta });
+    await onComplete?.({ result: resultText, ...layout(modeConfig), meta });
+  } catch (error) {
+    console.error('Stream Error:', error);
+    send(errorBody(error, providerName));
+  }
+
+  res.end();
+}
@@ -0,0 +1,52 @@
+import { authenticate, safeEqual } from './_lib/access.js';
+import { applyCors } from './_lib/cors.js';
+import { AnalyzeError, sendError } from './_lib/errors.js';
+import { DEFAULT_LANG, publicLanguages } from './_lib/languages.js';
+import { listSubmissions, loadModes, parseCustomMode, publicMode, saveSubmission } from './_lib/modes.js';
+import { enforceQuota } from './_lib/quota.js';
+
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  try {
+    // ---------------------------------------------------------
+    // GET: モード一覧（?submissions=1 なら承認待ち一覧。管理者のみ）
+    // ---------------------------------------------------------
+    if (req.method === 'GET') {
+      if (req.query?.submissions) {
+        const token = process.env.MODES_ADMIN_TOKEN;
+        if (!token || !safeEqual(req.headers.authorization || '', `Bearer ${token}`)) {
+          throw new AnalyzeError('unauthorized', 'Missing or invalid admin token');
+        }
+        return res.status(200).json({ submissions: await listSubmissions() });
+      }
+
+      return res.status(200).json({
+        modes: loadModes().map(publicMode),
+        customModes: process.env.CUSTOM_MODES !== 'off',
+        languages: publicLanguages(),
+        defaultLang: DEFAULT_LANG,
+      });
+    }
+
+    // ---------------------------------------------------------
+    // POST: カスタムモードを承認待ちとして受け付ける
+    // ---------------------------------------------------------
+    if (req.method === 'POST') {
+      await enforceQuota(res, authenticate(req));
+
+      const { mode, error } = parseCustomMode(req.body);
+      if (error) throw new AnalyzeError('invalid_request', error);
+
+      const submission = await saveSubmission(mode);
+      return res.status(202).json({ id: submission.id, status: 'pending' });
+    }
+
+    res.setHeader('Allow', 'GET, POST, OPTIONS');
+    res.status(405).json({ error: 'Method Not Allowed', code: 'invalid_request' });
+
+  } catch (error) {
+    console.error('Modes API Error:', error);
+    sendError(res, error);
+  }
+}
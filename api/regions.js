@@ -0,0 +1,50 @@
+import { authenticate } from './_lib/access.js';
+import { runChain } from './_lib/chain.js';
+import { applyCors } from './_lib/cors.js';
+import { sendError } from './_lib/errors.js';
+import { prepareImage } from './_lib/image.js';
+import { getProvider } from './_lib/providers/index.js';
+import { enforceQuota } from './_lib/quota.js';
+import { parseRegionsRequest } from './_lib/validate.js';
+
+// プライバシーモードで隠す範囲（顔とナンバープレート）。
+// ブラウザの FaceDetector で顔が見つけられない時と、ナンバープレートを探す時に使う。
+//   POST { base64Image, regions? } -> { faces: Box[], plates: Box[], meta }（Box は 0〜1 の { x, y, width, height }）
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST, OPTIONS');
+    return res.status(405).json({ error: 'Method Not Allowed', code: 'invalid_request' });
+  }
+
+  let caller;
+  let provider;
+  try {
+    caller = authenticate(req);
+    provider = getProvider();
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    const { base64Image, regions } = parseRegionsRequest(req.body);
+    const { image, mimeType, width, height } = await prepareImage(base64Image);
+    // 確認を通ったリクエストだけを利用回数に数える
+    await enforceQuota(res, caller);
+    const { value, meta } = await runChain(
+      provider.visionModels,
+      (model, signal) => provider.annotate(model, { image, mimeType, width, height }, regions, signal)
+    );
+    const boxes = found => (found || []).map(f => f.box).filter(Boolean);
+    res.status(200).json({
+      faces: boxes(value.faces),
+      plates: boxes(value.plates),
+      meta: { provider: provider.name, ...meta },
+    });
+
+  } catch (error) {
+    console.error('Regions API Error:', error);
+    sendError(res, error, provider.name);
+  }
+}
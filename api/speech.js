@@ -0,0 +1,46 @@
+import { authenticate } from './_lib/access.js';
+import { runChain } from './_lib/chain.js';
+import { applyCors } from './_lib/cors.js';
+import { AnalyzeError, sendError } from './_lib/errors.js';
+import { getProvider } from './_lib/providers/index.js';
+import { enforceQuota } from './_lib/quota.js';
+import { parseSpeechRequest } from './_lib/validate.js';
+
+// 結果の読み上げ音声。画面ではブラウザの Web Speech API で読み上げるが、
+// その音は録音できないので、クリップに入れるナレーションはここで作る。
+//   POST { text, lang?, rate?, pitch? } -> { audio: base64, mimeType, meta }
+export default async function handler(req, res) {
+  if (applyCors(req, res)) return;
+
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST, OPTIONS');
+    return res.status(405).json({ error: 'Method Not Allowed', code: 'invalid_request' });
+  }
+
+  let caller;
+  let provider;
+  try {
+    caller = authenticate(req);
+    provider = getProvider();
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  try {
+    if (!provider.synthesize) {
+      throw new AnalyzeError('forbidden', `Speech is not available with the ${provider.name} provider`);
+    }
+    const input = parseSpeechRequest(req.body);
+    // 確認を通ったリクエストだけを利用回数に数える
+    await enforceQuota(res, caller);
+    const { value, meta } = await runChain(
+      provider.speechModels,
+      (model, signal) => provider.synthesize(model, input, signal)
+    );
+    res.status(200).json({ ...value, meta: { provider: provider.name, ...meta } });
+
+  } catch (error) {
+    console.error('Speech API Error:', error);
+    sendError(res, error, provider.name);
+  }
+}
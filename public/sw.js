@@ -0,0 +1,99 @@
+// ---------------------------------------------------------
+// Service Worker
+//   アプリの外側（HTML・ビルドした JS/CSS・フォント・アイコン）をキャッシュして、
+//   オフラインでも開けるようにする。/api は通さずにそのままネットワークへ
+//   （オフラインで撮ったものはアプリの outbox に入れて、つながってから送る）。
+//   モードの一覧（/api/modes）だけは最後に取れたものをオフラインで返す。
+//   キャッシュの中身を変えた時は VERSION を上げる（古いキャッシュは activate で消す）。
+// ---------------------------------------------------------
+const VERSION = 'v1';
+const SHELL_CACHE = `camera-describe-shell-${VERSION}`;
+const MODES_CACHE = `camera-describe-modes-${VERSION}`;
+
+const SHELL_URLS = [
+  '/',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/icon-192.png',
+  '/icon-512.png',
+  '/fonts/OTRGrotesk-Regular.otf',
+];
+
+// index.html が読み込む /assets/ のファイル（名前にハッシュが付くので HTML から拾う）
+async function shellAssets() {
+  const html = await (await fetch('/', { cache: 'no-cache' })).text();
+  return [...new Set([...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]))];
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll([...SHELL_URLS, ...await shellAssets()]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, MODES_CACHE];
+    for (const key of await caches.keys()) {
+      if (!keep.includes(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// 先にネットワーク、だめならキャッシュ
+async function networkFirst(request, cacheName, fallbackUrl = request) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(fallbackUrl, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// 名前で中身が決まるもの（ハッシュ付きの assets・フォント）はキャッシュを先に
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname === '/api/modes') {
+    event.respondWith(networkFirst(request, MODES_CACHE));
+    return;
+  }
+  if (url.pathname.startsWith('/api/')) return;
+
+  // ページはいつも同じ index.html（新しいビルドがあればそれを使う）
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    return;
+  }
+  if (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// 通知をタップしたら、開いているアプリに戻る（なければ開く）
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length) return windows[0].focus();
+    return self.clients.openWindow('/');
+  })());
+});
@@ -0,0 +1,92 @@
+// ---------------------------------------------------------
+// /api のローカルサーバー
+//   Vercel と同じ handler をそのまま載せて、vite の開発サーバー（/api をここに転送する）や
+//   自動テストから呼べるようにする。Vercel の req.body・req.query・res.status・res.json だけ真似る。
+//     npm run api                  - 環境変数のまま（GOOGLE_API_KEY や VISION_PROVIDER）
+//     npm run api -- --replay      - 保存した答えで動かす（キーもネットワークも不要）
+//     npm run api -- --record      - 本物の Google を呼んで答えを保存する
+//   PORT（既定 3001。0 なら空いているポート）で待ち受ける。テスト（test/）は --replay で起動して使う。
+// ---------------------------------------------------------
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { envInt } from '../api/_lib/env.js';
+import analyze from '../api/analyze.js';
+import modes from '../api/modes.js';
+import regions from '../api/regions.js';
+import speech from '../api/speech.js';
+
+const ROUTES = {
+  '/api/analyze': analyze,
+  '/api/modes': modes,
+  '/api/regions': regions,
+  '/api/speech': speech,
+};
+
+// Vercel の既定と同じ上限
+const MAX_BODY_BYTES = 4.5 * 1024 * 1024;
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw Object.assign(new Error('Request body is too large'), { status: 413 });
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return undefined;
+  if (!(req.headers['content-type'] || '').includes('application/json')) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw Object.assign(new Error('Invalid JSON'), { status: 400 });
+  }
+}
+
+function withHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  return res;
+}
+
+export function createApiServer() {
+  return createServer(async (req, res) => {
+    withHelpers(res);
+    const url = new URL(req.url, 'http://localhost');
+    const handler = ROUTES[url.pathname];
+    if (!handler) return res.status(404).json({ error: 'Not Found', code: 'invalid_request' });
+
+    try {
+      req.query = Object.fromEntries(url.searchParams);
+      req.body = await readBody(req);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message, code: error.status === 413 ? 'too_large' : 'invalid_request' });
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      console.error('Unhandled API error:', error);
+      if (!res.headersSent) res.status(500).json({ error: 'Internal Server Error' });
+      else res.end();
+    }
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  if (args.includes('--replay')) process.env.GOOGLE_FIXTURES = 'replay';
+  if (args.includes('--record')) process.env.GOOGLE_FIXTURES = 'record';
+
+  const server = createApiServer().listen(envInt(process.env.PORT, 3001), () => {
+    const fixtures = process.env.GOOGLE_FIXTURES ? ` (${process.env.GOOGLE_FIXTURES} fixtures)` : '';
+    console.log(`API listening on http://localhost:${server.address().port}${fixtures}`);
+  });
+}
@@ -0,0 +1,14 @@
+// 署名付きアクセストークンを発行する
+//   ACCESS_TOKEN_SECRET=... npm run token -- <clientId> [有効日数（既定 30）]
+import { signToken } from '../api/_lib/access.js';
+
+const [clientId, days = '30'] = process.argv.slice(2);
+const secret = process.env.ACCESS_TOKEN_SECRET;
+
+if (!clientId || !secret) {
+  console.error('Usage: ACCESS_TOKEN_SECRET=... npm run token -- <clientId> [days]');
+  process.exit(1);
+}
+
+const expiresAt = Date.now() + Number(days) * 24 * 60 * 60 * 1000;
+console.log(signToken(clientId, expiresAt, secret));
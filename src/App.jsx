@@ -1,29 +1,416 @@
-import { useState, useRef, useEffect } from 'react';
-import html2canvas from 'html2canvas';
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { a11yVariant, isTypingTarget, loadA11ySettings, saveA11ySettings } from './lib/a11y.js';
+import { analyze, analyzeBatch, ask, errorMessage, translate } from './lib/analyze.js';
+import { addCapture, addResult, addTurn, getCapture, touchCapture } from './lib/history.js';
+import {
+  blobToCanvas,
+  blobToDataUrl,
+  canvasToBlob,
+  fileToCanvas,
+  isImageFile,
+  toAnalysisImage,
+} from './lib/image.js';
+import {
+  applyCameraControls,
+  listCameras,
+  loadCameraSettings,
+  saveCameraSettings,
+  videoConstraints,
+  watchCameras,
+} from './lib/camera.js';
+import { exportClip, loadClipSettings, saveClipSettings } from './lib/clip.js';
+import {
+  cropCanvas,
+  DEFAULT_VIEW,
+  isUsableCrop,
+  toCropFrame,
+  toFullFrame,
+  viewRegion,
+  viewTransform,
+} from './lib/crop.js';
+import { FALLBACK_LANGUAGES, loadLang, saveLang } from './lib/language.js';
+import { loadLiveSettings, MIN_LIVE_INTERVAL_SEC, saveLiveSettings, startLiveDescribe } from './lib/live.js';
+import { listLuts } from './lib/filters/lut.js';
+import { loadFilterStack, saveFilterStack } from './lib/filters/presets.js';
+import { createFilterRenderer } from './lib/filters/renderer.js';
+import {
+  FALLBACK_MODES,
+  fetchModes,
+  loadCustomModes,
+  loadMultiModeIds,
+  resolveMultiModes,
+  saveCustomModes,
+  saveMultiModeIds,
+  toCustomModeRequest,
+} from './lib/modes.js';
+import {
+  composePoster,
+  currentLocation,
+  exportPoster,
+  loadPosterSettings,
+  savePosterSettings,
+} from './lib/poster.js';
+import { countOutbox, flushOutbox, queueAnalysis } from './lib/outbox.js';
+import {
+  findPrivateRegions,
+  hideForUpload,
+  loadPrivacySettings,
+  needsConsent,
+  redactRegions,
+  savePrivacySettings,
+} from './lib/privacy.js';
+import { notify, requestNotifications, setAppBadge } from './lib/pwa.js';
+import { shareOrDownload } from './lib/share.js';
+import {
+  fetchNarration,
+  loadSpeechSettings,
+  modeVoice,
+  saveSpeechSettings,
+  speak,
+  speechSupported,
+} from './lib/speech.js';
+import A11yPanel from './components/A11yPanel.jsx';
+import Annotations from './components/Annotations.jsx';
+import AskThread from './components/AskThread.jsx';
+import CameraPanel from './components/CameraPanel.jsx';
+import ClipPanel from './components/ClipPanel.jsx';
+import CropBox from './components/CropBox.jsx';
+import DocumentPanel from './components/DocumentPanel.jsx';
+import FilterPanel from './components/FilterPanel.jsx';
+import Gallery from './components/Gallery.jsx';
+import ModeEditor from './components/ModeEditor.jsx';
+import PosterPanel from './components/PosterPanel.jsx';
+import PrivacyPanel from './components/PrivacyPanel.jsx';
+import ResultCards from './components/ResultCards.jsx';
+import ResultText from './components/ResultText.jsx';
+import VoicePanel from './components/VoicePanel.jsx';
+import ZoomLayer from './components/ZoomLayer.jsx';
+
+// getUserMedia の失敗の種類ごとの表示文言
+const CAMERA_ERRORS = {
+  NotAllowedError: 'CAMERA ACCESS DENIED',
+  NotFoundError: 'NO CAMERA FOUND',
+  NotReadableError: 'THE CAMERA IS IN USE',
+};
+
+// フィルターをかけたプレビューの長辺（CPU で描く時はさらに小さくする）
+const PREVIEW_MAX_EDGE = 720;
+const PREVIEW_MAX_EDGE_2D = 360;
+
+// /api/analyze に送るモードの指定
+const modeRequest = m => ({
+  mode: m.custom ? 'custom' : m.id,
+  customMode: m.custom ? toCustomModeRequest(m) : undefined,
+});
+
+// 読み上げの最初の語の境界イベントを待つ時間（来なければ普通のタイプライターで出す）
+const BOUNDARY_WAIT_MS = 1000;
+
+// 表示用の置き換え（保存する結果はそのまま）
+const displayText = (modeId, text) => (
+  modeId === 'celebrity' ? text.replace(/DONALD TRUMP/gi, 'ORANGE CROWN') : text
+);
 
 function App() {
   const [isStreaming, setIsStreaming] = useState(false);
   const [capturedImage, setCapturedImage] = useState(null);
+  const [capturedSize, setCapturedSize] = useState(null);
+  const [captureId, setCaptureId] = useState(null);
+  // 保存する画像のキャプションに入れる撮影日時と場所
+  const [capturedAt, setCapturedAt] = useState(null);
+  const [captureLocation, setCaptureLocation] = useState(null);
+  const [showGallery, setShowGallery] = useState(false);
   const [result, setResult] = useState(null);
+  const [resultData, setResultData] = useState(null);
   const [displayedResult, setDisplayedResult] = useState('');
+  const [streamed, setStreamed] = useState(false);
+  const [meta, setMeta] = useState(null);
+  // 縦書きで出す結果（日本語の俳句など）は 'vertical-rl'
+  const [writingMode, setWritingMode] = useState(null);
   const [loading, setLoading] = useState(false);
   const [mode, setMode] = useState('gemini');
   const [dots, setDots] = useState('');
+  // カメラが使えない・写真が読めない時に出すメッセージ
+  const [notice, setNotice] = useState('');
+  const [dragging, setDragging] = useState(false);
+
+  // モード（サーバーのレジストリ + ローカルのカスタムモード）
+  const [serverModes, setServerModes] = useState(FALLBACK_MODES);
+  const [customModesEnabled, setCustomModesEnabled] = useState(true);
+  const [customModes, setCustomModes] = useState(loadCustomModes);
+  const [showModeEditor, setShowModeEditor] = useState(false);
+
+  // 結果の言語
+  const [languages, setLanguages] = useState(FALLBACK_LANGUAGES);
+  const [lang, setLang] = useState(() => loadLang());
+
+  // 複数モードでまとめて解析する時のモードの組み合わせと、モードごとの結果（カード）
+  const [multiModeIds, setMultiModeIds] = useState(loadMultiModeIds);
+  const [cards, setCards] = useState(null);
+  const [cardIndex, setCardIndex] = useState(0);
+
+  // 結果について質問したやり取り（ASK）。[{ mode, question, answer, createdAt }]
+  const [thread, setThread] = useState([]);
+  const [showAsk, setShowAsk] = useState(false);
+  // 答えを待っている質問と、失敗した時のメッセージ
+  const [asking, setAsking] = useState(null);
+  const [askError, setAskError] = useState('');
+
+  // DOCUMENT の結果を訳したもの（{ text, lang }）と、訳している間・失敗した時のメッセージ
+  const [translation, setTranslation] = useState(null);
+  const [translating, setTranslating] = useState(false);
+  const [translateError, setTranslateError] = useState('');
+
+  // ライブ解説（場面が変わるたびに自動で解析して映像に重ねる）
+  const [live, setLive] = useState(false);
+  const [liveSettings, setLiveSettings] = useState(loadLiveSettings);
+  const [liveText, setLiveText] = useState('');
+  const [liveBusy, setLiveBusy] = useState(false);
   
-  // カメラ設定
-  const [facingMode, setFacingMode] = useState('environment');
-  const [zoom, setZoom] = useState(1);
+  // カメラ設定（使うカメラ・解像度・手動の設定は覚えておく）と、つないでいるカメラの一覧
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  const [cameras, setCameras] = useState([]);
   const [showSettings, setShowSettings] = useState(false);
   const [capabilities, setCapabilities] = useState({});
+  // トラックの今の値（getSettings()）
+  const [trackSettings, setTrackSettings] = useState({});
+  // プレビューのデジタルズーム（撮る時は見えている範囲だけを撮る）
+  const [view, setView] = useState(DEFAULT_VIEW);
+
+  // 撮影した画像のうち解析する範囲（crop）と、範囲を描いている間の下書き
+  const [crop, setCrop] = useState(null);
+  const [cropping, setCropping] = useState(false);
+  const [cropDraft, setCropDraft] = useState(null);
   
-  // フィルター設定
-  const [monochrome, setMonochrome] = useState(false);
-  const [grain, setGrain] = useState(0);
+  // フィルター設定（上から順にかけるフィルターの並び）と、読み込んだ色の LUT
+  const [filterStack, setFilterStack] = useState(loadFilterStack);
+  const [luts, setLuts] = useState([]);
+  const lutMap = useMemo(() => Object.fromEntries(luts.map(lut => [lut.id, lut])), [luts]);
+
+  // SAVE で書き出す画像の設定
+  const [posterSettings, setPosterSettings] = useState(loadPosterSettings);
+  // EXPORT CLIP の設定と、書き出し中の進み具合（0〜1。書き出していなければ null）
+  const [clipSettings, setClipSettings] = useState(loadClipSettings);
+  const [clipProgress, setClipProgress] = useState(null);
+  const [clipFailed, setClipFailed] = useState(false);
+  const [saveFailed, setSaveFailed] = useState(false);
+
+  // プライバシーモード。CELEBRITY はその間、確認してから使う（同意はこのセッションの間だけ）
+  const [privacySettings, setPrivacySettings] = useState(loadPrivacySettings);
+  const [celebrityConsent, setCelebrityConsent] = useState(false);
+  // 確認が済んだら続ける処理
+  const [pendingConsent, setPendingConsent] = useState(null);
+
+  // オフラインで撮って解析を待っているキャプチャ（outbox）の数と、つながってから届いた結果
+  const [online, setOnline] = useState(() => navigator.onLine);
+  const [outboxCount, setOutboxCount] = useState(0);
+  // { count, captureId }（captureId は最後に届いたキャプチャ）
+  const [arrived, setArrived] = useState(null);
+
+  // 結果の読み上げ（ミュートとモードごとの声）
+  const [speechSettings, setSpeechSettings] = useState(loadSpeechSettings);
+  const narrating = speechSupported() && !speechSettings.muted;
+
+  // アクセシビリティモード（詳しい説明をタイプライターなしで出す）と、スクリーンリーダーに読ませる文
+  const [a11ySettings, setA11ySettings] = useState(loadA11ySettings);
+  const [announcement, setAnnouncement] = useState('');
+  const variant = a11yVariant(a11ySettings);
   
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
   const trackRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const previewCanvasRef = useRef(null);
+  // プレビューと撮影で同じものを使う（WebGL のコンテキストを増やさないように）
+  const filterRendererRef = useRef(null);
+  // 今表示しているキャプチャの解析用画像（RE-RUN で使い回す）
+  const analysisImageRef = useRef(null);
+  // 解析用画像で見つけた隠す範囲（同じ画像で何度も探さないように）
+  const regionsRef = useRef(null);
+  // 今表示しているキャプチャの元の解像度の画像（Blob の Promise）と、そこから切り出した crop の解析用画像
+  const rawFrameRef = useRef(null);
+  const regionImageRef = useRef(null);
+
+  const modes = customModesEnabled ? [...serverModes, ...customModes] : serverModes;
+  const multiModes = resolveMultiModes(modes, multiModeIds);
+  // モードの切り替えの最後に、選んだモードをまとめて解析する項目を置く
+  const modeOptions = [...modes, {
+    id: 'multi',
+    name: multiModes.length === modes.length ? 'ALL MODES' : `${multiModes.length} MODES`,
+    multi: true,
+  }];
+  const currentMode = modeOptions.find(m => m.id === mode) || modes[0];
+  // 撮影した時に解析するモード
+  const modesToRun = currentMode.multi ? multiModes : [currentMode];
+  const consentNeeded = modesUsed => privacySettings.enabled && !celebrityConsent && modesUsed.some(needsConsent);
+  // ライブ解説は1モードずつ（ALL MODES の時と、確認が済んでいない時は動かさない）
+  const liveMode = live && !currentMode.multi && !consentNeeded([currentMode]) ? currentMode : null;
+  // 読み上げる声（カードが並んでいる時は表示中のカードのモードの声）
+  const shownCard = cards?.[cardIndex] || null;
+  const voice = modeVoice(shownCard ? modes.find(m => m.id === shownCard.mode) : currentMode, speechSettings);
+
+  // クリップボードの画像の貼り付け
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const file = [...(e.clipboardData?.files || [])].find(isImageFile);
+      if (!file || capturedImage) return;
+      e.preventDefault();
+      importFile(file);
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  });
+
+  // キーボードショートカット（Space 撮影・M モード・F カメラの切り替え・S 保存・Esc 閉じる / AGAIN）
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+      const onCamera = isStreaming && !capturedImage;
+      const onResult = capturedImage && !loading;
+      const overlay = pendingConsent || showGallery || showModeEditor;
+      const key = e.key.toLowerCase();
+
+      if (key === 'escape') {
+        // 開いているものがあれば先に閉じる
+        if (pendingConsent) setPendingConsent(null);
+        else if (showModeEditor) setShowModeEditor(false);
+        else if (showGallery) setShowGallery(false);
+        else if (showSettings) setShowSettings(false);
+        else if (cropping) setCropping(false);
+        else if (onResult) reset();
+        else return;
+      } else if (overlay) {
+        return;
+      } else if (key === ' ') {
+        // ボタンなどにフォーカスがある時は、Space はそれを押すのに使う
+        if (!onCamera || e.target.closest?.('button, input, select, a')) return;
+        captureAndAnalyze();
+      } else if (key === 'm') {
+        cycleMode();
+      } else if (key === 'f') {
+        if (!onCamera) return;
+        toggleCamera();
+      } else if (key === 's') {
+        if (!onResult) return;
+        saveImage();
+      } else {
+        return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  useEffect(() => {
+    const handleOnline = () => setOnline(true);
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // USB のカメラを抜き差しした時に一覧を取り直す
+  useEffect(() => watchCameras(() => {
+    listCameras().then(setCameras).catch(() => {});
+  }), []);
+
+  // つながっている間（起動した時・つながり直した時）に outbox を送る
+  useEffect(() => {
+    if (!online) return;
+    flushOutbox({
+      prepare: (base64Image, modesUsed) => hideForUpload(base64Image, modesUsed, privacySettings),
+      onSent: (item, analyses) => {
+        setArrived(previous => ({ count: (previous?.count || 0) + 1, captureId: item.captureId }));
+        notify('camera-describe', analyses[0]?.text || 'A QUEUED PHOTO WAS DESCRIBED');
+      },
+    })
+      .catch(e => console.warn('Failed to send queued captures:', e))
+      .then(countOutbox)
+      .then(setOutboxCount)
+      .catch(() => {});
+  }, [online, privacySettings]);
+
+  useEffect(() => setAppBadge(outboxCount), [outboxCount]);
+
+  // ライブ解説。カメラが動いていて、撮影した画像を表示していない間だけ動かす
+  useEffect(() => {
+    if (!liveMode || !isStreaming || capturedImage) return;
+
+    return startLiveDescribe({
+      video: videoRef.current,
+      canvas: canvasRef.current,
+      minIntervalMs: liveSettings.minIntervalSec * 1000,
+      threshold: liveSettings.threshold,
+      describe: async (base64Image, signal) => analyze({
+        base64Image: await hideForUpload(base64Image, [liveMode], privacySettings),
+        ...modeRequest(liveMode),
+        lang,
+        variant,
+        signal,
+        onChunk: setLiveText,
+      }),
+      onResult: (response) => {
+        setLiveText(response.result);
+        setAnnouncement(displayText(liveMode.id, response.result));
+      },
+      onError: e => setLiveText(errorMessage(e)),
+      onBusy: setLiveBusy,
+    });
+  }, [liveMode, isStreaming, capturedImage, liveSettings, lang, variant, privacySettings]);
+
+  // フィルターをかけたプレビュー。撮影の時と同じ renderer で描く
+  useEffect(() => {
+    if (!isStreaming || capturedImage || !filterStack.length) return;
+
+    const renderer = (filterRendererRef.current ??= createFilterRenderer());
+    const maxEdge = renderer.kind === 'webgl' ? PREVIEW_MAX_EDGE : PREVIEW_MAX_EDGE_2D;
+    let frame;
+
+    const draw = () => {
+      const video = videoRef.current;
+      const canvas = previewCanvasRef.current;
+      if (video?.videoWidth && canvas) {
+        const scale = Math.min(1, maxEdge / Math.max(video.videoWidth, video.videoHeight));
+        const width = Math.round(video.videoWidth * scale);
+        const height = Math.round(video.videoHeight * scale);
+        renderer.render(video, { width, height, stack: filterStack, luts: lutMap });
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+        canvas.getContext('2d').drawImage(renderer.canvas, 0, 0);
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+
+    return () => cancelAnimationFrame(frame);
+  }, [isStreaming, capturedImage, filterStack, lutMap]);
+
+  // 読み込んである LUT
+  useEffect(() => {
+    listLuts()
+      .then(setLuts)
+      .catch(e => console.warn('Failed to load LUTs:', e));
+  }, []);
+
+  // モード一覧の読み込み
+  useEffect(() => {
+    fetchModes()
+      .then((data) => {
+        setServerModes(data.modes);
+        setCustomModesEnabled(data.customModes);
+        if (data.languages?.length) {
+          setLanguages(data.languages);
+          // 一覧にない言語を選んでいたら選び直す
+          setLang(current => (data.languages.some(l => l.id === current) ? current : loadLang(data.languages)));
+        }
+      })
+      .catch(e => console.warn('Failed to load modes:', e));
+  }, []);
 
   // ローディングドットアニメーション
   useEffect(() => {
@@ -41,46 +428,98 @@ function App() {
     return () => clearInterval(interval);
   }, [loading]);
 
-  // タイプライター効果
+  // タイプライター効果（読み上げる時は、読んでいる語の終わりまでしか出さない）
   useEffect(() => {
     if (!result) {
       setDisplayedResult('');
       return;
     }
     
-    let processedResult = result;
-    if (mode === 'celebrity') {
-      processedResult = result.replace(/DONALD TRUMP/gi, 'ORANGE CROWN');
+    const processedResult = displayText(mode, result);
+
+    // ストリーミングで届いた分はそのまま表示する
+    if (streamed) {
+      setDisplayedResult(processedResult);
+      return;
+    }
+
+    // アクセシビリティモードは全文をすぐに出す（読み上げる時も待たない）
+    if (a11ySettings.enabled) {
+      setDisplayedResult(processedResult);
+      return narrating
+        ? speak(processedResult, { lang, voice: voice.voice, rate: voice.rate, pitch: voice.pitch })
+        : undefined;
     }
     
     setDisplayedResult('');
     let index = 0;
+    // 読み上げた位置。境界イベントを出さない声なら null のまま
+    let spokenTo = null;
+    const startedAt = Date.now();
+    const stopSpeaking = narrating
+      ? speak(processedResult, {
+        lang,
+        voice: voice.voice,
+        rate: voice.rate,
+        pitch: voice.pitch,
+        onBoundary: (end) => {
+          spokenTo = end;
+        },
+        onEnd: () => {
+          spokenTo = processedResult.length;
+        },
+      })
+      : null;
     
     const interval = setInterval(() => {
-      if (index < processedResult.length) {
+      if (index >= processedResult.length) {
+        clearInterval(interval);
+        return;
+      }
+      const waiting = narrating && Date.now() - startedAt < BOUNDARY_WAIT_MS;
+      const limit = spokenTo ?? (waiting ? 0 : processedResult.length);
+      if (index < limit) {
         setDisplayedResult(processedResult.slice(0, index + 1));
         index++;
-      } else {
-        clearInterval(interval);
       }
     }, 50);
     
-    return () => clearInterval(interval);
-  }, [result, mode]);
+    return () => {
+      clearInterval(interval);
+      stopSpeaking?.();
+    };
+  }, [result, mode, streamed, a11ySettings.enabled, narrating, lang, voice.voice, voice.rate, voice.pitch]);
+
+  // 表示中のカードが変わったらスクリーンリーダーにも読ませる
+  useEffect(() => {
+    if (shownCard) setAnnouncement(`${shownCard.modeName}. ${displayText(shownCard.mode, shownCard.text)}`);
+  }, [shownCard]);
+
+  // カードはタイプライターなしで出すので、表示中のカードを読み上げるだけ
+  useEffect(() => {
+    if (!narrating || !shownCard) return;
+    return speak(displayText(shownCard.mode, shownCard.text), {
+      lang,
+      voice: voice.voice,
+      rate: voice.rate,
+      pitch: voice.pitch,
+    });
+  }, [narrating, shownCard, lang, voice.voice, voice.rate, voice.pitch]);
 
-  const startCamera = async (facing = facingMode) => {
+  const startCamera = async (settings = cameraSettings) => {
     try {
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => track.stop());
       }
 
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { 
-          facingMode: facing,
-          width: { ideal: 1920 },
-          height: { ideal: 1080 },
-        } 
-      });
+      let stream;
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints(settings) });
+      } catch (e) {
+        // 覚えていたカメラが外されていたら、前後の向きで選び直す（覚えている設定はそのまま）
+        if (!settings.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(e.name)) throw e;
+        stream = await navigator.mediaDevices.getUserMedia({ video: videoConstraints({ ...settings, deviceId: null }) });
+      }
       
       videoRef.current.srcObject = stream;
       streamRef.current = stream;
@@ -88,166 +527,654 @@ function App() {
       const track = stream.getVideoTracks()[0];
       trackRef.current = track;
       
-      const caps = track.getCapabilities();
+      const caps = track.getCapabilities?.() || {};
       setCapabilities(caps);
+      await applyCameraControls(track, settings.controls, caps);
+      setTrackSettings(track.getSettings());
+      // 許可が出た後ならカメラの名前も取れる
+      listCameras().then(setCameras).catch(() => {});
       
       setIsStreaming(true);
       setCapturedImage(null);
       setResult(null);
+      setNotice('');
     } catch (e) {
       console.error('Camera access denied:', e);
+      setNotice(CAMERA_ERRORS[e.name] || 'CAMERA IS NOT AVAILABLE');
     }
   };
 
-  const applySettings = async (settings) => {
-    if (!trackRef.current) return;
-    try {
-      await trackRef.current.applyConstraints({ advanced: [settings] });
-    } catch (e) {
-      console.warn('Failed to apply settings:', e);
+  // カメラ・解像度・フレームレートが変わったらカメラをつなぎ直し、それ以外はトラックに当てるだけ
+  const updateCameraSettings = async (next) => {
+    setCameraSettings(next);
+    saveCameraSettings(next);
+    if (!isStreaming) return;
+
+    const reconnect = ['deviceId', 'facingMode', 'resolution', 'frameRate'].some(key => next[key] !== cameraSettings[key]);
+    if (reconnect) {
+      setView(DEFAULT_VIEW);
+      startCamera(next);
+      return;
     }
+    const track = trackRef.current;
+    if (!track) return;
+    await applyCameraControls(track, next.controls, capabilities);
+    setTrackSettings(track.getSettings());
+  };
+
+  // FLIP は選んだカメラをやめて前後を入れ替える（レンズごとの設定は持ち越さない）
+  const toggleCamera = () => updateCameraSettings({
+    ...cameraSettings,
+    deviceId: null,
+    facingMode: cameraSettings.facingMode === 'environment' ? 'user' : 'environment',
+    controls: {},
+  });
+
+  const updateFilterStack = (next) => {
+    setFilterStack(next);
+    saveFilterStack(next);
   };
 
-  const handleZoomChange = (value) => {
-    setZoom(value);
-    applySettings({ zoom: value });
+  const analyzeImage = (base64Image, { fresh } = {}) => analyze({
+    base64Image,
+    ...modeRequest(currentMode),
+    fresh,
+    lang,
+    variant,
+    // 最初のチャンクが届いたら THINKING... を消して表示を始める
+    // 読み上げる時は、タイプライターと声を合わせるために全文が届いてから出す
+    onChunk: narrating ? undefined : (text) => {
+      setStreamed(true);
+      setLoading(false);
+      setResult(text);
+    },
+  });
+
+  // プライバシーモードで確認が要るモードを使う時は、確認してから run する
+  const withConsent = (modesUsed, run) => {
+    if (consentNeeded(modesUsed)) setPendingConsent(() => run);
+    else run();
   };
 
-  const toggleCamera = () => {
-    const newFacing = facingMode === 'environment' ? 'user' : 'environment';
-    setFacingMode(newFacing);
-    startCamera(newFacing);
+  const captureAndAnalyze = () => withConsent(modesToRun, () => {
+    const video = videoRef.current;
+    if (!video) return;
+    // デジタルズームしている時は、画面に見えている範囲だけを撮る
+    const region = view.scale > 1
+      ? viewRegion(view, video.clientWidth, video.clientHeight, video.videoWidth, video.videoHeight)
+      : undefined;
+    analyzeFrame(video, video.videoWidth, video.videoHeight, region);
+  });
+
+  // 写真ライブラリ・ドラッグ&ドロップ・貼り付けで受け取った画像
+  const importFile = async (file) => {
+    if (loading) return;
+    if (!isImageFile(file)) {
+      setNotice('THIS FILE IS NOT AN IMAGE');
+      return;
+    }
+
+    let source;
+    try {
+      source = await fileToCanvas(file);
+    } catch (e) {
+      console.error('Failed to read image:', e);
+      setNotice('THE IMAGE COULD NOT BE READ');
+      return;
+    }
+    setNotice('');
+    withConsent(modesToRun, () => analyzeFrame(source, source.width, source.height));
   };
 
-  const applyFilters = (canvas, ctx) => {
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data;
+  // カメラのフレームも読み込んだ写真も、同じようにフィルター → 解析 → 表示 → 履歴への保存をする
+  // region は撮る範囲（source の画素の { sx, sy, sw, sh }）。デジタルズームしていなければ全体
+  const analyzeFrame = async (source, width, height, region = { sx: 0, sy: 0, sw: width, sh: height }) => {
+    const canvas = canvasRef.current;
 
-    if (monochrome) {
-      for (let i = 0; i < data.length; i += 4) {
-        const avg = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-        data[i] = avg;
-        data[i + 1] = avg;
-        data[i + 2] = avg;
-      }
+    canvas.width = region.sw;
+    canvas.height = region.sh;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(source, region.sx, region.sy, region.sw, region.sh, 0, 0, region.sw, region.sh);
+
+    const base64Image = toAnalysisImage(canvas);
+    // toBlob はこの時点の内容をコピーするので、この後フィルターをかけても元の画像が残る
+    const rawBlob = canvasToBlob(canvas);
+    
+    if (filterStack.length) {
+      const renderer = (filterRendererRef.current ??= createFilterRenderer());
+      renderer.render(canvas, { width: canvas.width, height: canvas.height, stack: filterStack, luts: lutMap });
+      ctx.drawImage(renderer.canvas, 0, 0);
     }
+    const filteredImageData = canvas.toDataURL('image/jpeg', 0.8);
+    
+    setCapturedImage(filteredImageData);
+    setCapturedSize({ width: canvas.width, height: canvas.height });
+    setCaptureId(null);
+    setCapturedAt(Date.now());
+    setCaptureLocation(null);
+    setCrop(null);
+    setCropping(false);
+    analysisImageRef.current = base64Image;
+    rawFrameRef.current = rawBlob;
+    regionImageRef.current = null;
 
-    if (grain > 0) {
-      const intensity = grain / 100 * 160;
-      for (let i = 0; i < data.length; i += 4) {
-        const noise = (Math.random() - 0.5) * intensity;
-        data[i] = Math.min(255, Math.max(0, data[i] + noise));
-        data[i + 1] = Math.min(255, Math.max(0, data[i + 1] + noise));
-        data[i + 2] = Math.min(255, Math.max(0, data[i + 2] + noise));
-      }
+    // 場所は設定した時だけ記録する（取れなければ null）
+    const located = posterSettings.location ? currentLocation() : Promise.resolve(null);
+    located.then(setCaptureLocation);
+
+    // 履歴への保存は解析と並行して進める（保存できなくても解析は続ける）
+    const savedCapture = Promise.all([rawBlob, canvasToBlob(canvas), located])
+      .then(([raw, filtered, location]) => addCapture({ raw, filtered, width: canvas.width, height: canvas.height, location }))
+      .catch((e) => {
+        console.warn('Failed to save capture:', e);
+        return null;
+      });
+
+    // オフラインなら送らずに outbox に入れる
+    const analyses = navigator.onLine ? await runAnalysis(base64Image) : null;
+    const capture = await savedCapture;
+    if (capture) setCaptureId(capture.id);
+    if (!analyses) {
+      queueCapture(capture?.id, base64Image);
+      return;
     }
+    if (capture) recordResults(capture.id, analyses);
+  };
 
-    ctx.putImageData(imageData, 0, 0);
+  // つながらなかったキャプチャを outbox に入れて、つながったら送る（履歴に残せなかった時は入れない）
+  // region は base64Image が画像のどの範囲か（全体なら null）
+  const queueCapture = async (id, base64Image, region = null) => {
+    clearResult();
+    const show = (message) => {
+      setResult(message);
+      setAnnouncement(message);
+    };
+    if (!id) {
+      show(errorMessage({ code: 'network' }));
+      return;
+    }
+    requestNotifications();
+    try {
+      await queueAnalysis({ captureId: id, base64Image, modes: modesToRun, batch: Boolean(currentMode.multi), lang, variant, crop: region });
+      setOutboxCount(await countOutbox());
+      show('OFFLINE. QUEUED UNTIL YOU ARE BACK ONLINE');
+    } catch (e) {
+      console.warn('Failed to queue capture:', e);
+      show(errorMessage({ code: 'network' }));
+    }
+  };
+
+  // outbox から届いた結果のキャプチャを開く
+  const openArrived = async () => {
+    const capture = arrived && await getCapture(arrived.captureId);
+    setArrived(null);
+    if (capture) openCapture(capture);
   };
 
-  const analyzeImage = async (base64Image) => {
-    const response = await fetch('/api/analyze', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ base64Image, mode }),
+  // 解析して結果を表示する（撮影直後・RE-RUN・REROLL で共通）。成功したら履歴に残す結果の配列を返す
+  // サーバーまで届かなかった（オフラインの）時は null。fresh ならサーバーのキャッシュを使わずに新しい答えを出させる
+  const runAnalysis = (base64Image, options) => (
+    currentMode.multi ? runBatchAnalysis(base64Image, options) : runSingleAnalysis(base64Image, options)
+  );
+
+  // 解析用画像の隠す範囲（見つけられなければ AnalyzeError の redaction_failed）
+  const privateRegions = (base64Image) => {
+    const cached = regionsRef.current;
+    if (cached?.image === base64Image && cached.plates === privacySettings.plates) return cached.promise;
+
+    const promise = findPrivateRegions(base64Image, privacySettings).catch((e) => {
+      // 失敗は覚えておかず、次はもう一度探す
+      regionsRef.current = null;
+      throw e;
     });
+    regionsRef.current = { image: base64Image, plates: privacySettings.plates, promise };
+    return promise;
+  };
+
+  // crop の部分だけの解析用画像。縮めた解析用画像からではなく、元の解像度の画像から切り出す
+  const regionImage = (region) => {
+    if (!region) return Promise.resolve(analysisImageRef.current);
+    const cached = regionImageRef.current;
+    if (cached?.crop === region) return cached.promise;
+
+    const promise = rawFrameRef.current
+      .then(blobToCanvas)
+      .then(canvas => toAnalysisImage(cropCanvas(canvas, region)));
+    regionImageRef.current = { crop: region, promise };
+    return promise;
+  };
+
+  // 解析に送る画像（プライバシーモードで隠す範囲は、保存する時と同じものを使う）
+  const uploadImage = (base64Image, modesUsed) => (
+    hideForUpload(base64Image, modesUsed, privacySettings, () => privateRegions(base64Image))
+  );
+
+  const clearResult = () => {
+    setStreamed(false);
+    setResult(null);
+    setResultData(null);
+    setMeta(null);
+    setWritingMode(null);
+    setCards(null);
+    setCardIndex(0);
+    setThread([]);
+    setAsking(null);
+    setAskError('');
+    setTranslation(null);
+    setTranslating(false);
+    setTranslateError('');
+  };
+
+  // options.crop は base64Image が画像のどの範囲か。顔の位置などは画像全体の割合に直して持つ
+  const runSingleAnalysis = async (base64Image, options = {}) => {
+    const modeUsed = currentMode;
+    const region = options.crop || null;
+
+    clearResult();
+    setLoading(true);
+    setAnnouncement('THINKING');
+    // ストリーミング中から縦書きで出せるように、モードの定義から先に決めておく
+    setWritingMode(modeUsed.writingModes?.[lang] || null);
 
-    if (!response.ok) {
-      throw new Error('Server error');
+    let analyses = [];
+    try {
+      const response = await analyzeImage(await uploadImage(base64Image, [modeUsed]), options);
+      const data = toFullFrame(response.data, region) || null;
+      setResult(response.result);
+      setResultData(data);
+      setMeta(response.meta);
+      setWritingMode(response.writingMode || null);
+      setAnnouncement(displayText(modeUsed.id, response.result));
+      analyses = [{
+        mode: modeUsed.id,
+        modeName: modeUsed.name,
+        text: response.result,
+        data,
+        meta: response.meta || null,
+        writingMode: response.writingMode || null,
+        crop: region,
+      }];
+    } catch (e) {
+      console.error('API error:', e);
+      setStreamed(false);
+      setResult(errorMessage(e));
+      setAnnouncement(errorMessage(e));
+      setMeta(e.meta || null);
+      setWritingMode(null);
+      if (e.code === 'network') analyses = null;
     }
 
-    const data = await response.json();
-    return data.result;
+    setLoading(false);
+    return analyses;
   };
 
-  const captureAndAnalyze = async () => {
-    if (!videoRef.current) return;
+  // 選んだモードをまとめて1回のリクエストで解析し、モードごとのカードにする
+  const runBatchAnalysis = async (base64Image, { fresh, crop: region = null } = {}) => {
+    const modesUsed = multiModes;
 
-    const canvas = canvasRef.current;
-    const video = videoRef.current;
-    
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
-    
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(video, 0, 0);
-    
-    const rawImageData = canvas.toDataURL('image/jpeg', 0.8);
-    const base64Image = rawImageData.replace(/^data:image\/\w+;base64,/, '');
-    
-    applyFilters(canvas, ctx);
-    const filteredImageData = canvas.toDataURL('image/jpeg', 0.8);
-    
-    setCapturedImage(filteredImageData);
+    clearResult();
     setLoading(true);
+    setAnnouncement('THINKING');
 
+    let analyses = [];
     try {
-      const resultText = await analyzeImage(base64Image);
-      setResult(resultText);
+      const results = await analyzeBatch({ base64Image: await uploadImage(base64Image, modesUsed), modes: modesUsed, fresh, lang, variant });
+      const nextCards = results.map(response => ({
+        mode: response.mode,
+        modeName: modesUsed.find(m => m.id === response.mode)?.name || response.mode,
+        text: response.error ? errorMessage(response) : response.result,
+        data: toFullFrame(response.data, region) || null,
+        meta: response.meta || null,
+        writingMode: response.writingMode || null,
+        failed: Boolean(response.error),
+      }));
+      setCards(nextCards);
+      analyses = nextCards
+        .filter(card => !card.failed)
+        .map(({ mode, modeName, text, data, meta, writingMode }) => ({ mode, modeName, text, data, meta, writingMode, crop: region }));
     } catch (e) {
       console.error('API error:', e);
-      setResult('ERROR');
+      setResult(errorMessage(e));
+      setAnnouncement(errorMessage(e));
+      setMeta(e.meta || null);
+      if (e.code === 'network') analyses = null;
     }
-    
+
     setLoading(false);
+    return analyses;
   };
 
-  const saveImage = async () => {
-  const element = document.querySelector('[data-capture]');
-  if (!element) return;
-  
-  const canvas = await html2canvas(element, {
-    backgroundColor: null,
-    scale: 3, // さらに高解像度に
+  // 同じトランザクションで読み書きするので、1件ずつ順に足す
+  const recordResults = async (id, analyses) => {
+    try {
+      for (const analysis of analyses) await addResult(id, analysis);
+    } catch (e) {
+      console.warn('Failed to save result:', e);
+    }
+  };
+
+  // 同じキャプチャを今のモードでもう一度解析する（REROLL はキャッシュを使わない）
+  // options.crop を渡すとその範囲（null なら画像全体）に切り替えて解析する。なければ今の範囲のまま
+  const rerun = (options = {}) => withConsent(modesToRun, async () => {
+    if (!analysisImageRef.current) return;
+    const region = options.crop !== undefined ? options.crop : crop;
+    if (options.crop !== undefined) setCrop(region);
+    const base64Image = await regionImage(region);
+    const analyses = navigator.onLine ? await runAnalysis(base64Image, { ...options, crop: region }) : null;
+    if (!analyses) queueCapture(captureId, base64Image, region);
+    else if (captureId) recordResults(captureId, analyses);
   });
-  
-  // Web Share APIが使えるか確認（iOS Safari対応）
-  if (navigator.share && navigator.canShare) {
-    canvas.toBlob(async (blob) => {
-      const file = new File([blob], `camera-describe-${Date.now()}.png`, { type: 'image/png' });
-      
-      if (navigator.canShare({ files: [file] })) {
-        try {
-          await navigator.share({
-            files: [file],
-          });
-          return;
-        } catch (e) {
-          console.log('Share cancelled');
-        }
-      }
-    }, 'image/png');
-  } else {
-    // フォールバック：ダウンロードリンク
-    const link = document.createElement('a');
-    link.download = `camera-describe-${Date.now()}.png`;
-    link.href = canvas.toDataURL('image/png');
-    link.click();
-  }
-};
+
+  const startCropping = () => {
+    setCropDraft(crop);
+    setCropping(true);
+  };
+
+  const analyzeRegion = (region) => {
+    setCropping(false);
+    rerun({ crop: region });
+  };
+
+  // 履歴のキャプチャを結果画面に開く
+  const openCapture = async (capture) => {
+    const latest = capture.results.at(-1);
+
+    setCapturedImage(await blobToDataUrl(capture.filtered));
+    setCapturedSize({ width: capture.width, height: capture.height });
+    setCaptureId(capture.id);
+    setCapturedAt(capture.createdAt);
+    setCaptureLocation(capture.location || null);
+    analysisImageRef.current = toAnalysisImage(await blobToCanvas(capture.raw));
+    rawFrameRef.current = Promise.resolve(capture.raw);
+    regionImageRef.current = null;
+
+    clearResult();
+    setResult(latest?.text || null);
+    setResultData(latest?.data || null);
+    setMeta(latest?.meta || null);
+    setWritingMode(latest?.writingMode || null);
+    setCrop(latest?.crop || null);
+    setCropping(false);
+    setAnnouncement(latest ? displayText(latest.mode, latest.text) : 'NO DESCRIPTION YET');
+    // 最後の結果より後の質問がその結果についてのやり取り
+    setThread(latest ? (capture.thread || []).filter(turn => turn.createdAt >= latest.createdAt) : []);
+    if (latest && modes.some(m => m.id === latest.mode)) setMode(latest.mode);
+
+    setShowGallery(false);
+    touchCapture(capture.id).catch(() => {});
+  };
+
+  // SAVE・EXPORT CLIP で解析した範囲だけを書き出すか
+  const saveCrop = Boolean(crop) && posterSettings.cropped;
+
+  // 保存する画像・クリップに描くもの（カードなら表示中のカード）
+  const shownContent = () => {
+    const shown = cards
+      ? cards[cardIndex]
+      : { mode, modeName: currentMode.name, text: result, data: resultData, writingMode };
+    return {
+      mode: shown?.mode,
+      text: shown?.text ? displayText(shown.mode, shown.text) : '',
+      writingMode: shown?.writingMode,
+      data: saveCrop ? toCropFrame(shown?.data, crop) : shown?.data,
+      modeName: shown?.modeName,
+      createdAt: capturedAt,
+      location: captureLocation,
+    };
+  };
+
+  // 表示中の結果について質問する。元の画像・結果・それまでのやり取りを一緒に送る
+  const askQuestion = (question) => {
+    const shown = cards ? cards[cardIndex] : { mode, text: result };
+    const shownMode = modes.find(m => m.id === shown?.mode);
+    if (!analysisImageRef.current || !shownMode || !shown.text || shown.failed) return;
+    withConsent([shownMode], () => sendQuestion(question, shown, shownMode));
+  };
+
+  const sendQuestion = async (question, shown, shownMode) => {
+    const turns = thread.filter(turn => turn.mode === shownMode.id);
+    setAsking(question);
+    setAskError('');
+    try {
+      const { answer } = await ask({
+        base64Image: await uploadImage(await regionImage(crop), [shownMode]),
+        ...modeRequest(shownMode),
+        result: shown.text,
+        thread: turns.map(({ question, answer }) => ({ question, answer })),
+        question,
+        lang,
+        variant,
+      });
+      const turn = { mode: shownMode.id, question, answer };
+      setThread(previous => [...previous, { ...turn, createdAt: Date.now() }]);
+      setAnnouncement(answer);
+      if (captureId) addTurn(captureId, turn).catch(e => console.warn('Failed to save question:', e));
+    } catch (e) {
+      console.error('API error:', e);
+      setAskError(errorMessage(e));
+      setAnnouncement(errorMessage(e));
+    }
+    setAsking(null);
+  };
+
+  // DOCUMENT で読み取った文字を結果の言語に訳す（原文は残して ORIGINAL で戻せるようにする）
+  const translateDocument = () => {
+    const shownMode = modes.find(m => m.id === mode);
+    if (!analysisImageRef.current || !shownMode || !result || translating) return;
+    withConsent([shownMode], () => sendTranslation(result, shownMode));
+  };
+
+  const sendTranslation = async (text, modeUsed) => {
+    setTranslating(true);
+    setTranslateError('');
+    try {
+      const response = await translate({
+        base64Image: await uploadImage(await regionImage(crop), [modeUsed]),
+        ...modeRequest(modeUsed),
+        text,
+        lang,
+      });
+      setTranslation({ text: response.translation, lang: response.lang });
+      setAnnouncement(response.translation);
+    } catch (e) {
+      console.error('API error:', e);
+      setTranslateError(errorMessage(e));
+      setAnnouncement(errorMessage(e));
+    }
+    setTranslating(false);
+  };
+
+  // 撮影した解像度のフィルター後の画像（プライバシーモードなら顔などを隠したもの。設定すれば解析した範囲だけ）
+  const loadCapturedFrame = async () => {
+    let frame = await blobToCanvas(await (await fetch(capturedImage)).blob());
+    if (privacySettings.enabled) {
+      frame = redactRegions(frame, await privateRegions(analysisImageRef.current), privacySettings.style);
+    }
+    return saveCrop ? cropCanvas(frame, crop) : frame;
+  };
+
+  const saveImage = async () => {
+    if (!capturedImage) return;
+    setSaveFailed(false);
+    let exported;
+    try {
+      const canvas = await composePoster(await loadCapturedFrame(), posterSettings, shownContent());
+      exported = await exportPoster(canvas, posterSettings);
+    } catch (e) {
+      console.error('Save failed:', e);
+      setSaveFailed(true);
+      return;
+    }
+
+    if (captureId) touchCapture(captureId).catch(() => {});
+    await shareOrDownload(exported.blob, `camera-describe-${Date.now()}.${exported.extension}`);
+  };
+
+  // THINKING... から1文字ずつ出るところまでを動画にする
+  const saveClip = async () => {
+    if (!capturedImage || clipProgress !== null) return;
+    setClipProgress(0);
+    setClipFailed(false);
+    try {
+      const content = shownContent();
+      // 読み上げている時はナレーションも入れる（作れなければ文字だけのクリップにする）
+      const narration = narrating && content.text
+        ? await fetchNarration({ text: content.text, lang, rate: voice.rate, pitch: voice.pitch })
+          .catch((e) => {
+            console.warn('Narration is not available:', e);
+            return null;
+          })
+        : null;
+      const { blob, extension } = await exportClip(
+        await loadCapturedFrame(),
+        posterSettings,
+        content,
+        clipSettings,
+        { onProgress: setClipProgress, narration }
+      );
+      if (captureId) touchCapture(captureId).catch(() => {});
+      await shareOrDownload(blob, `camera-describe-${Date.now()}.${extension}`);
+    } catch (e) {
+      console.error('Clip export failed:', e);
+      setClipFailed(true);
+    }
+    setClipProgress(null);
+  };
 
   const reset = () => {
     setCapturedImage(null);
-    setResult(null);
+    setCaptureId(null);
+    setCrop(null);
+    setCropping(false);
+    analysisImageRef.current = null;
+    rawFrameRef.current = null;
+    regionImageRef.current = null;
+    regionsRef.current = null;
+    setSaveFailed(false);
+    clearResult();
   };
 
   const cycleMode = () => {
-    const modes = ['gemini', 'celebrity', 'mood', 'haiku', 'labels', 'text', 'faces'];
-    const currentIndex = modes.indexOf(mode);
-    setMode(modes[(currentIndex + 1) % modes.length]);
+    const currentIndex = modeOptions.indexOf(currentMode);
+    setMode(modeOptions[(currentIndex + 1) % modeOptions.length].id);
+  };
+
+  const toggleLive = () => {
+    setLive(!live);
+    setLiveText('');
+    setLiveBusy(false);
+  };
+
+  const updateLiveSettings = (changes) => {
+    const next = { ...liveSettings, ...changes };
+    setLiveSettings(next);
+    saveLiveSettings(next);
+  };
+
+  const updatePosterSettings = (next) => {
+    setPosterSettings(next);
+    savePosterSettings(next);
+  };
+
+  const updateClipSettings = (next) => {
+    setClipSettings(next);
+    saveClipSettings(next);
+  };
+
+  // プライバシーモードを入れ直したら、CELEBRITY はもう一度確認する
+  const updatePrivacySettings = (next) => {
+    if (next.enabled && !privacySettings.enabled) setCelebrityConsent(false);
+    setPrivacySettings(next);
+    savePrivacySettings(next);
+  };
+
+  const allowConsent = () => {
+    setCelebrityConsent(true);
+    setPendingConsent(null);
+    pendingConsent?.();
+  };
+
+  const updateSpeechSettings = (next) => {
+    setSpeechSettings(next);
+    saveSpeechSettings(next);
+  };
+
+  const updateA11ySettings = (next) => {
+    setA11ySettings(next);
+    saveA11ySettings(next);
+  };
+
+  const toggleMute = () => updateSpeechSettings({ ...speechSettings, muted: !speechSettings.muted });
+
+  const changeLang = (next) => {
+    setLang(next);
+    saveLang(next);
+  };
+
+  const toggleMultiMode = (id, checked) => {
+    const selected = multiModeIds.filter(selectedId => modes.some(m => m.id === selectedId));
+    const next = checked ? [...selected, id] : selected.filter(selectedId => selectedId !== id);
+    setMultiModeIds(next);
+    saveMultiModeIds(next);
+  };
+
+  // 今表示している結果（カードなら表示中のカード）のメタ情報
+  const shownMeta = cards ? cards[cardIndex]?.meta : meta;
+
+  const updateCustomModes = (next) => {
+    setCustomModes(next);
+    saveCustomModes(next);
+  };
+
+  const handleDragOver = (e) => {
+    if (capturedImage || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (!capturedImage) importFile(e.dataTransfer.files[0]);
   };
 
   return (
-    <div style={{
-      position: 'fixed',
-      inset: 0,
-      backgroundColor: 'black',
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center',
-      overflow: 'hidden',
-    }}>
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={(e) => {
+        // 子要素の上に移っただけの時は消さない
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+      }}
+      onDrop={handleDrop}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'black',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        overflow: 'hidden',
+      }}
+    >
       
+      {/* Complete results, answers and errors read out by screen readers */}
+      <div
+        role="status"
+        aria-live="polite"
+        aria-atomic="true"
+        style={{
+          position: 'absolute',
+          width: 1,
+          height: 1,
+          overflow: 'hidden',
+          clip: 'rect(0 0 0 0)',
+          whiteSpace: 'nowrap',
+        }}
+      >
+        {announcement}
+      </div>
+
       {/* Start button */}
       {!isStreaming && !capturedImage && (
         <button
@@ -268,6 +1195,49 @@ function App() {
         </button>
       )}
 
+      {/* Camera or import problem */}
+      {notice && !capturedImage && (
+        <div style={{
+          position: 'absolute',
+          top: '50%',
+          left: 16,
+          right: 16,
+          marginTop: 40,
+          textAlign: 'center',
+          color: 'rgb(0, 255, 0)',
+          fontFamily: 'monospace',
+          fontSize: 12,
+          zIndex: 10,
+        }}>
+          {notice}
+          {!isStreaming && (
+            <div style={{ marginTop: 8, color: 'white', opacity: 0.6 }}>
+              CHOOSE A PHOTO, DROP ONE HERE OR PASTE IT
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Drop target */}
+      {dragging && (
+        <div style={{
+          position: 'absolute',
+          inset: 16,
+          border: '2px dashed rgb(0, 255, 0)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          color: 'rgb(0, 255, 0)',
+          fontFamily: 'monospace',
+          fontSize: 14,
+          letterSpacing: '0.05em',
+          pointerEvents: 'none',
+          zIndex: 40,
+        }}>
+          DROP TO ANALYZE
+        </div>
+      )}
+
       {/* Video preview */}
       <video
         ref={videoRef}
@@ -278,21 +1248,90 @@ function App() {
           width: '100vw',
           height: '100vh',
           objectFit: 'cover',
-          filter: monochrome ? 'grayscale(100%)' : '',
+          transform: viewTransform(view),
         }}
       />
 
-      {/* Grain overlay for preview */}
-      {isStreaming && grain > 0 && !capturedImage && (
-        <div style={{
-          position: 'absolute',
-          inset: 0,
-          backgroundImage: `url("data:image/svg+xml,%3Csvg viewBox='0 0 200 200' xmlns='http://www.w3.org/2000/svg'%3E%3Cfilter id='noise'%3E%3CfeTurbulence type='fractalNoise' baseFrequency='0.9' numOctaves='4' stitchTiles='stitch'/%3E%3C/filter%3E%3Crect width='100%' height='100%' filter='url(%23noise)'/%3E%3C/svg%3E")`,
-          opacity: grain / 100 * 0.5,
-          mixBlendMode: 'overlay',
-          pointerEvents: 'none',
-          zIndex: 2,
-        }}
+      {/* Pinch, drag and wheel for the digital zoom */}
+      {isStreaming && !capturedImage && <ZoomLayer onChange={setView} />}
+
+      {/* Digital zoom level (tap to reset) */}
+      {isStreaming && !capturedImage && view.scale > 1 && (
+        <button
+          onClick={() => setView(DEFAULT_VIEW)}
+          aria-label={`Digital zoom ${view.scale.toFixed(1)} times. Reset`}
+          style={{
+            position: 'absolute',
+            bottom: 104,
+            left: '50%',
+            transform: 'translateX(-50%)',
+            padding: '6px 12px',
+            backgroundColor: 'rgba(0,0,0,0.4)',
+            color: 'rgb(0, 255, 0)',
+            fontFamily: 'monospace',
+            fontSize: 11,
+            border: 'none',
+            borderRadius: 0,
+            cursor: 'pointer',
+            zIndex: 10,
+          }}
+        >
+          {view.scale.toFixed(1)}× · RESET
+        </button>
+      )}
+
+      {/* Live description over the video */}
+      {liveMode && isStreaming && !capturedImage && (
+        <>
+          <div style={{
+            position: 'absolute',
+            top: 64,
+            left: 0,
+            right: 0,
+            textAlign: 'center',
+            color: 'rgb(0, 255, 0)',
+            fontFamily: 'monospace',
+            fontSize: 11,
+            letterSpacing: '0.05em',
+            zIndex: 3,
+          }}>
+            ● LIVE{liveBusy ? ' · LOOKING' : ''}
+          </div>
+          {liveText && (
+            <div style={{
+              position: 'absolute',
+              left: 24,
+              right: 24,
+              bottom: 120,
+              fontFamily: '"OTR Grotesk", system-ui, sans-serif',
+              fontSize: 'clamp(20px, 6vw, 48px)',
+              color: 'rgb(0, 255, 0)',
+              textAlign: 'center',
+              lineHeight: 0.95,
+              whiteSpace: 'pre-wrap',
+              pointerEvents: 'none',
+              zIndex: 3,
+            }}>
+              {displayText(liveMode.id, liveText)}
+            </div>
+          )}
+        </>
+      )}
+
+      {/* Filtered preview (same pipeline as the saved image) */}
+      {isStreaming && !capturedImage && filterStack.length > 0 && (
+        <canvas
+          ref={previewCanvasRef}
+          style={{
+            position: 'absolute',
+            inset: 0,
+            width: '100vw',
+            height: '100vh',
+            objectFit: 'cover',
+            transform: viewTransform(view),
+            pointerEvents: 'none',
+            zIndex: 2,
+          }}
         />
       )}
 
@@ -303,50 +1342,82 @@ function App() {
           inset: 0,
           zIndex: 5,
         }}>
-          {/* キャプチャ範囲 */}
-          <div data-capture style={{
-            position: 'relative',
-            width: '100%',
-            height: '100%',
-          }}>
-            <img
-              src={capturedImage}
-              alt="Captured"
-              style={{
-                width: '100%',
-                height: '100%',
-                objectFit: 'cover',
-              }}
+          {cards ? (
+            <ResultCards
+              image={capturedImage}
+              size={capturedSize}
+              cards={cards.map(card => ({ ...card, text: displayText(card.mode, card.text) }))}
+              index={cardIndex}
+              onIndexChange={setCardIndex}
             />
-            
-            {/* Result overlay */}
-            {result && (
-              <div style={{
-                position: 'absolute',
-                inset: 0,
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                padding: 32,
-              }}>
-                <div style={{
-                  fontFamily: '"OTR Grotesk", system-ui, sans-serif',
-                  fontWeight: 400,
-                  fontSize: 'clamp(24px, 8vw, 0px)',
-                  color: 'rgb(0, 255, 0)',
-                  textAlign: 'center',
-                  lineHeight: 0.9,
-                  letterSpacing: '-0.01em',
-                  whiteSpace: 'pre-wrap',
-                }}>
-                  {displayedResult}
-                </div>
-              </div>
-            )}
-          </div>
+          ) : (
+            <div style={{
+              position: 'relative',
+              width: '100%',
+              height: '100%',
+            }}>
+              <img
+                src={capturedImage}
+                alt="Captured photo"
+                style={{
+                  width: '100%',
+                  height: '100%',
+                  objectFit: 'cover',
+                }}
+              />
+
+              {/* Face boxes, emotion tags and label confidence */}
+              {result && (
+                <Annotations
+                  data={resultData}
+                  width={capturedSize?.width}
+                  height={capturedSize?.height}
+                />
+              )}
+
+              {/* Result overlay (documents get a scrollable sheet with copy, export and translate) */}
+              {result && (resultData?.document?.blocks.length > 0 ? (
+                <DocumentPanel
+                  key={result}
+                  text={result}
+                  document={resultData.document}
+                  lang={lang}
+                  translation={translation}
+                  translating={translating}
+                  translateError={translateError}
+                  createdAt={capturedAt}
+                  bottom={showAsk ? 140 : 88}
+                  onTranslate={translateDocument}
+                  onAnnounce={setAnnouncement}
+                />
+              ) : (
+                <ResultText text={displayedResult} writingMode={writingMode} detailed={a11ySettings.enabled} />
+              ))}
+            </div>
+          )}
+
+          {/* Analyzed region, or the region being drawn */}
+          <CropBox
+            width={capturedSize?.width}
+            height={capturedSize?.height}
+            crop={cropping ? cropDraft : crop}
+            editing={cropping}
+            onChange={setCropDraft}
+          />
         </div>
       )}
 
+      {/* Follow-up questions about the shown result */}
+      {capturedImage && !loading && (
+        <AskThread
+          turns={thread.filter(turn => turn.mode === (cards ? shownCard?.mode : mode))}
+          pending={asking}
+          error={askError}
+          showInput={showAsk}
+          onAsk={askQuestion}
+        />
+      )}
+
       {/* Loading overlay */}
       {loading && (
         <div style={{
@@ -370,12 +1441,33 @@ function App() {
         </div>
       )}
 
+      {/* Answering model */}
+      {capturedImage && !loading && shownMeta?.model && (
+        <div style={{
+          position: 'absolute',
+          top: 24,
+          right: 16,
+          color: 'white',
+          fontFamily: 'monospace',
+          fontSize: 10,
+          zIndex: 10,
+          mixBlendMode: 'difference',
+          opacity: 0.6,
+        }}>
+          {shownMeta.model.toUpperCase()} · {(shownMeta.latencyMs / 1000).toFixed(1)}S
+          {shownMeta.attempts > 1 && ` · ${shownMeta.attempts} TRIES`}
+          {shownMeta.cached && ' · CACHED'}
+        </div>
+      )}
+
       {/* Hidden canvas */}
       <canvas ref={canvasRef} style={{ display: 'none' }} />
 
       {/* Mode button */}
       <button
         onClick={cycleMode}
+        aria-label={`Mode: ${currentMode.name}${consentNeeded(modesToRun) ? ', locked' : ''}. Change mode`}
+        aria-keyshortcuts="M"
         style={{
           position: 'absolute',
           top: 16,
@@ -391,13 +1483,66 @@ function App() {
           mixBlendMode: 'difference',
         }}
       >
-        {mode.toUpperCase()}
+        {currentMode.name.toUpperCase()}
+        {consentNeeded(modesToRun) && ' · LOCKED'}
       </button>
 
+      {/* Narration toggle */}
+      {speechSupported() && (
+        <button
+          onClick={toggleMute}
+          aria-label="Read results aloud"
+          aria-pressed={narrating}
+          style={{
+            position: 'absolute',
+            top: 52,
+            left: 16,
+            padding: '8px 16px',
+            backgroundColor: 'rgba(255,255,255,0.0)',
+            color: narrating ? 'rgb(0, 255, 0)' : 'white',
+            fontFamily: 'monospace',
+            fontSize: 12,
+            border: 'none',
+            cursor: 'pointer',
+            zIndex: 10,
+            mixBlendMode: narrating ? 'normal' : 'difference',
+          }}
+        >
+          {narrating ? 'VOICE ON' : 'VOICE OFF'}
+        </button>
+      )}
+
+      {/* Offline state, queued captures and results that arrived later */}
+      {(!online || outboxCount > 0 || arrived) && (
+        <button
+          onClick={openArrived}
+          style={{
+            position: 'absolute',
+            top: 88,
+            left: 16,
+            padding: '8px 16px',
+            backgroundColor: 'rgba(255,255,255,0.0)',
+            color: 'rgb(0, 255, 0)',
+            fontFamily: 'monospace',
+            fontSize: 12,
+            border: 'none',
+            cursor: arrived ? 'pointer' : 'default',
+            zIndex: 10,
+          }}
+        >
+          {[
+            !online && 'OFFLINE',
+            outboxCount > 0 && `${outboxCount} QUEUED`,
+            arrived && `${arrived.count} READY · OPEN`,
+          ].filter(Boolean).join(' · ')}
+        </button>
+      )}
+
       {/* Settings button */}
       {isStreaming && !capturedImage && (
         <button
           onClick={() => setShowSettings(!showSettings)}
+          aria-expanded={showSettings}
           style={{
             position: 'absolute',
             top: 16,
@@ -417,10 +1562,37 @@ function App() {
         </button>
       )}
 
+      {/* Live describe toggle */}
+      {isStreaming && !capturedImage && !currentMode.multi && (
+        <button
+          onClick={toggleLive}
+          aria-label="Live describe"
+          aria-pressed={live}
+          style={{
+            position: 'absolute',
+            top: 16,
+            right: 170,
+            padding: '8px 16px',
+            backgroundColor: 'rgba(255,255,255,0.0)',
+            color: live ? 'rgb(0, 255, 0)' : 'white',
+            fontFamily: 'monospace',
+            fontSize: 12,
+            border: 'none',
+            cursor: 'pointer',
+            zIndex: 10,
+            mixBlendMode: live ? 'normal' : 'difference',
+          }}
+        >
+          LIVE
+        </button>
+      )}
+
       {/* Camera toggle button */}
       {isStreaming && !capturedImage && (
         <button
           onClick={toggleCamera}
+          aria-label="Flip camera"
+          aria-keyshortcuts="F"
           style={{
             position: 'absolute',
             top: 16,
@@ -454,55 +1626,283 @@ function App() {
           fontSize: 12,
           zIndex: 20,
           minWidth: 200,
+          maxWidth: 'calc(100vw - 64px)',
+          maxHeight: 'calc(100vh - 140px)',
+          overflowY: 'auto',
         }}>
-          {/* Zoom */}
-          {capabilities.zoom && (
-            <div style={{ marginBottom: 12 }}>
-              <div>ZOOM: {zoom.toFixed(1)}x</div>
-              <input
-                type="range"
-                min={capabilities.zoom.min}
-                max={capabilities.zoom.max}
-                step={capabilities.zoom.step || 0.1}
-                value={zoom}
-                onChange={(e) => handleZoomChange(parseFloat(e.target.value))}
-                style={{ width: '100%' }}
-              />
-            </div>
-          )}
+          {/* Camera, zoom and manual controls */}
+          <div style={{ marginBottom: 12 }}>
+            <CameraPanel
+              cameras={cameras}
+              settings={cameraSettings}
+              capabilities={capabilities}
+              current={trackSettings}
+              onChange={updateCameraSettings}
+            />
+          </div>
 
-          {/* Monochrome */}
+          {/* Result language */}
           <div style={{ marginBottom: 12 }}>
-            <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
-              <input
-                type="checkbox"
-                checked={monochrome}
-                onChange={(e) => setMonochrome(e.target.checked)}
-              />
-              MONOCHROME
-            </label>
+            <div style={{ marginBottom: 4 }}>LANGUAGE</div>
+            <select
+              value={lang}
+              onChange={(e) => changeLang(e.target.value)}
+              aria-label="Result language"
+              style={{ fontFamily: 'monospace', fontSize: 11 }}
+            >
+              {languages.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+            </select>
+          </div>
+
+          {/* Filters */}
+          <div style={{ marginBottom: 12 }}>
+            <FilterPanel
+              stack={filterStack}
+              onChange={updateFilterStack}
+              luts={luts}
+              onLutsChange={setLuts}
+            />
           </div>
 
-          {/* Grain */}
+          {/* Live describe */}
           <div style={{ marginBottom: 12 }}>
-            <div>GRAIN: {grain}%</div>
+            <div>LIVE INTERVAL: {liveSettings.minIntervalSec}S</div>
+            <input
+              type="range"
+              min={MIN_LIVE_INTERVAL_SEC}
+              max={60}
+              step={1}
+              value={liveSettings.minIntervalSec}
+              aria-label="Live describe interval in seconds"
+              onChange={(e) => updateLiveSettings({ minIntervalSec: parseInt(e.target.value) })}
+              style={{ width: '100%' }}
+            />
+            <div>LIVE SCENE CHANGE: {liveSettings.threshold}/64</div>
             <input
               type="range"
-              min={0}
-              max={100}
-              step={5}
-              value={grain}
-              onChange={(e) => setGrain(parseInt(e.target.value))}
+              min={2}
+              max={32}
+              step={1}
+              value={liveSettings.threshold}
+              aria-label="Live describe scene change threshold"
+              onChange={(e) => updateLiveSettings({ threshold: parseInt(e.target.value) })}
               style={{ width: '100%' }}
             />
           </div>
+
+          {/* Accessibility mode */}
+          <div style={{ marginBottom: 12 }}>
+            <A11yPanel settings={a11ySettings} modes={modesToRun} onChange={updateA11ySettings} />
+          </div>
+
+          {/* Privacy mode */}
+          <div style={{ marginBottom: 12 }}>
+            <PrivacyPanel settings={privacySettings} onChange={updatePrivacySettings} />
+          </div>
+
+          {/* Saved image layout */}
+          <div style={{ marginBottom: 12 }}>
+            <PosterPanel settings={posterSettings} onChange={updatePosterSettings} />
+          </div>
+
+          {/* Narration voice for the current mode */}
+          {speechSupported() && !currentMode.multi && (
+            <div style={{ marginBottom: 12 }}>
+              <VoicePanel
+                mode={currentMode}
+                lang={lang}
+                settings={speechSettings}
+                onChange={updateSpeechSettings}
+              />
+            </div>
+          )}
+
+          {/* Exported clip timing */}
+          <div style={{ marginBottom: 12 }}>
+            <ClipPanel settings={clipSettings} onChange={updateClipSettings} />
+          </div>
+
+          {/* Modes analyzed together by the ALL MODES option */}
+          <div style={{ marginBottom: 12 }}>
+            <div style={{ marginBottom: 4 }}>MULTI-MODE SET</div>
+            {modes.map(m => (
+              <label key={m.id} style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={multiModeIds.includes(m.id)}
+                  onChange={(e) => toggleMultiMode(m.id, e.target.checked)}
+                />
+                {m.name.toUpperCase()}
+              </label>
+            ))}
+            <div style={{ marginTop: 4, opacity: 0.6 }}>NONE CHECKED = ALL MODES</div>
+          </div>
+
+          {/* Custom modes */}
+          {customModesEnabled && (
+            <button
+              onClick={() => setShowModeEditor(true)}
+              style={{
+                padding: '6px 10px',
+                backgroundColor: 'rgba(255,255,255,0.15)',
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 11,
+                border: 'none',
+                borderRadius: 0,
+                cursor: 'pointer',
+              }}
+            >
+              CUSTOM MODES
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* History button */}
+      {!capturedImage && (
+        <button
+          onClick={() => setShowGallery(true)}
+          aria-label="History"
+          style={{
+            position: 'absolute',
+            bottom: 44,
+            left: 16,
+            padding: '8px 16px',
+            backgroundColor: 'rgba(255,255,255,0.0)',
+            color: 'white',
+            fontFamily: 'monospace',
+            fontSize: 12,
+            border: 'none',
+            cursor: 'pointer',
+            zIndex: 10,
+            mixBlendMode: 'difference',
+          }}
+        >
+          HISTORY
+        </button>
+      )}
+
+      {/* Photo library button */}
+      {!capturedImage && (
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          aria-label="Choose a photo"
+          style={{
+            position: 'absolute',
+            bottom: 44,
+            right: 16,
+            padding: '8px 16px',
+            backgroundColor: 'rgba(255,255,255,0.0)',
+            color: 'white',
+            fontFamily: 'monospace',
+            fontSize: 12,
+            border: 'none',
+            cursor: 'pointer',
+            zIndex: 10,
+            mixBlendMode: 'difference',
+          }}
+        >
+          PHOTO
+        </button>
+      )}
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="image/*,.heic,.heif"
+        style={{ display: 'none' }}
+        onChange={(e) => {
+          importFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+
+      {/* Consent before identifying people while privacy mode is on */}
+      {pendingConsent && (
+        <div style={{
+          position: 'absolute',
+          inset: 0,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          backgroundColor: 'rgba(0,0,0,0.7)',
+          zIndex: 40,
+        }}>
+          <div role="alertdialog" aria-modal="true" aria-labelledby="consent-message" style={{
+            maxWidth: 300,
+            padding: 16,
+            color: 'white',
+            fontFamily: 'monospace',
+            fontSize: 12,
+            lineHeight: 1.5,
+            backgroundColor: 'rgba(0,0,0,0.85)',
+          }}>
+            <div id="consent-message" style={{ marginBottom: 12 }}>
+              PRIVACY MODE IS ON. CELEBRITY SENDS THE UNHIDDEN FACES IN THIS PHOTO TO THE SERVER TO GUESS WHO THEY ARE. CONTINUE?
+            </div>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button
+                autoFocus
+                onClick={allowConsent}
+                style={{
+                  padding: '8px 12px',
+                  backgroundColor: 'rgba(255,255,255,0.2)',
+                  color: 'white',
+                  fontFamily: 'monospace',
+                  fontSize: 12,
+                  border: 'none',
+                  cursor: 'pointer',
+                }}
+              >
+                ALLOW
+              </button>
+              <button
+                onClick={() => setPendingConsent(null)}
+                style={{
+                  padding: '8px 12px',
+                  backgroundColor: 'transparent',
+                  color: 'white',
+                  fontFamily: 'monospace',
+                  fontSize: 12,
+                  border: '1px solid rgba(255,255,255,0.3)',
+                  cursor: 'pointer',
+                }}
+              >
+                CANCEL
+              </button>
+            </div>
+          </div>
         </div>
       )}
 
+      {/* History gallery */}
+      {showGallery && (
+        <Gallery
+          privacy={privacySettings}
+          onOpen={openCapture}
+          onClose={() => setShowGallery(false)}
+        />
+      )}
+
+      {/* Custom mode editor */}
+      {showModeEditor && (
+        <ModeEditor
+          customModes={customModes}
+          onChange={updateCustomModes}
+          onSelect={(id) => {
+            setMode(id);
+            setShowModeEditor(false);
+          }}
+          onClose={() => setShowModeEditor(false)}
+        />
+      )}
+
       {/* Capture button */}
       {isStreaming && !capturedImage && (
         <button
           onClick={captureAndAnalyze}
+          aria-label="Capture and describe"
+          aria-keyshortcuts="Space"
           style={{
             position: 'absolute',
             bottom: 32,
@@ -520,21 +1920,99 @@ function App() {
         />
       )}
 
+      {/* Region selection */}
+      {capturedImage && !loading && cropping && (
+        <>
+          <div style={{
+            position: 'absolute',
+            top: 64,
+            left: 0,
+            right: 0,
+            textAlign: 'center',
+            color: 'rgb(0, 255, 0)',
+            fontFamily: 'monospace',
+            fontSize: 11,
+            letterSpacing: '0.05em',
+            pointerEvents: 'none',
+            zIndex: 10,
+          }}>
+            DRAG OVER THE PART TO DESCRIBE
+          </div>
+          <div style={{
+            position: 'absolute',
+            bottom: 32,
+            left: '50%',
+            transform: 'translateX(-50%)',
+            display: 'flex',
+            gap: 8,
+            zIndex: 10,
+          }}>
+            <button
+              onClick={() => analyzeRegion(cropDraft)}
+              disabled={!isUsableCrop(cropDraft)}
+              style={{
+                padding: '12px 16px',
+                backgroundColor: 'rgba(255,255,255,0.2)',
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 12,
+                border: 'none',
+                cursor: 'pointer',
+                opacity: isUsableCrop(cropDraft) ? 1 : 0.4,
+              }}
+            >
+              DESCRIBE REGION
+            </button>
+            {crop && (
+              <button
+                onClick={() => analyzeRegion(null)}
+                style={{
+                  padding: '12px 16px',
+                  backgroundColor: 'rgba(255,255,255,0.2)',
+                  color: 'white',
+                  fontFamily: 'monospace',
+                  fontSize: 12,
+                  border: 'none',
+                  cursor: 'pointer',
+                }}
+              >
+                FULL FRAME
+              </button>
+            )}
+            <button
+              onClick={() => setCropping(false)}
+              style={{
+                padding: '12px 16px',
+                backgroundColor: 'transparent',
+                color: 'white',
+                fontFamily: 'monospace',
+                fontSize: 12,
+                border: '1px solid rgba(255,255,255,0.3)',
+                cursor: 'pointer',
+              }}
+            >
+              CANCEL
+            </button>
+          </div>
+        </>
+      )}
+
       {/* Bottom buttons */}
-      {capturedImage && !loading && (
+      {capturedImage && !loading && !cropping && (
         <div style={{
           position: 'absolute',
           bottom: 32,
           left: '50%',
           transform: 'translateX(-50%)',
           display: 'flex',
-          gap: 16,
+          gap: 8,
           zIndex: 10,
         }}>
           <button
             onClick={reset}
+            aria-keyshortcuts="Escape"
             style={{
-              padding: '12px 24px',
+              padding: '12px 16px',
               backgroundColor: 'rgba(255,255,255,0.2)',
               color: 'white',
               fontFamily: 'monospace',
@@ -546,10 +2024,58 @@ function App() {
           >
             AGAIN
           </button>
+          <button
+            onClick={() => rerun()}
+            style={{
+              padding: '12px 16px',
+              backgroundColor: 'rgba(255,255,255,0.2)',
+              color: 'white',
+              fontFamily: 'monospace',
+              fontSize: 12,
+              border: 'none',
+              cursor: 'pointer',
+              mixBlendMode: 'difference',
+            }}
+          >
+            RE-RUN
+          </button>
+          <button
+            onClick={() => rerun({ fresh: true })}
+            aria-label="Reroll without the cache"
+            style={{
+              padding: '12px 16px',
+              backgroundColor: 'rgba(255,255,255,0.2)',
+              color: 'white',
+              fontFamily: 'monospace',
+              fontSize: 12,
+              border: 'none',
+              cursor: 'pointer',
+              mixBlendMode: 'difference',
+            }}
+          >
+            REROLL
+          </button>
           <button
             onClick={saveImage}
+            aria-keyshortcuts="S"
+            style={{
+              padding: '12px 16px',
+              backgroundColor: 'rgba(255,255,255,0.2)',
+              color: 'white',
+              fontFamily: 'monospace',
+              fontSize: 12,
+              border: 'none',
+              cursor: 'pointer',
+              mixBlendMode: 'difference',
+            }}
+          >
+            {saveFailed ? 'SAVE FAILED' : 'SAVE'}
+          </button>
+          <button
+            onClick={saveClip}
+            disabled={clipProgress !== null}
             style={{
-              padding: '12px 24px',
+              padding: '12px 16px',
               backgroundColor: 'rgba(255,255,255,0.2)',
               color: 'white',
               fontFamily: 'monospace',
@@ -559,7 +2085,39 @@ function App() {
               mixBlendMode: 'difference',
             }}
           >
-            SAVE
+            {clipProgress !== null ? `REC ${Math.round(clipProgress * 100)}%` : clipFailed ? 'CLIP FAILED' : 'EXPORT CLIP'}
+          </button>
+          <button
+            onClick={() => setShowAsk(!showAsk)}
+            aria-expanded={showAsk}
+            style={{
+              padding: '12px 16px',
+              backgroundColor: showAsk ? 'rgba(255,255,255,0.4)' : 'rgba(255,255,255,0.2)',
+              color: 'white',
+              fontFamily: 'monospace',
+              fontSize: 12,
+              border: 'none',
+              cursor: 'pointer',
+              mixBlendMode: 'difference',
+            }}
+          >
+            ASK
+          </button>
+          <button
+            onClick={startCropping}
+            aria-label="Choose a region to describe"
+            style={{
+              padding: '12px 16px',
+              backgroundColor: crop ? 'rgba(255,255,255,0.4)' : 'rgba(255,255,255,0.2)',
+              color: 'white',
+              fontFamily: 'monospace',
+              fontSize: 12,
+              border: 'none',
+              cursor: 'pointer',
+              mixBlendMode: 'difference',
+            }}
+          >
+            CROP
           </button>
         </div>
       )}
@@ -0,0 +1,25 @@
+import { hasDetailedVariant } from '../lib/a11y.js';
+
+// アクセシビリティモードの設定と、キーボードショートカットの一覧。
+// オンの時、今のモード（複数モードならそのどれか）に詳しい説明がなければそう伝える
+function A11yPanel({ settings, modes, onChange }) {
+  const plain = settings.enabled ? modes.filter(mode => !hasDetailedVariant(mode)) : [];
+  return (
+    <div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', marginBottom: 4 }}>
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => onChange({ ...settings, enabled: e.target.checked })} />
+        ACCESSIBILITY MODE (DETAILED DESCRIPTIONS)
+      </label>
+      {plain.length > 0 && (
+        <div role="status" style={{ opacity: 0.8, marginBottom: 4 }}>
+          NO DETAILED FORM FOR {plain.map(mode => mode.name.toUpperCase()).join(', ')}: SHOWING THE USUAL RESULT
+        </div>
+      )}
+      <div style={{ opacity: 0.6 }}>
+        KEYS: SPACE CAPTURE · M MODE · F FLIP · S SAVE · ESC AGAIN
+      </div>
+    </div>
+  );
+}
+
+export default A11yPanel;
@@ -0,0 +1,143 @@
+const GREEN = 'rgb(0, 255, 0)';
+
+// Vision の Likelihood のうち表情タグとして出すもの（POSSIBLE は ? を付ける）
+const TAGGED_LIKELIHOODS = {
+  POSSIBLE: '?',
+  LIKELY: '',
+  VERY_LIKELY: '!',
+};
+
+const emotionTags = (emotions = {}) => {
+  const tags = Object.entries(emotions)
+    .filter(([, likelihood]) => likelihood in TAGGED_LIKELIHOODS)
+    .map(([emotion, likelihood]) => `${emotion.toUpperCase()}${TAGGED_LIKELIHOODS[likelihood]}`);
+  return tags.length ? tags.join(' ') : 'NEUTRAL';
+};
+
+// 撮影した画像の上に重ねる構造化した結果（顔の枠と表情タグ、書類の文字のブロック、ラベルの確信度バー）。
+// SVG は画像と同じ座標系にして preserveAspectRatio="slice" で objectFit: cover と揃える。
+function Annotations({ data, width, height }) {
+  if (!data || !width || !height) return null;
+
+  const unit = Math.max(width, height) / 100;
+  // 番号は結果の一覧（DocumentPanel）と揃えるので、枠のないブロックも数える
+  const blocks = data.document?.blocks || [];
+
+  return (
+    <>
+      {data.faces?.length > 0 && (
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          preserveAspectRatio="xMidYMid slice"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            width: '100%',
+            height: '100%',
+            pointerEvents: 'none',
+          }}
+        >
+          {data.faces.filter(face => face.box).map((face, i) => {
+            const x = face.box.x * width;
+            const y = face.box.y * height;
+            return (
+              <g key={i}>
+                <rect
+                  x={x}
+                  y={y}
+                  width={face.box.width * width}
+                  height={face.box.height * height}
+                  fill="none"
+                  stroke={GREEN}
+                  strokeWidth={unit * 0.3}
+                />
+                <text
+                  x={x}
+                  y={y - unit * 0.8}
+                  fill={GREEN}
+                  fontFamily="monospace"
+                  fontSize={unit * 2}
+                >
+                  {emotionTags(face.emotions)}
+                </text>
+                {face.landmarks?.map(landmark => (
+                  <circle
+                    key={landmark.type}
+                    cx={landmark.x * width}
+                    cy={landmark.y * height}
+                    r={unit * 0.25}
+                    fill={GREEN}
+                  />
+                ))}
+              </g>
+            );
+          })}
+        </svg>
+      )}
+
+      {blocks.some(block => block.box) && (
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          preserveAspectRatio="xMidYMid slice"
+          style={{
+            position: 'absolute',
+            inset: 0,
+            width: '100%',
+            height: '100%',
+            pointerEvents: 'none',
+          }}
+        >
+          {blocks.map((block, i) => block.box && (
+            <g key={i}>
+              <rect
+                x={block.box.x * width}
+                y={block.box.y * height}
+                width={block.box.width * width}
+                height={block.box.height * height}
+                fill="rgba(0, 255, 0, 0.12)"
+                stroke={GREEN}
+                strokeWidth={unit * 0.2}
+              />
+              <text
+                x={block.box.x * width}
+                y={block.box.y * height - unit * 0.6}
+                fill={GREEN}
+                fontFamily="monospace"
+                fontSize={unit * 1.6}
+              >
+                {i + 1}
+              </text>
+            </g>
+          ))}
+        </svg>
+      )}
+
+      {data.labels?.length > 0 && (
+        <div style={{
+          position: 'absolute',
+          left: 24,
+          right: 24,
+          bottom: 104,
+          fontFamily: 'monospace',
+          fontSize: 11,
+          color: GREEN,
+          pointerEvents: 'none',
+        }}>
+          {data.labels.slice(0, 5).map(label => (
+            <div key={label.description} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 6 }}>
+              <div style={{ width: 120, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                {label.description.toUpperCase()}
+              </div>
+              <div style={{ flex: 1, height: 6, backgroundColor: 'rgba(0, 255, 0, 0.2)' }}>
+                <div style={{ width: `${Math.round(label.score * 100)}%`, height: '100%', backgroundColor: GREEN }} />
+              </div>
+              <div style={{ width: 36, textAlign: 'right' }}>{Math.round(label.score * 100)}%</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+export default Annotations;
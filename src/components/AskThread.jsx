@@ -0,0 +1,101 @@
+import { useState } from 'react';
+
+const GREEN = 'rgb(0, 255, 0)';
+
+// 結果について質問したやり取り（写真の上の方に重ねる）と、質問の入力欄
+function AskThread({ turns, pending, error, showInput, onAsk }) {
+  const [question, setQuestion] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!question.trim() || pending) return;
+    onAsk(question.trim());
+    setQuestion('');
+  };
+
+  return (
+    <>
+      {(turns.length > 0 || pending || error) && (
+        <div style={{
+          position: 'absolute',
+          top: 128,
+          left: 16,
+          right: 16,
+          maxHeight: '30%',
+          overflowY: 'auto',
+          fontFamily: 'monospace',
+          fontSize: 12,
+          lineHeight: 1.4,
+          zIndex: 6,
+          padding: 8,
+          backgroundColor: 'rgba(0,0,0,0.45)',
+        }}>
+          {turns.map(turn => (
+            <div key={turn.createdAt} style={{ marginBottom: 8 }}>
+              <div style={{ color: 'white', opacity: 0.8 }}>&gt; {turn.question}</div>
+              <div style={{ color: GREEN }}>{turn.answer}</div>
+            </div>
+          ))}
+          {pending && (
+            <div style={{ marginBottom: 8 }}>
+              <div style={{ color: 'white', opacity: 0.8 }}>&gt; {pending}</div>
+              <div style={{ color: GREEN }}>…</div>
+            </div>
+          )}
+          {error && <div style={{ color: GREEN }}>{error}</div>}
+        </div>
+      )}
+
+      {showInput && (
+        <form
+          onSubmit={submit}
+          style={{
+            position: 'absolute',
+            bottom: 88,
+            left: 16,
+            right: 16,
+            display: 'flex',
+            gap: 8,
+            zIndex: 10,
+          }}
+        >
+          <input
+            autoFocus
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="ASK ABOUT THIS PHOTO"
+            aria-label="Question about this photo"
+            maxLength={500}
+            style={{
+              flex: 1,
+              padding: '10px 12px',
+              backgroundColor: 'rgba(0,0,0,0.6)',
+              color: 'white',
+              fontFamily: 'monospace',
+              fontSize: 12,
+              border: '1px solid rgba(255,255,255,0.3)',
+              borderRadius: 0,
+            }}
+          />
+          <button
+            type="submit"
+            disabled={!question.trim() || Boolean(pending)}
+            style={{
+              padding: '10px 14px',
+              backgroundColor: 'rgba(255,255,255,0.2)',
+              color: 'white',
+              fontFamily: 'monospace',
+              fontSize: 12,
+              border: 'none',
+              cursor: 'pointer',
+            }}
+          >
+            SEND
+          </button>
+        </form>
+      )}
+    </>
+  );
+}
+
+export default AskThread;
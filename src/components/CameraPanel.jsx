@@ -0,0 +1,115 @@
+import {
+  controlActive,
+  supportedControls,
+  supportedFrameRates,
+  supportedResolutions,
+} from '../lib/camera.js';
+
+const selectStyle = { fontFamily: 'monospace', fontSize: 11, marginBottom: 4, maxWidth: '100%' };
+
+const formatValue = value => (Number.isInteger(value) ? value : value.toFixed(2));
+
+// カメラの選択と手動の設定。このカメラの getCapabilities() にあるものだけ出す
+// current はトラックの今の値（getSettings()）で、まだ触っていない設定の表示に使う
+function CameraPanel({ cameras, settings, capabilities, current, onChange }) {
+  const controls = { ...current, ...settings.controls };
+  const updateControl = changes => onChange({ ...settings, controls: { ...settings.controls, ...changes } });
+  const resolutions = supportedResolutions(capabilities);
+  const frameRates = supportedFrameRates(capabilities);
+
+  return (
+    <div>
+      <div style={{ marginBottom: 4 }}>CAMERA</div>
+
+      {cameras.length > 1 && (
+        <select
+          value={settings.deviceId || ''}
+          onChange={(e) => onChange({ ...settings, deviceId: e.target.value || null, controls: {} })}
+          aria-label="Camera"
+          style={selectStyle}
+        >
+          <option value="">{settings.facingMode === 'user' ? 'FRONT CAMERA' : 'BACK CAMERA'}</option>
+          {cameras.map(camera => <option key={camera.deviceId} value={camera.deviceId}>{camera.label.toUpperCase()}</option>)}
+        </select>
+      )}
+
+      {(resolutions.length > 0 || frameRates.length > 0) && (
+        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+          {resolutions.length > 0 && (
+            <select
+              value={settings.resolution || ''}
+              onChange={(e) => onChange({ ...settings, resolution: e.target.value || null })}
+              aria-label="Resolution"
+              style={selectStyle}
+            >
+              <option value="">AUTO RESOLUTION</option>
+              {resolutions.map(resolution => <option key={resolution} value={resolution}>{resolution}</option>)}
+            </select>
+          )}
+          {frameRates.length > 0 && (
+            <select
+              value={settings.frameRate || ''}
+              onChange={(e) => onChange({ ...settings, frameRate: e.target.value ? Number(e.target.value) : null })}
+              aria-label="Frame rate"
+              style={selectStyle}
+            >
+              <option value="">AUTO FPS</option>
+              {frameRates.map(rate => <option key={rate} value={rate}>{rate} FPS</option>)}
+            </select>
+          )}
+        </div>
+      )}
+
+      {supportedControls(capabilities).filter(control => controlActive(control, controls)).map((control) => {
+        const capability = capabilities[control.key];
+
+        if (control.type === 'toggle') {
+          return (
+            <label key={control.key} style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={Boolean(controls[control.key])}
+                onChange={(e) => updateControl({ [control.key]: e.target.checked })}
+              />
+              {control.name}
+            </label>
+          );
+        }
+
+        if (control.type === 'select') {
+          return (
+            <label key={control.key} style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              {control.name}
+              <select
+                value={controls[control.key] || ''}
+                onChange={(e) => updateControl({ [control.key]: e.target.value })}
+                style={selectStyle}
+              >
+                {capability.map(value => <option key={value} value={value}>{value.toUpperCase()}</option>)}
+              </select>
+            </label>
+          );
+        }
+
+        const value = controls[control.key] ?? capability.min;
+        return (
+          <div key={control.key}>
+            <div>{control.name}: {formatValue(value)}{control.key === 'zoom' ? 'x' : ''}</div>
+            <input
+              type="range"
+              min={capability.min}
+              max={capability.max}
+              step={capability.step || (capability.max - capability.min) / 100}
+              value={value}
+              aria-label={control.name}
+              onChange={(e) => updateControl({ [control.key]: parseFloat(e.target.value) })}
+              style={{ width: '100%' }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default CameraPanel;
@@ -0,0 +1,45 @@
+// EXPORT CLIP で書き出す動画の長さ（THINKING... の時間・1文字の間隔・最後に止める時間）
+function ClipPanel({ settings, onChange }) {
+  const update = changes => onChange({ ...settings, ...changes });
+
+  return (
+    <div>
+      <div style={{ marginBottom: 4 }}>CLIP</div>
+      <div>THINKING: {settings.thinkingSec.toFixed(1)}S</div>
+      <input
+        type="range"
+        min={0}
+        max={5}
+        step={0.1}
+        value={settings.thinkingSec}
+        aria-label="Clip thinking time in seconds"
+        onChange={(e) => update({ thinkingSec: parseFloat(e.target.value) })}
+        style={{ width: '100%' }}
+      />
+      <div>TYPING: {settings.charMs}MS / CHAR</div>
+      <input
+        type="range"
+        min={20}
+        max={200}
+        step={10}
+        value={settings.charMs}
+        aria-label="Clip typing speed in milliseconds per character"
+        onChange={(e) => update({ charMs: parseInt(e.target.value) })}
+        style={{ width: '100%' }}
+      />
+      <div>HOLD: {settings.holdSec.toFixed(1)}S</div>
+      <input
+        type="range"
+        min={0}
+        max={10}
+        step={0.5}
+        value={settings.holdSec}
+        aria-label="Clip hold time in seconds"
+        onChange={(e) => update({ holdSec: parseFloat(e.target.value) })}
+        style={{ width: '100%' }}
+      />
+    </div>
+  );
+}
+
+export default ClipPanel;
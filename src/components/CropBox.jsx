@@ -0,0 +1,83 @@
+import { useRef, useState } from 'react';
+import { cropFromPoints } from '../lib/crop.js';
+
+const GREEN = 'rgb(0, 255, 0)';
+
+// 撮影した画像の上の解析する範囲。editing の間はドラッグで範囲を描き直せる。
+// SVG は Annotations と同じく画像の座標系（preserveAspectRatio="slice"）なので、objectFit: cover の画像と揃う。
+function CropBox({ width, height, crop, editing, onChange }) {
+  const svgRef = useRef(null);
+  const [start, setStart] = useState(null);
+
+  if (!width || !height || (!crop && !editing)) return null;
+
+  // 画面の位置を画像に対する割合にする
+  const toImage = (e) => {
+    const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return { x: point.x / width, y: point.y / height };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toImage(e);
+    setStart(point);
+    onChange(cropFromPoints(point, point));
+  };
+
+  const handlePointerMove = (e) => {
+    if (start) onChange(cropFromPoints(start, toImage(e)));
+  };
+
+  const box = crop && {
+    x: crop.x * width,
+    y: crop.y * height,
+    width: crop.width * width,
+    height: crop.height * height,
+  };
+  const unit = Math.max(width, height) / 100;
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="xMidYMid slice"
+      onPointerDown={editing ? handlePointerDown : undefined}
+      onPointerMove={editing ? handlePointerMove : undefined}
+      onPointerUp={() => setStart(null)}
+      onPointerCancel={() => setStart(null)}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        width: '100%',
+        height: '100%',
+        touchAction: 'none',
+        cursor: editing ? 'crosshair' : undefined,
+        pointerEvents: editing ? 'auto' : 'none',
+        zIndex: 6,
+      }}
+    >
+      {box && (
+        <>
+          {/* Darken everything outside the region */}
+          <path
+            d={`M0 0H${width}V${height}H0Z M${box.x} ${box.y}v${box.height}h${box.width}v${-box.height}Z`}
+            fill="rgba(0, 0, 0, 0.5)"
+            fillRule="evenodd"
+          />
+          <rect
+            x={box.x}
+            y={box.y}
+            width={box.width}
+            height={box.height}
+            fill="none"
+            stroke={GREEN}
+            strokeWidth={unit * 0.3}
+            strokeDasharray={editing ? `${unit} ${unit}` : undefined}
+          />
+        </>
+      )}
+    </svg>
+  );
+}
+
+export default CropBox;
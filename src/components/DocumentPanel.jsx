@@ -0,0 +1,128 @@
+import { useEffect, useState } from 'react';
+import { copyText, documentBlocks, documentMarkdown, documentText, needsTranslation } from '../lib/document.js';
+import { shareOrDownload } from '../lib/share.js';
+
+const GREEN = 'rgb(0, 255, 0)';
+
+const buttonStyle = {
+  padding: '6px 10px',
+  backgroundColor: 'rgba(255,255,255,0.2)',
+  color: 'white',
+  fontFamily: 'monospace',
+  fontSize: 11,
+  border: 'none',
+  cursor: 'pointer',
+};
+
+// DOCUMENT モードの結果。読み取った文字をブロックごと（画像の枠と同じ番号）に出し、
+// コピー・.txt / .md の書き出し・結果の言語への翻訳ができる。訳した後は ORIGINAL で原文に戻せる
+// （結果が変わったら作り直すように、使う側で key を付ける）
+function DocumentPanel({ text, document, lang, translation, translating, translateError, createdAt, bottom, onTranslate, onAnnounce }) {
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const translated = Boolean(translation) && !showOriginal;
+
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 1500);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copy = async () => {
+    const ok = await copyText(translated ? translation.text : documentText(text));
+    setCopied(ok);
+    onAnnounce(ok ? 'COPIED' : 'COULD NOT COPY');
+  };
+
+  const exportFile = (extension) => {
+    const body = extension === 'md'
+      ? documentMarkdown(document, text, { translation, createdAt })
+      : documentText(text, translation);
+    const type = extension === 'md' ? 'text/markdown' : 'text/plain';
+    shareOrDownload(new Blob([body], { type: `${type};charset=utf-8` }), `camera-describe-${Date.now()}.${extension}`);
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      left: 16,
+      right: 16,
+      bottom,
+      maxHeight: '45%',
+      display: 'flex',
+      flexDirection: 'column',
+      backgroundColor: 'rgba(0,0,0,0.6)',
+      zIndex: 1,
+    }}>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 6,
+        flexWrap: 'wrap',
+        padding: 8,
+        fontFamily: 'monospace',
+        fontSize: 11,
+        color: 'white',
+      }}>
+        <div style={{ flex: 1, opacity: 0.8 }}>
+          {translated ? translation.lang.toUpperCase() : (document.language || 'UNKNOWN').toUpperCase()}
+          {' · '}{document.blocks.length} {document.blocks.length === 1 ? 'BLOCK' : 'BLOCKS'}
+        </div>
+        <button onClick={copy} aria-label="Copy text" style={buttonStyle}>
+          {copied ? 'COPIED' : 'COPY'}
+        </button>
+        <button onClick={() => exportFile('txt')} aria-label="Export as text file" style={buttonStyle}>.TXT</button>
+        <button onClick={() => exportFile('md')} aria-label="Export as Markdown file" style={buttonStyle}>.MD</button>
+        {translation ? (
+          <button
+            onClick={() => setShowOriginal(!showOriginal)}
+            aria-pressed={showOriginal}
+            aria-label="Show original text"
+            style={buttonStyle}
+          >
+            ORIGINAL
+          </button>
+        ) : needsTranslation(document, lang) && (
+          <button
+            onClick={onTranslate}
+            disabled={translating}
+            aria-label={`Translate into ${lang}`}
+            style={buttonStyle}
+          >
+            {translating ? 'TRANSLATING…' : 'TRANSLATE'}
+          </button>
+        )}
+      </div>
+
+      <div
+        lang={translated ? translation.lang : document.language || undefined}
+        style={{
+          overflowY: 'auto',
+          padding: '0 12px 12px',
+          fontFamily: '"OTR Grotesk", system-ui, sans-serif',
+          fontSize: 15,
+          lineHeight: 1.35,
+          color: GREEN,
+          whiteSpace: 'pre-wrap',
+          userSelect: 'text',
+        }}
+      >
+        {translateError && <div style={{ fontFamily: 'monospace', fontSize: 11, marginBottom: 8 }}>{translateError}</div>}
+        {translated
+          ? translation.text
+          : documentBlocks(document, text).map((block, i) => (
+            <div key={i} style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
+              <div style={{ fontFamily: 'monospace', fontSize: 10, opacity: 0.6, paddingTop: 3 }}>{i + 1}</div>
+              <div style={{ flex: 1 }}>
+                {block.paragraphs.map((paragraph, j) => (
+                  <p key={j} style={{ margin: j ? '8px 0 0' : 0 }}>{paragraph}</p>
+                ))}
+              </div>
+            </div>
+          ))}
+      </div>
+    </div>
+  );
+}
+
+export default DocumentPanel;
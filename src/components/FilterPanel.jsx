@@ -0,0 +1,210 @@
+import { useRef, useState } from 'react';
+import { FILTERS, createFilter, getFilter } from '../lib/filters/definitions.js';
+import { importLut } from '../lib/filters/lut.js';
+import {
+  BUILT_IN_PRESETS,
+  deletePreset,
+  instantiatePreset,
+  loadPresets,
+  savePreset,
+} from '../lib/filters/presets.js';
+
+const buttonStyle = {
+  padding: '4px 8px',
+  backgroundColor: 'rgba(255,255,255,0.15)',
+  color: 'white',
+  fontFamily: 'monospace',
+  fontSize: 11,
+  border: 'none',
+  borderRadius: 0,
+  cursor: 'pointer',
+};
+
+const selectStyle = { fontFamily: 'monospace', fontSize: 11, maxWidth: '100%' };
+
+const formatValue = value => (Number.isInteger(value) ? value : value.toFixed(2));
+
+// 1つのパラメーターの入力欄（type ごとにスライダー・色・シード・LUT の選択）
+function ParamInput({ name, param, value, luts, onChange }) {
+  const label = name.toUpperCase();
+
+  if (param.type === 'color') {
+    return (
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        {label}
+        <input type="color" value={value} onChange={(e) => onChange(e.target.value)} />
+      </label>
+    );
+  }
+
+  if (param.type === 'seed') {
+    return (
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        {label}
+        <input
+          type="number"
+          min={0}
+          value={value}
+          onChange={(e) => onChange(parseInt(e.target.value) || 0)}
+          style={{ ...selectStyle, width: 80 }}
+        />
+        <button onClick={() => onChange(Math.floor(Math.random() * 1e6))} style={buttonStyle}>SHUFFLE</button>
+      </label>
+    );
+  }
+
+  if (param.type === 'lut') {
+    return (
+      <select value={value || ''} onChange={(e) => onChange(e.target.value || null)} aria-label={label} style={selectStyle}>
+        <option value="">— CHOOSE A LUT —</option>
+        {luts.map(lut => <option key={lut.id} value={lut.id}>{lut.name}</option>)}
+      </select>
+    );
+  }
+
+  return (
+    <div>
+      <div>{label}: {formatValue(value)}</div>
+      <input
+        type="range"
+        min={param.min}
+        max={param.max}
+        step={param.step}
+        value={value}
+        aria-label={label}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        style={{ width: '100%' }}
+      />
+    </div>
+  );
+}
+
+// フィルターの並び（上から順にかける）の編集と、プリセット・LUT の読み込み
+function FilterPanel({ stack, onChange, luts, onLutsChange }) {
+  const [presets, setPresets] = useState(loadPresets);
+  const [presetName, setPresetName] = useState('');
+  const [status, setStatus] = useState('');
+  const fileInputRef = useRef(null);
+
+  const allPresets = [...BUILT_IN_PRESETS, ...presets];
+
+  const updateParam = (key, name, value) => {
+    onChange(stack.map(item => (item.key === key ? { ...item, params: { ...item.params, [name]: value } } : item)));
+  };
+
+  const move = (index, offset) => {
+    const next = [...stack];
+    const [item] = next.splice(index, 1);
+    next.splice(index + offset, 0, item);
+    onChange(next);
+  };
+
+  const applyPreset = (id) => {
+    const preset = allPresets.find(p => p.id === id);
+    if (preset) onChange(instantiatePreset(preset));
+  };
+
+  const saveCurrent = () => {
+    if (!presetName.trim() || !stack.length) return;
+    setPresets(savePreset(presets, presetName.trim().toUpperCase(), stack));
+    setPresetName('');
+  };
+
+  const importCube = async (file) => {
+    if (!file) return;
+    try {
+      const lut = await importLut(file);
+      onLutsChange([...luts, lut]);
+      onChange([...stack, { ...createFilter('lut'), params: { lut: lut.id, amount: 1 } }]);
+      setStatus('');
+    } catch (e) {
+      console.error('Failed to import LUT:', e);
+      setStatus(`LUT: ${e.message.toUpperCase()}`);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ marginBottom: 8 }}>FILTERS</div>
+
+      {stack.map((item, index) => {
+        const filter = getFilter(item.filter);
+        if (!filter) return null;
+        return (
+          <div key={item.key} style={{ marginBottom: 10, paddingLeft: 8, borderLeft: '2px solid rgba(255,255,255,0.3)' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 4, marginBottom: 4 }}>
+              <div style={{ flex: 1 }}>{filter.name}</div>
+              <button onClick={() => move(index, -1)} disabled={index === 0} style={buttonStyle}>↑</button>
+              <button onClick={() => move(index, 1)} disabled={index === stack.length - 1} style={buttonStyle}>↓</button>
+              <button onClick={() => onChange(stack.filter(i => i.key !== item.key))} style={buttonStyle}>×</button>
+            </div>
+            {Object.entries(filter.params).map(([name, param]) => (
+              <ParamInput
+                key={name}
+                name={name}
+                param={param}
+                value={item.params[name]}
+                luts={luts}
+                onChange={value => updateParam(item.key, name, value)}
+              />
+            ))}
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 8 }}>
+        <select
+          value=""
+          onChange={(e) => e.target.value && onChange([...stack, createFilter(e.target.value)])}
+          aria-label="Add filter"
+          style={selectStyle}
+        >
+          <option value="">+ ADD FILTER</option>
+          {FILTERS.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+        </select>
+        <button onClick={() => fileInputRef.current?.click()} style={buttonStyle}>IMPORT .CUBE</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".cube"
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            importCube(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        {stack.length > 0 && <button onClick={() => onChange([])} style={buttonStyle}>CLEAR</button>}
+      </div>
+
+      <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', alignItems: 'center' }}>
+        <select value="" onChange={(e) => applyPreset(e.target.value)} aria-label="Filter presets" style={selectStyle}>
+          <option value="">PRESETS</option>
+          {allPresets.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+        <input
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="PRESET NAME"
+          aria-label="Preset name"
+          style={{ ...selectStyle, width: 100 }}
+        />
+        <button onClick={saveCurrent} disabled={!stack.length || !presetName.trim()} style={buttonStyle}>SAVE</button>
+      </div>
+
+      {presets.length > 0 && (
+        <div style={{ marginTop: 6 }}>
+          {presets.map(p => (
+            <div key={p.id} style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 4 }}>
+              <div style={{ flex: 1 }}>{p.name}</div>
+              <button onClick={() => setPresets(deletePreset(presets, p.id))} style={buttonStyle}>DELETE</button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {status && <div style={{ marginTop: 6, color: 'rgb(0, 255, 0)' }}>{status}</div>}
+    </div>
+  );
+}
+
+export default FilterPanel;
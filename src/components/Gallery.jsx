@@ -0,0 +1,193 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  deleteCapture,
+  exportHistory,
+  getHistoryQuota,
+  importHistory,
+  listCaptures,
+  setHistoryQuota,
+  touchCapture,
+} from '../lib/history.js';
+import { redactBlob } from '../lib/privacy.js';
+import { shareOrDownload } from '../lib/share.js';
+
+const MB = 1024 * 1024;
+const QUOTA_OPTIONS = [50, 100, 200, 500, 1000];
+
+const buttonStyle = {
+  padding: '6px 10px',
+  backgroundColor: 'rgba(255,255,255,0.15)',
+  color: 'white',
+  fontFamily: 'monospace',
+  fontSize: 11,
+  border: 'none',
+  borderRadius: 0,
+  cursor: 'pointer',
+};
+
+const formatDate = time => new Date(time).toLocaleString();
+
+// 撮影履歴の一覧。開く・消す・共有する・zip で書き出す／読み込む
+// プライバシーモードの間は、共有する画像と書き出す zip の画像も顔などを隠す（zip に元の画像は入れない）
+function Gallery({ privacy, onOpen, onClose }) {
+  const [captures, setCaptures] = useState([]);
+  const [quota, setQuota] = useState(getHistoryQuota);
+  const [status, setStatus] = useState('');
+  const fileInputRef = useRef(null);
+
+  const refresh = () => listCaptures()
+    .then(setCaptures)
+    .catch((e) => {
+      console.error('Failed to load history:', e);
+      setStatus('HISTORY IS NOT AVAILABLE');
+    });
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // サムネイルの URL は一覧が変わるたびに作り直し、古いものは解放する
+  const thumbnails = useMemo(
+    () => Object.fromEntries(captures.map(c => [c.id, URL.createObjectURL(c.filtered)])),
+    [captures]
+  );
+  useEffect(() => () => Object.values(thumbnails).forEach(url => URL.revokeObjectURL(url)), [thumbnails]);
+
+  const usage = captures.reduce((sum, c) => sum + c.bytes, 0);
+
+  const remove = async (id) => {
+    try {
+      await deleteCapture(id);
+    } catch (e) {
+      console.error('Delete failed:', e);
+      setStatus('DELETE FAILED');
+    }
+    refresh();
+  };
+
+  const redact = privacy.enabled ? blob => redactBlob(blob, privacy) : undefined;
+
+  const share = async (capture) => {
+    try {
+      await touchCapture(capture.id);
+      const image = redact ? await redact(capture.filtered) : capture.filtered;
+      await shareOrDownload(image, `camera-describe-${capture.createdAt}.jpg`);
+    } catch (e) {
+      console.error('Share failed:', e);
+      setStatus('SHARE FAILED');
+    }
+  };
+
+  const changeQuota = async (bytes) => {
+    setQuota(bytes);
+    try {
+      await setHistoryQuota(bytes);
+    } catch (e) {
+      console.error('Failed to apply the history limit:', e);
+      setStatus('COULD NOT FREE UP SPACE');
+    }
+    refresh();
+  };
+
+  const exportAll = async () => {
+    setStatus('EXPORTING...');
+    try {
+      const blob = await exportHistory({ redact });
+      await shareOrDownload(blob, `camera-describe-history-${Date.now()}.zip`);
+      setStatus('');
+    } catch (e) {
+      console.error('Export failed:', e);
+      setStatus('EXPORT FAILED');
+    }
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    setStatus('IMPORTING...');
+    try {
+      const count = await importHistory(file);
+      setStatus(`IMPORTED ${count}`);
+      refresh();
+    } catch (e) {
+      console.error('Import failed:', e);
+      setStatus('IMPORT FAILED');
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      inset: 0,
+      backgroundColor: 'rgba(0,0,0,0.9)',
+      color: 'white',
+      fontFamily: 'monospace',
+      fontSize: 12,
+      zIndex: 40,
+      overflowY: 'auto',
+      padding: 16,
+      boxSizing: 'border-box',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
+        <div>HISTORY ({captures.length})</div>
+        <button onClick={onClose} style={buttonStyle}>CLOSE</button>
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center', marginBottom: 16 }}>
+        <button onClick={exportAll} disabled={!captures.length} style={buttonStyle}>EXPORT ZIP</button>
+        <button onClick={() => fileInputRef.current?.click()} style={buttonStyle}>IMPORT ZIP</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".zip,application/zip"
+          style={{ display: 'none' }}
+          onChange={(e) => {
+            importFile(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+          {(usage / MB).toFixed(1)} /
+          <select
+            value={quota}
+            onChange={(e) => changeQuota(Number(e.target.value))}
+            aria-label="History storage limit"
+            style={{ fontFamily: 'monospace', fontSize: 11 }}
+          >
+            {QUOTA_OPTIONS.map(mb => <option key={mb} value={mb * MB}>{mb} MB</option>)}
+          </select>
+        </label>
+        {status && <div style={{ color: 'rgb(0, 255, 0)' }}>{status}</div>}
+      </div>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))',
+        gap: 12,
+      }}>
+        {captures.map((capture) => {
+          const latest = capture.results.at(-1);
+          return (
+            <div key={capture.id}>
+              <img
+                src={thumbnails[capture.id]}
+                alt={latest?.text || 'Capture'}
+                onClick={() => onOpen(capture)}
+                style={{ width: '100%', aspectRatio: '3 / 4', objectFit: 'cover', cursor: 'pointer', display: 'block' }}
+              />
+              <div style={{ marginTop: 4, opacity: 0.6 }}>{formatDate(capture.createdAt)}</div>
+              <div style={{ marginTop: 2, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                {latest ? `${latest.modeName}: ${latest.text}` : '—'}
+              </div>
+              <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+                <button onClick={() => share(capture)} style={buttonStyle}>SHARE</button>
+                <button onClick={() => remove(capture.id)} style={buttonStyle}>DELETE</button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default Gallery;
@@ -0,0 +1,156 @@
+import { useState } from 'react';
+import { createCustomMode, submitCustomMode } from '../lib/modes.js';
+
+const buttonStyle = {
+  padding: '6px 10px',
+  backgroundColor: 'rgba(255,255,255,0.15)',
+  color: 'white',
+  fontFamily: 'monospace',
+  fontSize: 11,
+  border: 'none',
+  borderRadius: 0,
+  cursor: 'pointer',
+};
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: 6,
+  backgroundColor: 'rgba(255,255,255,0.1)',
+  color: 'white',
+  fontFamily: 'monospace',
+  fontSize: 12,
+  border: '1px solid rgba(255,255,255,0.3)',
+};
+
+// カスタムモードの作成・編集・削除と、サーバーへの承認申請
+function ModeEditor({ customModes, onChange, onSelect, onClose }) {
+  const [draft, setDraft] = useState(null);
+  const [status, setStatus] = useState({});
+
+  const saveDraft = () => {
+    const exists = customModes.some(m => m.id === draft.id);
+    onChange(exists
+      ? customModes.map(m => (m.id === draft.id ? draft : m))
+      : [...customModes, draft]);
+    setDraft(null);
+  };
+
+  const remove = (id) => {
+    onChange(customModes.filter(m => m.id !== id));
+  };
+
+  const submit = async (customMode) => {
+    setStatus(s => ({ ...s, [customMode.id]: 'SENDING...' }));
+    try {
+      await submitCustomMode(customMode);
+      setStatus(s => ({ ...s, [customMode.id]: 'SENT FOR APPROVAL' }));
+    } catch (e) {
+      setStatus(s => ({ ...s, [customMode.id]: e.message.toUpperCase() }));
+    }
+  };
+
+  const canSave = draft && draft.name.trim() && draft.prompt.trim();
+
+  return (
+    <div style={{
+      position: 'absolute',
+      inset: 0,
+      backgroundColor: 'rgba(0,0,0,0.85)',
+      color: 'white',
+      fontFamily: 'monospace',
+      fontSize: 12,
+      zIndex: 40,
+      overflowY: 'auto',
+      padding: 16,
+      boxSizing: 'border-box',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+        <div>CUSTOM MODES</div>
+        <button onClick={onClose} style={buttonStyle}>CLOSE</button>
+      </div>
+
+      {!draft && (
+        <>
+          {customModes.length === 0 && (
+            <div style={{ opacity: 0.6, marginBottom: 12 }}>NO CUSTOM MODES YET</div>
+          )}
+
+          {customModes.map(m => (
+            <div key={m.id} style={{ marginBottom: 12, paddingBottom: 12, borderBottom: '1px solid rgba(255,255,255,0.2)' }}>
+              <div style={{ marginBottom: 6 }}>{m.name.toUpperCase()}</div>
+              <div style={{ opacity: 0.6, marginBottom: 8, whiteSpace: 'pre-wrap' }}>{m.prompt}</div>
+              <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                <button onClick={() => onSelect(m.id)} style={buttonStyle}>USE</button>
+                <button onClick={() => setDraft(m)} style={buttonStyle}>EDIT</button>
+                <button onClick={() => remove(m.id)} style={buttonStyle}>DELETE</button>
+                <button onClick={() => submit(m)} style={buttonStyle}>SUBMIT</button>
+              </div>
+              {status[m.id] && <div style={{ marginTop: 6, color: 'rgb(0, 255, 0)' }}>{status[m.id]}</div>}
+            </div>
+          ))}
+
+          <button onClick={() => setDraft(createCustomMode())} style={buttonStyle}>+ NEW MODE</button>
+        </>
+      )}
+
+      {draft && (
+        <div>
+          <div style={{ marginBottom: 12 }}>
+            <div>NAME</div>
+            <input
+              value={draft.name}
+              maxLength={24}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              aria-label="Mode name"
+              style={inputStyle}
+            />
+          </div>
+
+          <div style={{ marginBottom: 12 }}>
+            <div>PROMPT ({'{wordLimit}'} IS REPLACED BY THE WORD LIMIT)</div>
+            <textarea
+              value={draft.prompt}
+              rows={6}
+              maxLength={2000}
+              onChange={(e) => setDraft({ ...draft, prompt: e.target.value })}
+              aria-label="Prompt"
+              style={inputStyle}
+            />
+          </div>
+
+          <div style={{ marginBottom: 12 }}>
+            <div>WORD LIMIT</div>
+            <input
+              type="number"
+              min={1}
+              max={200}
+              value={draft.wordLimit ?? ''}
+              onChange={(e) => setDraft({ ...draft, wordLimit: e.target.value ? parseInt(e.target.value) : null })}
+              aria-label="Word limit"
+              style={inputStyle}
+            />
+          </div>
+
+          <div style={{ marginBottom: 12 }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={draft.casing === 'upper'}
+                onChange={(e) => setDraft({ ...draft, casing: e.target.checked ? 'upper' : 'none' })}
+              />
+              UPPERCASE
+            </label>
+          </div>
+
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button onClick={saveDraft} disabled={!canSave} style={{ ...buttonStyle, opacity: canSave ? 1 : 0.4 }}>SAVE</button>
+            <button onClick={() => setDraft(null)} style={buttonStyle}>CANCEL</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ModeEditor;
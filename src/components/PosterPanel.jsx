@@ -0,0 +1,57 @@
+import { POSTER_FORMATS, POSTER_TEMPLATES } from '../lib/poster.js';
+
+const selectStyle = { fontFamily: 'monospace', fontSize: 11 };
+
+// SAVE で書き出す画像の設定（比率・形式・画質・キャプションの帯・場所）
+function PosterPanel({ settings, onChange }) {
+  const update = changes => onChange({ ...settings, ...changes });
+
+  return (
+    <div>
+      <div style={{ marginBottom: 4 }}>SAVE</div>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 4 }}>
+        <select value={settings.template} onChange={(e) => update({ template: e.target.value })} aria-label="Saved image layout" style={selectStyle}>
+          {Object.entries(POSTER_TEMPLATES).map(([id, template]) => (
+            <option key={id} value={id}>{template.name}</option>
+          ))}
+        </select>
+        <select value={settings.format} onChange={(e) => update({ format: e.target.value })} aria-label="Saved image format" style={selectStyle}>
+          {Object.entries(POSTER_FORMATS).map(([id, format]) => (
+            <option key={id} value={id}>{format.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {POSTER_FORMATS[settings.format]?.lossy && (
+        <>
+          <div>QUALITY: {Math.round(settings.quality * 100)}</div>
+          <input
+            type="range"
+            min={0.5}
+            max={1}
+            step={0.01}
+            value={settings.quality}
+            aria-label="Saved image quality"
+            onChange={(e) => update({ quality: parseFloat(e.target.value) })}
+            style={{ width: '100%' }}
+          />
+        </>
+      )}
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+        <input type="checkbox" checked={settings.caption} onChange={(e) => update({ caption: e.target.checked })} />
+        CAPTION (MODE · DATE · PLACE)
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+        <input type="checkbox" checked={settings.location} onChange={(e) => update({ location: e.target.checked })} />
+        RECORD LOCATION
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+        <input type="checkbox" checked={settings.cropped} onChange={(e) => update({ cropped: e.target.checked })} />
+        SAVE ONLY THE CROPPED REGION
+      </label>
+    </div>
+  );
+}
+
+export default PosterPanel;
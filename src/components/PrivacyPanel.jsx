@@ -0,0 +1,42 @@
+import { faceDetectorSupported, REDACT_STYLES } from '../lib/privacy.js';
+
+// プライバシーモードの設定（隠し方・ナンバープレート・解析に送る画像）
+function PrivacyPanel({ settings, onChange }) {
+  const update = changes => onChange({ ...settings, ...changes });
+
+  return (
+    <div>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer', marginBottom: 4 }}>
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+        PRIVACY MODE
+      </label>
+      {settings.enabled && (
+        <>
+          <select
+            value={settings.style}
+            onChange={(e) => update({ style: e.target.value })}
+            aria-label="How to hide faces"
+            style={{ fontFamily: 'monospace', fontSize: 11, marginBottom: 4 }}
+          >
+            {Object.entries(REDACT_STYLES).map(([id, style]) => (
+              <option key={id} value={id}>{style.name}</option>
+            ))}
+          </select>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+            <input type="checkbox" checked={settings.plates} onChange={(e) => update({ plates: e.target.checked })} />
+            HIDE LICENSE PLATES
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+            <input type="checkbox" checked={settings.upload} onChange={(e) => update({ upload: e.target.checked })} />
+            HIDE BEFORE UPLOAD (NOT IN FACE MODES)
+          </label>
+          {!faceDetectorSupported() && (
+            <div style={{ opacity: 0.6, marginTop: 4 }}>FACES ARE LOCATED BY THE SERVER ON THIS BROWSER</div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PrivacyPanel;
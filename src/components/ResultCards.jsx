@@ -0,0 +1,99 @@
+import Annotations from './Annotations.jsx';
+import ResultText from './ResultText.jsx';
+
+// 複数モードの結果を1モード1枚のカードにして横に並べる（スワイプで切り替え）。
+function ResultCards({ image, size, cards, index, onIndexChange }) {
+  const handleScroll = (e) => {
+    const scroller = e.currentTarget;
+    const next = Math.round(scroller.scrollLeft / scroller.clientWidth);
+    if (next !== index) onIndexChange(next);
+  };
+
+  return (
+    <>
+      <div
+        onScroll={handleScroll}
+        style={{
+          position: 'absolute',
+          inset: 0,
+          display: 'flex',
+          overflowX: 'auto',
+          overflowY: 'hidden',
+          scrollSnapType: 'x mandatory',
+          scrollbarWidth: 'none',
+        }}
+      >
+        {cards.map(card => (
+          <div
+            key={card.mode}
+            style={{
+              position: 'relative',
+              flex: '0 0 100%',
+              height: '100%',
+              scrollSnapAlign: 'start',
+              scrollSnapStop: 'always',
+            }}
+          >
+            <img
+              src={image}
+              alt={card.text}
+              style={{
+                width: '100%',
+                height: '100%',
+                objectFit: 'cover',
+                display: 'block',
+              }}
+            />
+
+            <Annotations data={card.data} width={size?.width} height={size?.height} />
+
+            {/* Mode name */}
+            <div style={{
+              position: 'absolute',
+              top: 64,
+              left: 0,
+              right: 0,
+              textAlign: 'center',
+              color: 'rgb(0, 255, 0)',
+              fontFamily: 'monospace',
+              fontSize: 12,
+              letterSpacing: '0.05em',
+            }}>
+              {card.modeName.toUpperCase()}
+            </div>
+
+            {/* Documents are long, so they use the smaller scrolling text */}
+            <ResultText text={card.text} writingMode={card.writingMode} detailed={Boolean(card.data?.document)} />
+          </div>
+        ))}
+      </div>
+
+      {/* Card position */}
+      <div style={{
+        position: 'absolute',
+        bottom: 92,
+        left: 0,
+        right: 0,
+        display: 'flex',
+        justifyContent: 'center',
+        gap: 6,
+        pointerEvents: 'none',
+      }}>
+        {cards.map((card, i) => (
+          <div
+            key={card.mode}
+            style={{
+              width: 6,
+              height: 6,
+              borderRadius: '50%',
+              backgroundColor: 'white',
+              opacity: i === index ? 0.9 : 0.3,
+            }}
+          />
+        ))}
+      </div>
+    </>
+  );
+}
+
+export default ResultCards;
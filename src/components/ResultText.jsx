@@ -0,0 +1,40 @@
+// 撮影した画像の中央に重ねる結果のテキスト。
+// writingMode が 'vertical-rl' なら縦書き（日本語の俳句など）にする。
+// detailed はアクセシビリティモードの長い説明。読みやすい大きさにして、はみ出す分はスクロールする。
+function ResultText({ text, writingMode, detailed }) {
+  const vertical = writingMode === 'vertical-rl';
+
+  return (
+    <div style={{
+      position: 'absolute',
+      inset: 0,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: 32,
+    }}>
+      <div
+        style={{
+          fontFamily: vertical
+            ? '"OTR Grotesk", "Hiragino Mincho ProN", "Yu Mincho", "Noto Serif JP", serif'
+            : '"OTR Grotesk", system-ui, sans-serif',
+          fontWeight: 400,
+          fontSize: detailed ? 'clamp(18px, 4.5vw, 28px)' : 'clamp(24px, 8vw, 0px)',
+          color: 'rgb(0, 255, 0)',
+          textAlign: vertical ? 'start' : 'center',
+          lineHeight: vertical ? 1.6 : detailed ? 1.3 : 0.9,
+          letterSpacing: vertical ? '0.1em' : '-0.01em',
+          whiteSpace: 'pre-wrap',
+          writingMode: vertical ? 'vertical-rl' : undefined,
+          textOrientation: vertical ? 'mixed' : undefined,
+          maxHeight: '100%',
+          overflowY: detailed ? 'auto' : undefined,
+        }}
+      >
+        {text}
+      </div>
+    </div>
+  );
+}
+
+export default ResultText;
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react';
+import { listVoices, modeVoice, speak, watchVoices } from '../lib/speech.js';
+
+const selectStyle = { fontFamily: 'monospace', fontSize: 11, maxWidth: '100%' };
+
+const buttonStyle = {
+  padding: '4px 8px',
+  backgroundColor: 'rgba(255,255,255,0.15)',
+  color: 'white',
+  fontFamily: 'monospace',
+  fontSize: 11,
+  border: 'none',
+  borderRadius: 0,
+  cursor: 'pointer',
+};
+
+// 今のモードの読み上げの声・速さ・高さ（モードの定義の既定を上書きする）
+function VoicePanel({ mode, lang, settings, onChange }) {
+  const [voices, setVoices] = useState(() => listVoices(lang));
+  const voice = modeVoice(mode, settings);
+
+  useEffect(() => {
+    const refresh = () => setVoices(listVoices(lang));
+    refresh();
+    return watchVoices(refresh);
+  }, [lang]);
+
+  const update = changes => onChange({
+    ...settings,
+    modes: { ...settings.modes, [mode.id]: { ...settings.modes[mode.id], ...changes } },
+  });
+
+  // 上書きを消してモードの既定に戻す
+  const resetVoice = () => {
+    const { [mode.id]: _removed, ...modes } = settings.modes;
+    onChange({ ...settings, modes });
+  };
+
+  return (
+    <div>
+      <div style={{ marginBottom: 4 }}>VOICE · {mode.name.toUpperCase()}</div>
+      <select
+        value={voice.voice || ''}
+        onChange={(e) => update({ voice: e.target.value || null })}
+        aria-label="Voice"
+        style={selectStyle}
+      >
+        <option value="">DEFAULT VOICE</option>
+        {voices.map(v => <option key={v.voiceURI} value={v.voiceURI}>{v.name}</option>)}
+      </select>
+      <div>RATE: {voice.rate.toFixed(2)}</div>
+      <input
+        type="range"
+        min={0.5}
+        max={2}
+        step={0.05}
+        value={voice.rate}
+        aria-label="Voice rate"
+        onChange={(e) => update({ rate: parseFloat(e.target.value) })}
+        style={{ width: '100%' }}
+      />
+      <div>PITCH: {voice.pitch.toFixed(2)}</div>
+      <input
+        type="range"
+        min={0}
+        max={2}
+        step={0.05}
+        value={voice.pitch}
+        aria-label="Voice pitch"
+        onChange={(e) => update({ pitch: parseFloat(e.target.value) })}
+        style={{ width: '100%' }}
+      />
+      <div style={{ display: 'flex', gap: 6, marginTop: 4 }}>
+        <button onClick={() => speak(mode.name, { lang, ...voice })} style={buttonStyle}>TEST</button>
+        <button onClick={resetVoice} style={buttonStyle}>RESET</button>
+      </div>
+    </div>
+  );
+}
+
+export default VoicePanel;
@@ -0,0 +1,68 @@
+import { useRef } from 'react';
+import { DEFAULT_VIEW, moveView } from '../lib/crop.js';
+
+// 2本指で拡大・縮小、1本指で動かす（ズームしている時）。パソコンではホイールで拡大し、ダブルクリックで戻す
+// onChange には前の view から次の view を作る関数を渡す（ポインターのイベントが続けて来ても取りこぼさないように）
+function ZoomLayer({ onChange }) {
+  const pointers = useRef(new Map());
+  // 前のイベントの時の指の中心（画面に対する割合）と2本の指の間隔
+  const gesture = useRef(null);
+
+  const sample = (element) => {
+    const rect = element.getBoundingClientRect();
+    const points = [...pointers.current.values()];
+    const mid = {
+      x: (points.reduce((sum, p) => sum + p.x, 0) / points.length - rect.left) / rect.width,
+      y: (points.reduce((sum, p) => sum + p.y, 0) / points.length - rect.top) / rect.height,
+    };
+    const distance = points.length > 1 ? Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) : null;
+    return { mid, distance, count: points.length };
+  };
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    gesture.current = sample(e.currentTarget);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const previous = gesture.current;
+    const next = sample(e.currentTarget);
+    gesture.current = next;
+    if (!previous || previous.count !== next.count) return;
+    const ratio = next.distance && previous.distance ? next.distance / previous.distance : 1;
+    onChange(view => moveView(view, previous.mid, next.mid, view.scale * ratio));
+  };
+
+  const handlePointerUp = (e) => {
+    pointers.current.delete(e.pointerId);
+    gesture.current = pointers.current.size ? sample(e.currentTarget) : null;
+  };
+
+  const handleWheel = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const at = { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+    onChange(view => moveView(view, at, at, view.scale * Math.exp(-e.deltaY * 0.002)));
+  };
+
+  return (
+    <div
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onWheel={handleWheel}
+      onDoubleClick={() => onChange(() => DEFAULT_VIEW)}
+      style={{
+        position: 'absolute',
+        inset: 0,
+        touchAction: 'none',
+        zIndex: 4,
+      }}
+    />
+  );
+}
+
+export default ZoomLayer;
@@ -0,0 +1,39 @@
+// ---------------------------------------------------------
+// アクセシビリティモード
+//   目の見えない人・見えにくい人向けに、短い詩の代わりに詳しい説明（モードの 'detailed' の variant）を頼み、
+//   結果はタイプライターを待たずに全文を出して、スクリーンリーダーに読み上げさせる。
+// ---------------------------------------------------------
+const SETTINGS_KEY = 'camera-describe:a11y';
+
+export const DETAILED_VARIANT = 'detailed';
+
+export const DEFAULT_A11Y_SETTINGS = {
+  enabled: false,
+};
+
+export function loadA11ySettings() {
+  try {
+    return { ...DEFAULT_A11Y_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_A11Y_SETTINGS;
+  }
+}
+
+export function saveA11ySettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// 解析に付ける variant（オフの時は付けない）
+export const a11yVariant = settings => (settings.enabled ? DETAILED_VARIANT : undefined);
+
+// 詳しい説明の variant を持つモードか（Vision のモードとカスタムモードにはない。サーバーは黙っていつもの結果を返す）
+export const hasDetailedVariant = mode => Boolean(mode.variants?.includes(DETAILED_VARIANT));
+
+// キーボードショートカットを文字入力と取り合わないように、入力欄にいる時は無視する
+export function isTypingTarget(target) {
+  if (!target) return false;
+  if (target.isContentEditable) return true;
+  const tag = target.tagName;
+  if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+  return tag === 'INPUT' && !['button', 'checkbox', 'radio', 'range', 'submit'].includes(target.type);
+}
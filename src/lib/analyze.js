@@ -0,0 +1,135 @@
+import { authHeaders } from './auth.js';
+import { toCustomModeRequest } from './modes.js';
+
+// サーバーが返すエラーコードごとの表示文言
+const ERROR_MESSAGES = {
+  rate_limited: 'TOO MANY REQUESTS. TRY AGAIN IN A MOMENT',
+  blocked: 'THIS IMAGE CANNOT BE DESCRIBED',
+  bad_image: 'THE IMAGE COULD NOT BE READ',
+  upstream_down: 'THE SERVICE IS NOT RESPONDING',
+  too_large: 'THE IMAGE IS TOO LARGE',
+  unsupported_image: 'THIS IMAGE FORMAT IS NOT SUPPORTED',
+  unauthorized: 'ACCESS DENIED',
+  quota_exceeded: 'LIMIT REACHED. TRY AGAIN LATER',
+  network: 'NO CONNECTION',
+  config_error: 'THE SERVER IS NOT SET UP',
+  // プライバシーモードで顔の場所がわからず、隠せなかった（クライアント側のエラー）
+  redaction_failed: 'FACES COULD NOT BE HIDDEN',
+};
+
+// retryAfter は利用回数の上限に当たった時の Retry-After（秒）
+export class AnalyzeError extends Error {
+  constructor(message, code, meta, retryAfter = null) {
+    super(message);
+    this.name = 'AnalyzeError';
+    this.code = code;
+    this.meta = meta;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export function errorMessage(error) {
+  return ERROR_MESSAGES[error?.code] || 'ERROR';
+}
+
+async function post(body, signal) {
+  let response;
+  try {
+    response = await fetch('/api/analyze', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (e) {
+    throw new AnalyzeError(e.message, 'network');
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const retryAfter = Number(response.headers.get('Retry-After')) || null;
+    throw new AnalyzeError(data.error || 'Server error', data.code, data.meta, retryAfter);
+  }
+  return response;
+}
+
+// /api/analyze の呼び出し。戻り値は { result, data, meta, writingMode }。
+// data は顔の位置・表情やラベルの確信度、書類のブロックと言語（faces / labels / document のみ）、meta は答えたモデル・試行回数・所要時間。
+// ストリーミング（NDJSON）で返ってきた場合は、届いた分までのテキストを onChunk に渡す。
+// カスタムモードの時は mode: 'custom' と一緒にその定義（customMode）を送る。signal で中断できる。
+// サーバーは同じ場面・同じモードの結果をキャッシュから返す（meta.cached）。fresh なら必ず解析し直す。
+// lang は結果の言語。縦書きで出す結果には writingMode（'vertical-rl'）が付く。
+// variant はモードの別のプロンプト（アクセシビリティモードの 'detailed'）。持っていないモードでは無視される。
+export async function analyze({ base64Image, mode, customMode, onChunk, signal, fresh, lang, variant }) {
+  const response = await post({ base64Image, mode, customMode, stream: true, fresh, lang, variant }, signal);
+
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!contentType.includes('application/x-ndjson')) {
+    const data = await response.json();
+    return { result: data.result, data: data.data, meta: data.meta, writingMode: data.writingMode };
+  }
+
+  let text = '';
+  for await (const message of readNdjson(response.body)) {
+    if (message.error) throw new AnalyzeError(message.error, message.code, message.meta);
+    if (message.chunk) {
+      text += message.chunk;
+      onChunk?.(text);
+    }
+    if (message.result !== undefined) return { result: message.result, meta: message.meta, writingMode: message.writingMode };
+  }
+  return { result: text, meta: null };
+}
+
+// 1枚の画像を複数のモードでまとめて解析する（バッチ）。modes はモードの定義の配列。
+// 戻り値はモードの順に [{ mode, result, data, meta }]。失敗したモードは { mode, error, code, meta } になる。
+export async function analyzeBatch({ base64Image, modes, fresh, lang, variant }) {
+  const customModes = Object.fromEntries(
+    modes.filter(m => m.custom).map(m => [m.id, toCustomModeRequest(m)])
+  );
+  const response = await post({ base64Image, modes: modes.map(m => m.id), customModes, fresh, lang, variant });
+  const { results } = await response.json();
+  return results;
+}
+
+// サーバー（api/_lib/validate.js）が受け付けるやり取りの数
+const MAX_THREAD_TURNS = 20;
+
+// 表示中の結果について質問する（ASK）。result はそのモードの答え、thread はそれまでの [{ question, answer }]。
+// やり取りが長くなったら新しい方だけ送る。戻り値は { answer, meta }。
+export async function ask({ base64Image, mode, customMode, result, thread = [], question, lang, variant, signal }) {
+  const response = await post(
+    { base64Image, mode, customMode, result, thread: thread.slice(-MAX_THREAD_TURNS), question, lang, variant },
+    signal
+  );
+  return response.json();
+}
+
+// 読み取った文字（DOCUMENT の結果）を lang の言語に訳す。画像も文脈として一緒に送る。
+// 戻り値は { translation, lang, meta }。
+export async function translate({ base64Image, mode, customMode, text, lang, signal }) {
+  const response = await post({ base64Image, mode, customMode, translate: text, lang }, signal);
+  return response.json();
+}
+
+// Safari は ReadableStream の for await に未対応なので getReader で読む
+async function* readNdjson(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).trim();
+      buffer = buffer.slice(index + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
@@ -0,0 +1,140 @@
+import { zlibSync } from 'fflate';
+
+// ---------------------------------------------------------
+// アニメーション PNG（APNG）のエンコーダー
+//   MediaRecorder が使えないブラウザでクリップを書き出すためのもの。
+//   前のフレームから変わった範囲だけを fcTL / fdAT に入れるので、
+//   文字が1つずつ増えていくだけのクリップなら写真は最初の1回しか入らない。
+//   const encoder = createApngEncoder(width, height);
+//   encoder.addFrame(imageData, delayMs); ...; const blob = encoder.finish();
+// ---------------------------------------------------------
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+  return bytes;
+}
+
+function uint32s(...values) {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setUint32(i * 4, value));
+  return bytes;
+}
+
+// 範囲の RGBA を行ごとに Up フィルター（上の行との差）をかけて zlib で圧縮する
+function compressRegion(rgba, width, { x, y, w, h }) {
+  const stride = w * 4 + 1;
+  const raw = new Uint8Array(stride * h);
+  for (let row = 0; row < h; row++) {
+    const start = ((y + row) * width + x) * 4;
+    const line = rgba.subarray(start, start + w * 4);
+    const out = row * stride;
+    raw[out] = 2;
+    if (row === 0) {
+      raw.set(line, out + 1);
+    } else {
+      const above = rgba.subarray(start - width * 4, start - width * 4 + w * 4);
+      for (let i = 0; i < line.length; i++) raw[out + 1 + i] = (line[i] - above[i]) & 0xff;
+    }
+  }
+  return zlibSync(raw, { level: 6 });
+}
+
+// 前のフレームと違う画素を囲む範囲（同じなら null）
+function changedRegion(previous, current, width, height) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+  const a = new Uint32Array(previous.buffer, previous.byteOffset, width * height);
+  const b = new Uint32Array(current.buffer, current.byteOffset, width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (a[y * width + x] === b[y * width + x]) continue;
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return maxX < 0 ? null : { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+export function createApngEncoder(width, height) {
+  // [{ region, data, delayMs }]
+  const frames = [];
+  let previous = null;
+
+  return {
+    addFrame(imageData, delayMs) {
+      const rgba = new Uint8Array(imageData.data.buffer.slice(0));
+      const region = previous
+        ? changedRegion(previous, rgba, width, height)
+        : { x: 0, y: 0, w: width, h: height };
+
+      // 変わっていなければ前のフレームを長く見せる
+      if (!region) {
+        frames.at(-1).delayMs += delayMs;
+        return;
+      }
+      frames.push({ region, data: compressRegion(rgba, width, region), delayMs });
+      previous = rgba;
+    },
+
+    finish() {
+      const parts = [new Uint8Array(SIGNATURE)];
+      // 8 ビットの RGBA
+      const ihdr = new Uint8Array(13);
+      ihdr.set(uint32s(width, height));
+      ihdr.set([8, 6, 0, 0, 0], 8);
+      parts.push(chunk('IHDR', ihdr));
+      // フレーム数と、ループ回数（0 = ずっと）
+      parts.push(chunk('acTL', uint32s(frames.length, 0)));
+
+      let sequence = 0;
+      frames.forEach(({ region, data, delayMs }, i) => {
+        const fctl = new Uint8Array(26);
+        fctl.set(uint32s(sequence++, region.w, region.h, region.x, region.y));
+        const view = new DataView(fctl.buffer);
+        // 表示時間はミリ秒（delay_num / delay_den）
+        view.setUint16(20, Math.min(65535, Math.max(1, Math.round(delayMs))));
+        view.setUint16(22, 1000);
+        // dispose_op: NONE（残す）、blend_op: SOURCE（置き換える）
+        fctl[24] = 0;
+        fctl[25] = 0;
+        parts.push(chunk('fcTL', fctl));
+
+        if (i === 0) {
+          parts.push(chunk('IDAT', data));
+        } else {
+          const fdat = new Uint8Array(4 + data.length);
+          fdat.set(uint32s(sequence++));
+          fdat.set(data, 4);
+          parts.push(chunk('fdAT', fdat));
+        }
+      });
+
+      parts.push(chunk('IEND', new Uint8Array(0)));
+      // APNG も MIME は PNG と同じ
+      return new Blob(parts, { type: 'image/png' });
+    },
+  };
+}
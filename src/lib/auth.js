@@ -0,0 +1,22 @@
+// サーバーが ACCESS_SECRET / ACCESS_TOKEN_SECRET で保護されている時に送るアクセストークン。
+// ?token=... 付きの URL で開いた時に保存したものを使う（トークンは npm run token で1人ずつ発行する）。
+// VITE_ で始まる変数は公開する JS にそのまま埋め込まれるので、ビルド時に渡す方法は用意しない。
+const STORAGE_KEY = 'camera-describe:access-token';
+
+export function accessToken() {
+  const params = new URLSearchParams(window.location.search);
+  const fromUrl = params.get('token');
+  if (fromUrl) {
+    localStorage.setItem(STORAGE_KEY, fromUrl);
+    // アドレスバーや履歴にトークンを残さない
+    params.delete('token');
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }
+  return localStorage.getItem(STORAGE_KEY);
+}
+
+export function authHeaders() {
+  const token = accessToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
@@ -0,0 +1,128 @@
+// ---------------------------------------------------------
+// カメラの選択と手動の設定
+//   使うカメラ（deviceId。なければ facingMode で前後を選ぶ）・解像度・フレームレートは getUserMedia で、
+//   ズーム・ライト・フォーカス・露出・ホワイトバランス・ISO は applyConstraints で決める。
+//   どれもトラックの getCapabilities() にあるものだけ出して、最後に使ったものを覚えておく。
+// ---------------------------------------------------------
+const SETTINGS_KEY = 'camera-describe:camera';
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  // 選んだカメラ。null なら facingMode で選ぶ
+  deviceId: null,
+  facingMode: 'environment',
+  // '1920x1080' の形。null なら 1920x1080 を目安にブラウザに任せる
+  resolution: null,
+  frameRate: null,
+  // applyConstraints で変える設定（{ zoom, torch, focusMode, focusDistance, ... }）
+  controls: {},
+};
+
+// 選べる解像度とフレームレート（カメラの上限を超えるものは出さない）
+export const RESOLUTIONS = ['3840x2160', '2560x1440', '1920x1080', '1280x720', '640x480'];
+export const FRAME_RATES = [24, 30, 60];
+const DEFAULT_RESOLUTION = '1920x1080';
+
+/**
+ * applyConstraints で変える設定。getCapabilities() の同じ名前の項目があるものだけ使える。
+ *   type  - 'toggle'（boolean）・'select'（文字列の配列から選ぶ）・'range'（{ min, max, step }）
+ *   when  - この設定が効く条件（フォーカス距離は手動フォーカスの時だけ、など）
+ */
+export const CAMERA_CONTROLS = [
+  { key: 'zoom', name: 'ZOOM', type: 'range' },
+  { key: 'torch', name: 'TORCH', type: 'toggle' },
+  { key: 'focusMode', name: 'FOCUS', type: 'select' },
+  { key: 'focusDistance', name: 'FOCUS DISTANCE', type: 'range', when: { focusMode: 'manual' } },
+  { key: 'exposureMode', name: 'EXPOSURE', type: 'select' },
+  { key: 'exposureCompensation', name: 'EXPOSURE COMPENSATION', type: 'range' },
+  { key: 'iso', name: 'ISO', type: 'range', when: { exposureMode: 'manual' } },
+  { key: 'whiteBalanceMode', name: 'WHITE BALANCE', type: 'select' },
+  { key: 'colorTemperature', name: 'COLOR TEMPERATURE', type: 'range', when: { whiteBalanceMode: 'manual' } },
+];
+
+export function loadCameraSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_CAMERA_SETTINGS, ...saved, controls: { ...saved?.controls } };
+  } catch {
+    return DEFAULT_CAMERA_SETTINGS;
+  }
+}
+
+export function saveCameraSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// カメラの一覧。名前（label）はカメラの使用を許可するまで空なので、許可の後に取り直す
+export async function listCameras() {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput' && device.deviceId)
+    .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `CAMERA ${i + 1}` }));
+}
+
+export function watchCameras(callback) {
+  if (!navigator.mediaDevices?.addEventListener) return () => {};
+  navigator.mediaDevices.addEventListener('devicechange', callback);
+  return () => navigator.mediaDevices.removeEventListener('devicechange', callback);
+}
+
+// getUserMedia に渡す video の条件。選んだカメラがなくなった時に備えて deviceId は exact にする
+export function videoConstraints(settings) {
+  const [width, height] = (settings.resolution || DEFAULT_RESOLUTION).split('x').map(Number);
+  return {
+    ...(settings.deviceId ? { deviceId: { exact: settings.deviceId } } : { facingMode: settings.facingMode }),
+    width: { ideal: width },
+    height: { ideal: height },
+    ...(settings.frameRate ? { frameRate: { ideal: settings.frameRate } } : {}),
+  };
+}
+
+// カメラが対応している解像度・フレームレート
+export function supportedResolutions(capabilities) {
+  const maxWidth = capabilities.width?.max;
+  const maxHeight = capabilities.height?.max;
+  if (!maxWidth || !maxHeight) return [];
+  return RESOLUTIONS.filter((resolution) => {
+    const [width, height] = resolution.split('x').map(Number);
+    return Math.max(width, height) <= Math.max(maxWidth, maxHeight) && Math.min(width, height) <= Math.min(maxWidth, maxHeight);
+  });
+}
+
+export function supportedFrameRates(capabilities) {
+  const max = capabilities.frameRate?.max;
+  return max ? FRAME_RATES.filter(rate => rate <= max) : [];
+}
+
+// カメラが対応している設定
+export const supportedControls = capabilities => CAMERA_CONTROLS.filter(({ key, type }) => {
+  const capability = capabilities[key];
+  if (type === 'toggle') return capability === true || (Array.isArray(capability) && capability.includes(true));
+  if (type === 'select') return Array.isArray(capability) && capability.length > 1;
+  return capability && typeof capability.max === 'number' && capability.max > capability.min;
+});
+
+// 今の設定で効く項目か（when の条件を満たさないものは出さない・送らない）
+export const controlActive = (control, controls) => (
+  !control.when || Object.entries(control.when).every(([key, value]) => controls[key] === value)
+);
+
+/**
+ * 覚えている設定のうち、このカメラが対応していて今効くものだけを送る。
+ * 手動の値は、モード（focusMode など）と同じ組で送らないと無視するブラウザがあるので1回にまとめる。
+ */
+export async function applyCameraControls(track, controls, capabilities) {
+  const constraints = {};
+  for (const control of supportedControls(capabilities)) {
+    const value = controls[control.key];
+    if (value === undefined || value === null || !controlActive(control, controls)) continue;
+    if (control.type === 'select' && !capabilities[control.key].includes(value)) continue;
+    constraints[control.key] = value;
+  }
+  if (!Object.keys(constraints).length) return;
+  try {
+    await track.applyConstraints({ advanced: [constraints] });
+  } catch (e) {
+    console.warn('Failed to apply camera settings:', e);
+  }
+}
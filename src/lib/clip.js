@@ -0,0 +1,208 @@
+import { createApngEncoder } from './apng.js';
+import { drawPoster, loadPosterFont, posterLayout } from './poster.js';
+
+// ---------------------------------------------------------
+// クリップの書き出し（EXPORT CLIP）
+//   撮影した画像に THINKING... を見せてから、結果を1文字ずつ出して少し止める動画を作る。
+//   フレームは保存する画像と同じ drawPoster で描き、canvas を MediaRecorder で録画する
+//   （MP4 が録れればMP4、だめなら WebM）。MediaRecorder がなければ APNG にする。
+//   ナレーション（AudioBuffer）を渡すと THINKING の後から流し、読み終わる長さに合わせて文字を出す
+//   （APNG には音を入れられないので、その時は文字だけ）。
+// ---------------------------------------------------------
+const SETTINGS_KEY = 'camera-describe:clip';
+const GREEN = 'rgb(0, 255, 0)';
+const FPS = 30;
+// 画面の THINKING... と同じく 300ms ごとにドットを増やす
+const DOT_INTERVAL_MS = 300;
+// APNG は1フレームずつ圧縮するので小さめにする
+const APNG_MAX_EDGE = 720;
+const VIDEO_TYPES = [
+  { mimeType: 'video/mp4;codecs=avc1', extension: 'mp4' },
+  { mimeType: 'video/mp4', extension: 'mp4' },
+  { mimeType: 'video/webm;codecs=vp9', extension: 'webm' },
+  { mimeType: 'video/webm', extension: 'webm' },
+];
+const AUDIO_VIDEO_TYPES = [
+  { mimeType: 'video/mp4;codecs=avc1,mp4a.40.2', extension: 'mp4' },
+  { mimeType: 'video/mp4', extension: 'mp4' },
+  { mimeType: 'video/webm;codecs=vp9,opus', extension: 'webm' },
+  { mimeType: 'video/webm', extension: 'webm' },
+];
+
+export const DEFAULT_CLIP_SETTINGS = {
+  // THINKING... を見せる時間
+  thinkingSec: 1.5,
+  // 1文字ずつ出す間隔（画面のタイプライターと同じ 50ms）
+  charMs: 50,
+  // 全文が出てから止めておく時間
+  holdSec: 2.5,
+  // 動画の長辺
+  maxEdge: 1080,
+};
+
+export function loadClipSettings() {
+  try {
+    return { ...DEFAULT_CLIP_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_CLIP_SETTINGS;
+  }
+}
+
+export function saveClipSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// 録画できる動画の形式（録画できなければ null）
+function videoType(withAudio) {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+  return (withAudio ? AUDIO_VIDEO_TYPES : VIDEO_TYPES).find(type => MediaRecorder.isTypeSupported(type.mimeType)) || null;
+}
+
+// ナレーションがあれば、読み終わる長さで全部の文字が出るように1文字の間隔を決める
+function narratedTiming(text, settings, narration) {
+  const chars = [...text].length;
+  if (!narration || !chars) return settings;
+  return { ...settings, charMs: (narration.duration * 1000) / chars };
+}
+
+// 全体の長さ（ミリ秒）
+export function clipDuration(text, settings) {
+  return settings.thinkingSec * 1000 + [...text].length * settings.charMs + settings.holdSec * 1000;
+}
+
+// t ミリ秒の時点で見せるもの。THINKING の間は結果（顔の枠やラベルも）を出さない
+function frameAt(t, content, settings) {
+  const thinkingMs = settings.thinkingSec * 1000;
+  if (t < thinkingMs) {
+    return { ...content, text: '', data: null, thinking: '.'.repeat(Math.floor(t / DOT_INTERVAL_MS) % 4) };
+  }
+  const chars = [...content.text];
+  const count = Math.min(chars.length, Math.floor((t - thinkingMs) / settings.charMs) + 1);
+  return { ...content, text: chars.slice(0, count).join('') };
+}
+
+// 画面のローディング表示と同じく、暗くして中央に THINKING...
+function drawThinking(ctx, layout, dots) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(0, 0, layout.width, layout.height);
+
+  const size = 14 * layout.unit;
+  ctx.font = `400 ${size}px monospace`;
+  if ('letterSpacing' in ctx) ctx.letterSpacing = `${0.05 * size}px`;
+  ctx.fillStyle = GREEN;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  // ドットが増えても文字が動かないよう、THINKING... の幅で左端を決める
+  const x = (layout.width - ctx.measureText('THINKING...').width) / 2;
+  ctx.fillText(`THINKING${dots}`, x, layout.frame.y + layout.frame.height / 2);
+  if ('letterSpacing' in ctx) ctx.letterSpacing = '0px';
+}
+
+function scaleSource(source, maxEdge) {
+  const scale = Math.min(1, maxEdge / Math.max(source.width, source.height));
+  if (scale === 1) return source;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(source.width * scale);
+  canvas.height = Math.round(source.height * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * クリップを作る。戻り値は { blob, extension }。
+ *   source        - 撮影した画像（canvas）
+ *   posterOptions - 保存する画像と同じ { template, caption }
+ *   content       - drawPoster に渡すもの（text は全文）
+ *   onProgress    - 0〜1 の進み具合
+ *   narration     - 読み上げの AudioBuffer（なくてもよい）
+ */
+export async function exportClip(source, posterOptions, content, settings = DEFAULT_CLIP_SETTINGS, { onProgress, narration } = {}) {
+  await loadPosterFont();
+  const type = videoType(Boolean(narration));
+  const timing = type ? narratedTiming(content.text, settings, narration) : settings;
+  const layout = posterLayout(scaleSource(source, type ? settings.maxEdge : Math.min(settings.maxEdge, APNG_MAX_EDGE)), posterOptions);
+
+  const canvas = document.createElement('canvas');
+  // 動画のエンコーダーは幅・高さが偶数でないと受け付けないことがある
+  canvas.width = layout.width - (layout.width % 2);
+  canvas.height = layout.height - (layout.height % 2);
+  const ctx = canvas.getContext('2d', { willReadFrequently: !type });
+
+  const draw = (t) => {
+    const frame = frameAt(t, content, timing);
+    drawPoster(ctx, layout, frame);
+    if (frame.thinking !== undefined) drawThinking(ctx, layout, frame.thinking);
+  };
+  const duration = clipDuration(content.text, timing);
+
+  return type
+    ? recordVideo(canvas, draw, duration, type, { onProgress, narration, narrationAt: timing.thinkingSec })
+    : encodeApng(canvas, ctx, draw, duration, content.text, timing, onProgress);
+}
+
+// 実時間で描きながら録画する（タブが裏に回っても止まらないよう setTimeout で進める）
+// ナレーションは録画用の音声トラックにだけ流す（スピーカーからは鳴らさない）
+async function recordVideo(canvas, draw, duration, { mimeType, extension }, { onProgress, narration, narrationAt }) {
+  const stream = canvas.captureStream(FPS);
+  let audioContext = null;
+  if (narration) {
+    audioContext = new AudioContext();
+    await audioContext.resume();
+    const destination = audioContext.createMediaStreamDestination();
+    const source = audioContext.createBufferSource();
+    source.buffer = narration;
+    source.connect(destination);
+    source.start(audioContext.currentTime + narrationAt);
+    destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+  }
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8_000_000 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve, reject) => {
+    recorder.onstop = resolve;
+    recorder.onerror = e => reject(e.error || new Error('Recording failed'));
+  });
+
+  draw(0);
+  recorder.start();
+  const start = performance.now();
+
+  await new Promise((resolve) => {
+    const tick = () => {
+      const t = performance.now() - start;
+      draw(Math.min(t, duration));
+      onProgress?.(Math.min(1, t / duration));
+      if (t >= duration) resolve();
+      else setTimeout(tick, 1000 / FPS);
+    };
+    tick();
+  });
+
+  recorder.stop();
+  await stopped;
+  stream.getTracks().forEach(track => track.stop());
+  audioContext?.close();
+  return { blob: new Blob(chunks, { type: mimeType.split(';')[0] }), extension };
+}
+
+// 見た目が変わる時刻（ドットが増える・文字が増える）ごとに1フレーム
+async function encodeApng(canvas, ctx, draw, duration, text, settings, onProgress) {
+  const thinkingMs = settings.thinkingSec * 1000;
+  const times = [];
+  for (let t = 0; t < thinkingMs; t += DOT_INTERVAL_MS) times.push(t);
+  for (let i = 0; i < [...text].length; i++) times.push(thinkingMs + i * settings.charMs);
+  if (!times.length) times.push(0);
+
+  const encoder = createApngEncoder(canvas.width, canvas.height);
+  for (let i = 0; i < times.length; i++) {
+    const t = times[i];
+    draw(t);
+    encoder.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height), (times[i + 1] ?? duration) - t);
+    onProgress?.((i + 1) / times.length);
+    // 画面が固まらないように、ときどき描画に戻す
+    if (i % 5 === 4) await new Promise(resolve => setTimeout(resolve));
+  }
+  return { blob: encoder.finish(), extension: 'png' };
+}
@@ -0,0 +1,125 @@
+// ---------------------------------------------------------
+// プレビューのデジタルズームと、撮影した画像の一部（crop）だけの解析
+//   ズームは画面（objectFit: cover の video）に対する割合で { scale, x, y }（x, y は見ている中心）。
+//   crop は画像に対する割合の { x, y, width, height }（顔の枠や書類のブロックと同じ形）。
+// ---------------------------------------------------------
+export const DEFAULT_VIEW = { scale: 1, x: 0.5, y: 0.5 };
+export const MAX_DIGITAL_ZOOM = 8;
+// これより小さい範囲は解析しない（画像の辺の 5%）
+export const MIN_CROP = 0.05;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// 見ている範囲が画面からはみ出さないように中心を寄せる
+export function clampView({ scale, x, y }) {
+  const s = clamp(scale, 1, MAX_DIGITAL_ZOOM);
+  if (s === 1) return DEFAULT_VIEW;
+  const half = 0.5 / s;
+  return { scale: s, x: clamp(x, half, 1 - half), y: clamp(y, half, 1 - half) };
+}
+
+/**
+ * 指（またはポインター）の中心が from から to に動き、倍率が scale になった時の view。
+ * 指の下にあったところが指の下に残るように中心を動かす。from / to は画面に対する割合。
+ */
+export function moveView(view, from, to, scale = view.scale) {
+  const s = clamp(scale, 1, MAX_DIGITAL_ZOOM);
+  return clampView({
+    scale: s,
+    x: view.x + (from.x - 0.5) / view.scale - (to.x - 0.5) / s,
+    y: view.y + (from.y - 0.5) / view.scale - (to.y - 0.5) / s,
+  });
+}
+
+// プレビューの video と canvas に当てる CSS（中心を真ん中に寄せてから拡大する）
+export function viewTransform(view) {
+  if (view.scale === 1) return undefined;
+  return `translate(${(0.5 - view.x) * view.scale * 100}%, ${(0.5 - view.y) * view.scale * 100}%) scale(${view.scale})`;
+}
+
+/**
+ * ズームして画面に見えている範囲を、映像の画素の矩形 { sx, sy, sw, sh } にする。
+ * 映像は objectFit: cover で画面（screenWidth × screenHeight）に敷いているので、その分も切り取る。
+ */
+export function viewRegion(view, screenWidth, screenHeight, sourceWidth, sourceHeight) {
+  const cover = Math.max(screenWidth / sourceWidth, screenHeight / sourceHeight);
+  const offsetX = (screenWidth - sourceWidth * cover) / 2;
+  const offsetY = (screenHeight - sourceHeight * cover) / 2;
+  const half = 0.5 / view.scale;
+
+  const left = clamp(((view.x - half) * screenWidth - offsetX) / cover, 0, sourceWidth);
+  const top = clamp(((view.y - half) * screenHeight - offsetY) / cover, 0, sourceHeight);
+  const right = clamp(((view.x + half) * screenWidth - offsetX) / cover, 0, sourceWidth);
+  const bottom = clamp(((view.y + half) * screenHeight - offsetY) / cover, 0, sourceHeight);
+  return { sx: Math.round(left), sy: Math.round(top), sw: Math.round(right - left), sh: Math.round(bottom - top) };
+}
+
+// ドラッグした2点（画像に対する割合）から crop を作る
+export function cropFromPoints(a, b) {
+  const x = clamp(Math.min(a.x, b.x), 0, 1);
+  const y = clamp(Math.min(a.y, b.y), 0, 1);
+  return {
+    x,
+    y,
+    width: clamp(Math.max(a.x, b.x), 0, 1) - x,
+    height: clamp(Math.max(a.y, b.y), 0, 1) - y,
+  };
+}
+
+export const isUsableCrop = crop => Boolean(crop) && crop.width >= MIN_CROP && crop.height >= MIN_CROP;
+
+// source（canvas や画像）の crop の部分だけの canvas
+export function cropCanvas(source, crop) {
+  const sx = Math.round(crop.x * source.width);
+  const sy = Math.round(crop.y * source.height);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(crop.width * source.width));
+  canvas.height = Math.max(1, Math.round(crop.height * source.height));
+  canvas.getContext('2d').drawImage(source, sx, sy, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// 割合の座標を、ある範囲の中の割合から外側の割合に直す関数と、その逆
+const fromCrop = crop => ({ x, y }) => ({ x: crop.x + x * crop.width, y: crop.y + y * crop.height });
+const intoCrop = crop => ({ x, y }) => ({ x: (x - crop.x) / crop.width, y: (y - crop.y) / crop.height });
+
+const mapBox = (box, toPoint) => {
+  const corner = toPoint(box);
+  const end = toPoint({ x: box.x + box.width, y: box.y + box.height });
+  return { x: corner.x, y: corner.y, width: end.x - corner.x, height: end.y - corner.y };
+};
+
+// data の中の位置（顔の枠と目鼻、書類のブロック）を toPoint で直す。keep が false の枠のものは除く
+function mapData(data, toPoint, keep = () => true) {
+  if (!data?.faces && !data?.document) return data;
+  const mapped = { ...data };
+  if (data.faces) {
+    mapped.faces = data.faces.filter(face => !face.box || keep(face.box)).map(face => (face.box
+      ? {
+        ...face,
+        box: mapBox(face.box, toPoint),
+        landmarks: face.landmarks?.map(landmark => ({ ...landmark, ...toPoint(landmark) })),
+      }
+      : face));
+  }
+  if (data.document) {
+    mapped.document = {
+      ...data.document,
+      blocks: data.document.blocks
+        .filter(block => !block.box || keep(block.box))
+        .map(block => (block.box ? { ...block, box: mapBox(block.box, toPoint) } : block)),
+    };
+  }
+  return mapped;
+}
+
+// crop を解析した結果の位置を、画像全体の割合に直す
+export const toFullFrame = (data, crop) => (crop ? mapData(data, fromCrop(crop)) : data);
+
+// 画像全体の割合の位置を、crop の中の割合に直す（crop の外の顔やブロックは除く）
+export const toCropFrame = (data, crop) => (crop
+  ? mapData(data, intoCrop(crop), box => (
+    box.x < crop.x + crop.width && box.x + box.width > crop.x
+    && box.y < crop.y + crop.height && box.y + box.height > crop.y
+  ))
+  : data);
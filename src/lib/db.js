@@ -0,0 +1,50 @@
+// IndexedDB の薄いラッパー。ストアを増やす時は VERSION を上げて STORES に足す。
+const DB_NAME = 'camera-describe';
+const VERSION = 3;
+const STORES = {
+  captures: { keyPath: 'id', indexes: ['createdAt', 'lastUsedAt'] },
+  luts: { keyPath: 'id', indexes: [] },
+  outbox: { keyPath: 'id', indexes: ['createdAt'] },
+};
+
+let dbPromise = null;
+
+export function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const [name, { keyPath, indexes }] of Object.entries(STORES)) {
+        if (db.objectStoreNames.contains(name)) continue;
+        const store = db.createObjectStore(name, { keyPath });
+        for (const index of indexes) store.createIndex(index, index);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return dbPromise;
+}
+
+const promisify = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// fn(store) の戻り値（IDBRequest なら結果）をトランザクション完了後に返す
+export async function withStore(name, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(name, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  const value = fn(tx.objectStore(name));
+  const result = value instanceof IDBRequest ? await promisify(value) : await value;
+  await done;
+  return result;
+}
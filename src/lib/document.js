@@ -0,0 +1,49 @@
+// ---------------------------------------------------------
+// DOCUMENT モードの結果の書き出し
+//   読み取った全文（text）と、ブロックごとの段落（document.blocks）をクリップボード・.txt・.md にする。
+//   訳した文（translation: { text, lang }）があれば原文の後ろに続ける。
+// ---------------------------------------------------------
+
+// ブロックがなければ全文を1ブロックとして扱う
+export const documentBlocks = (document, text) => (
+  document?.blocks?.length ? document.blocks : [{ box: null, paragraphs: text.split(/\n{2,}/) }]
+);
+
+export function documentText(text, translation) {
+  return translation ? `${text}\n\n---\n\n${translation.text}` : text;
+}
+
+// 行頭の見出し・引用・箇条書きの記号を Markdown として読まれないようにする
+const escapeLine = line => line
+  .replace(/^(\s*)([#>*+-])(?=\s|$)/, '$1\\$2')
+  .replace(/^(\s*\d+)([.)])(?=\s)/, '$1\\$2');
+
+// 段落の中の改行は、行末の空白2つ（Markdown の改行）にして残す
+const markdownParagraph = paragraph => paragraph.split('\n').map(escapeLine).join('  \n');
+
+export function documentMarkdown(document, text, { translation, createdAt } = {}) {
+  const heading = createdAt ? `# Document · ${new Date(createdAt).toLocaleString()}` : '# Document';
+  const sections = [heading];
+  if (document?.language) sections.push(`Language: \`${document.language}\``);
+  for (const block of documentBlocks(document, text)) {
+    sections.push(block.paragraphs.map(markdownParagraph).join('\n\n'));
+  }
+  if (translation) {
+    sections.push(`## Translation (${translation.lang})`);
+    sections.push(translation.text.split(/\n{2,}/).map(markdownParagraph).join('\n\n'));
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+// 書類の言語が結果の言語と同じなら訳さない（'en-US' と 'en' は同じとみなす）
+export const needsTranslation = (document, lang) => !document?.language || document.language.split('-')[0] !== lang;
+
+export async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (e) {
+    console.warn('Failed to copy:', e);
+    return false;
+  }
+}
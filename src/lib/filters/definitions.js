@@ -0,0 +1,278 @@
+// ---------------------------------------------------------
+// フィルターの定義
+//   params   - スライダーなどで変えられる値（type: number / color / seed / lut）
+//   glsl     - WebGL2 用。vec4 apply(vec4 color) を定義する（uniform は u_<param名>）
+//   cpu      - Canvas 2D 用。RGBA の配列を書き換える。GLSL と同じ計算をする
+// 大きさに関わる値（セルの数・粒子の細かさ）は画像の長辺に対する割合で決めるので、
+// 小さいプレビューと撮影した画像で同じ見た目になる。
+// ---------------------------------------------------------
+
+// フィルムグレインの粒の細かさ（長辺をこの数に分けた格子ごとにノイズを決める）
+const GRAIN_GRID = 1280;
+
+const luma = (r, g, b) => r * 0.299 + g * 0.587 + b * 0.114;
+const clamp01 = x => Math.min(1, Math.max(0, x));
+const smoothstep = (edge0, edge1, x) => {
+  const t = clamp01((x - edge0) / (edge1 - edge0));
+  return t * t * (3 - 2 * t);
+};
+
+export const hexToRgb = hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+// GLSL の hash と同じ結果になる 32bit の整数ハッシュ
+const hash = (x) => {
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x7feb352d);
+  x ^= x >>> 15;
+  x = Math.imul(x, 0x846ca68b);
+  x ^= x >>> 16;
+  return x >>> 0;
+};
+
+// 1画素ずつ色だけを変えるフィルター（0〜1 の rgb を受け取って返す）
+const perPixel = fn => (data, width, height, params) => {
+  for (let i = 0; i < data.length; i += 4) {
+    const [r, g, b] = fn(data[i] / 255, data[i + 1] / 255, data[i + 2] / 255, params, (i / 4) % width, Math.floor(i / 4 / width), width, height);
+    data[i] = r * 255;
+    data[i + 1] = g * 255;
+    data[i + 2] = b * 255;
+  }
+};
+
+// セルの中心の画素を返す（セルの大きさは長辺 / cells）
+const cellCenter = (x, y, width, height, cells) => {
+  const cell = Math.max(width, height) / cells;
+  return [(Math.floor((x + 0.5) / cell) + 0.5) * cell, (Math.floor((y + 0.5) / cell) + 0.5) * cell, cell];
+};
+
+const pixelIndex = (px, py, width, height) => {
+  const x = Math.min(width - 1, Math.max(0, Math.floor(px)));
+  const y = Math.min(height - 1, Math.max(0, Math.floor(py)));
+  return (y * width + x) * 4;
+};
+
+// 3D LUT の三線形補間
+function sampleLut(lut, r, g, b) {
+  const n = lut.size;
+  const coord = [r, g, b].map((c, i) => clamp01((c - lut.domainMin[i]) / (lut.domainMax[i] - lut.domainMin[i])) * (n - 1));
+  const lo = coord.map(Math.floor);
+  const hi = lo.map(v => Math.min(n - 1, v + 1));
+  const t = coord.map((v, i) => v - lo[i]);
+
+  const at = (ri, gi, bi) => {
+    const index = (bi * n * n + gi * n + ri) * 3;
+    return [lut.data[index], lut.data[index + 1], lut.data[index + 2]];
+  };
+  const mix = (a, b, k) => a.map((v, i) => v + (b[i] - v) * k);
+
+  const c00 = mix(at(lo[0], lo[1], lo[2]), at(hi[0], lo[1], lo[2]), t[0]);
+  const c10 = mix(at(lo[0], hi[1], lo[2]), at(hi[0], hi[1], lo[2]), t[0]);
+  const c01 = mix(at(lo[0], lo[1], hi[2]), at(hi[0], lo[1], hi[2]), t[0]);
+  const c11 = mix(at(lo[0], hi[1], hi[2]), at(hi[0], hi[1], hi[2]), t[0]);
+  return mix(mix(c00, c10, t[1]), mix(c01, c11, t[1]), t[2]);
+}
+
+export const FILTERS = [
+  {
+    id: 'monochrome',
+    name: 'MONOCHROME',
+    params: { amount: { type: 'number', min: 0, max: 1, step: 0.05, default: 1 } },
+    glsl: `
+      uniform float u_amount;
+      vec4 apply(vec4 c) {
+        return vec4(mix(c.rgb, vec3(luma(c.rgb)), u_amount), c.a);
+      }`,
+    cpu: perPixel((r, g, b, { amount }) => {
+      const y = luma(r, g, b);
+      return [r + (y - r) * amount, g + (y - g) * amount, b + (y - b) * amount];
+    }),
+  },
+  {
+    id: 'contrast',
+    name: 'CONTRAST',
+    params: { amount: { type: 'number', min: -1, max: 1, step: 0.05, default: 0.3 } },
+    glsl: `
+      uniform float u_amount;
+      vec4 apply(vec4 c) {
+        return vec4(clamp((c.rgb - 0.5) * (1.0 + u_amount) + 0.5, 0.0, 1.0), c.a);
+      }`,
+    cpu: perPixel((r, g, b, { amount }) => [r, g, b].map(c => clamp01((c - 0.5) * (1 + amount) + 0.5))),
+  },
+  {
+    id: 'exposure',
+    name: 'EXPOSURE',
+    params: { stops: { type: 'number', min: -2, max: 2, step: 0.1, default: 0.5 } },
+    glsl: `
+      uniform float u_stops;
+      vec4 apply(vec4 c) {
+        return vec4(clamp(c.rgb * exp2(u_stops), 0.0, 1.0), c.a);
+      }`,
+    cpu: perPixel((r, g, b, { stops }) => [r, g, b].map(c => clamp01(c * 2 ** stops))),
+  },
+  {
+    id: 'vignette',
+    name: 'VIGNETTE',
+    params: {
+      amount: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.6 },
+      radius: { type: 'number', min: 0.2, max: 1.2, step: 0.05, default: 0.6 },
+    },
+    glsl: `
+      uniform float u_amount;
+      uniform float u_radius;
+      vec4 apply(vec4 c) {
+        vec2 p = (pixel() - u_size * 0.5) / (max(u_size.x, u_size.y) * 0.5);
+        return vec4(c.rgb * (1.0 - u_amount * smoothstep(u_radius, u_radius + 0.5, length(p))), c.a);
+      }`,
+    cpu: perPixel((r, g, b, { amount, radius }, x, y, width, height) => {
+      const half = Math.max(width, height) * 0.5;
+      const distance = Math.hypot((x + 0.5 - width * 0.5) / half, (y + 0.5 - height * 0.5) / half);
+      const v = 1 - amount * smoothstep(radius, radius + 0.5, distance);
+      return [r * v, g * v, b * v];
+    }),
+  },
+  {
+    id: 'duotone',
+    name: 'DUOTONE',
+    params: {
+      shadow: { type: 'color', default: '#1b0b4a' },
+      highlight: { type: 'color', default: '#ff7a59' },
+    },
+    glsl: `
+      uniform vec3 u_shadow;
+      uniform vec3 u_highlight;
+      vec4 apply(vec4 c) {
+        return vec4(mix(u_shadow, u_highlight, luma(c.rgb)), c.a);
+      }`,
+    cpu: (data, width, height, params) => {
+      const shadow = hexToRgb(params.shadow);
+      const highlight = hexToRgb(params.highlight);
+      perPixel((r, g, b) => {
+        const y = luma(r, g, b);
+        return shadow.map((s, i) => s + (highlight[i] - s) * y);
+      })(data, width, height, params);
+    },
+  },
+  {
+    id: 'halftone',
+    name: 'HALFTONE',
+    params: { cells: { type: 'number', min: 20, max: 200, step: 5, default: 80 } },
+    glsl: `
+      uniform float u_cells;
+      vec4 apply(vec4 c) {
+        float cell = max(u_size.x, u_size.y) / u_cells;
+        vec2 px = pixel();
+        vec2 center = (floor(px / cell) + 0.5) * cell;
+        float radius = sqrt(1.0 - luma(sampleAt(center).rgb)) * cell * 0.7071;
+        float ink = 1.0 - smoothstep(radius - 0.75, radius + 0.75, distance(px, center));
+        return vec4(vec3(1.0 - ink), c.a);
+      }`,
+    cpu: (data, width, height, { cells }) => {
+      const source = data.slice();
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const [cx, cy, cell] = cellCenter(x, y, width, height, cells);
+          const s = pixelIndex(cx, cy, width, height);
+          const radius = Math.sqrt(1 - luma(source[s], source[s + 1], source[s + 2]) / 255) * cell * 0.7071;
+          const ink = 1 - smoothstep(radius - 0.75, radius + 0.75, Math.hypot(x + 0.5 - cx, y + 0.5 - cy));
+          const i = (y * width + x) * 4;
+          data[i] = data[i + 1] = data[i + 2] = (1 - ink) * 255;
+        }
+      }
+    },
+  },
+  {
+    id: 'pixelate',
+    name: 'PIXELATE',
+    params: { cells: { type: 'number', min: 8, max: 200, step: 4, default: 48 } },
+    glsl: `
+      uniform float u_cells;
+      vec4 apply(vec4 c) {
+        float cell = max(u_size.x, u_size.y) / u_cells;
+        return sampleAt((floor(pixel() / cell) + 0.5) * cell);
+      }`,
+    cpu: (data, width, height, { cells }) => {
+      const source = data.slice();
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const [cx, cy] = cellCenter(x, y, width, height, cells);
+          const s = pixelIndex(cx, cy, width, height);
+          const i = (y * width + x) * 4;
+          data[i] = source[s];
+          data[i + 1] = source[s + 1];
+          data[i + 2] = source[s + 2];
+        }
+      }
+    },
+  },
+  {
+    id: 'grain',
+    name: 'FILM GRAIN',
+    params: {
+      amount: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.3 },
+      seed: { type: 'seed', default: 1 },
+    },
+    glsl: `
+      uniform float u_amount;
+      uniform uint u_seed;
+      uint hash(uint x) {
+        x ^= x >> 16; x *= 0x7feb352du;
+        x ^= x >> 15; x *= 0x846ca68bu;
+        x ^= x >> 16;
+        return x;
+      }
+      vec4 apply(vec4 c) {
+        uvec2 p = uvec2(floor(pixel() * (${GRAIN_GRID.toFixed(1)} / max(u_size.x, u_size.y))));
+        float n = float(hash(p.x ^ hash(p.y ^ hash(u_seed)))) / 4294967295.0 - 0.5;
+        return vec4(clamp(c.rgb + n * u_amount * 0.63, 0.0, 1.0), c.a);
+      }`,
+    cpu: (data, width, height, { amount, seed }) => {
+      const scale = GRAIN_GRID / Math.max(width, height);
+      const seedHash = hash(seed >>> 0);
+      for (let y = 0; y < height; y++) {
+        const rowHash = hash((Math.floor((y + 0.5) * scale) ^ seedHash) >>> 0);
+        for (let x = 0; x < width; x++) {
+          const n = hash((Math.floor((x + 0.5) * scale) ^ rowHash) >>> 0) / 4294967295 - 0.5;
+          const offset = n * amount * 0.63 * 255;
+          const i = (y * width + x) * 4;
+          data[i] += offset;
+          data[i + 1] += offset;
+          data[i + 2] += offset;
+        }
+      }
+    },
+  },
+  {
+    id: 'lut',
+    name: 'COLOR LUT',
+    params: {
+      lut: { type: 'lut', default: null },
+      amount: { type: 'number', min: 0, max: 1, step: 0.05, default: 1 },
+    },
+    glsl: `
+      uniform highp sampler3D u_lut;
+      uniform float u_lutSize;
+      uniform vec3 u_domainMin;
+      uniform vec3 u_domainMax;
+      uniform float u_amount;
+      vec4 apply(vec4 c) {
+        vec3 coord = clamp((c.rgb - u_domainMin) / (u_domainMax - u_domainMin), 0.0, 1.0);
+        coord = coord * (u_lutSize - 1.0) / u_lutSize + 0.5 / u_lutSize;
+        return vec4(mix(c.rgb, texture(u_lut, coord).rgb, u_amount), c.a);
+      }`,
+    cpu: (data, width, height, { lut, amount }) => {
+      perPixel((r, g, b) => {
+        const mapped = sampleLut(lut, r, g, b);
+        return [r, g, b].map((c, i) => c + (mapped[i] - c) * amount);
+      })(data, width, height);
+    },
+  },
+];
+
+export const getFilter = id => FILTERS.find(f => f.id === id);
+
+// 既定の値で新しいフィルターを作る（key はリストの中で区別するため）
+export function createFilter(id) {
+  const filter = getFilter(id);
+  const params = Object.fromEntries(Object.entries(filter.params).map(([name, param]) => [name, param.default]));
+  return { key: crypto.randomUUID(), filter: id, params };
+}
@@ -0,0 +1,67 @@
+import { withStore } from '../db.js';
+
+// ---------------------------------------------------------
+// 色の LUT（.cube）
+//   読み込んだ LUT は IndexedDB の luts ストアに { id, name, size, domainMin, domainMax, data } で残し、
+//   フィルターの params.lut にはその id を入れる。
+// ---------------------------------------------------------
+const STORE = 'luts';
+const MAX_LUT_SIZE = 65;
+
+/**
+ * Adobe / Resolve 形式の .cube を読む。3D LUT だけに対応する。
+ * data は R が一番速く変わる順の rgb（0〜1 の Float32Array）。
+ */
+export function parseCube(text, name = 'LUT') {
+  let size = 0;
+  let title = null;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const values = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*/, '').trim();
+    if (!line) continue;
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    if (keyword === 'TITLE') {
+      title = line.slice(5).trim().replace(/^"|"$/g, '');
+    } else if (keyword === 'LUT_3D_SIZE') {
+      size = Number(rest[0]);
+    } else if (keyword === 'LUT_1D_SIZE') {
+      throw new Error('1D LUTs are not supported');
+    } else if (keyword === 'DOMAIN_MIN') {
+      domainMin = rest.map(Number);
+    } else if (keyword === 'DOMAIN_MAX') {
+      domainMax = rest.map(Number);
+    } else if (/^[-+.\d]/.test(keyword)) {
+      values.push(Number(keyword), Number(rest[0]), Number(rest[1]));
+    }
+  }
+
+  if (!Number.isInteger(size) || size < 2 || size > MAX_LUT_SIZE) {
+    throw new Error(`LUT_3D_SIZE must be between 2 and ${MAX_LUT_SIZE}`);
+  }
+  if (values.length !== size ** 3 * 3 || values.some(Number.isNaN)) {
+    throw new Error(`Expected ${size ** 3} rows of RGB values`);
+  }
+  if ([...domainMin, ...domainMax].some(Number.isNaN) || domainMin.some((min, i) => min >= domainMax[i])) {
+    throw new Error('Invalid DOMAIN_MIN / DOMAIN_MAX');
+  }
+
+  return { name: title || name, size, domainMin, domainMax, data: Float32Array.from(values) };
+}
+
+export async function importLut(file) {
+  const lut = { id: crypto.randomUUID(), ...parseCube(await file.text(), file.name.replace(/\.cube$/i, '')) };
+  await withStore(STORE, 'readwrite', store => store.put(lut));
+  return lut;
+}
+
+export async function listLuts() {
+  return withStore(STORE, 'readonly', store => store.getAll());
+}
+
+export function deleteLut(id) {
+  return withStore(STORE, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,52 @@
+import { createFilter } from './definitions.js';
+
+// ---------------------------------------------------------
+// 今のフィルターの並びと、名前を付けて保存したプリセット（どちらも localStorage）
+// ---------------------------------------------------------
+const STACK_KEY = 'camera-describe:filters';
+const PRESETS_KEY = 'camera-describe:filter-presets';
+
+// 既定の値から一部だけ変えたフィルターを作る
+const preset = (...items) => items.map(([id, params]) => {
+  const item = createFilter(id);
+  return { ...item, params: { ...item.params, ...params } };
+});
+
+export const BUILT_IN_PRESETS = [
+  { id: 'mono-grain', name: 'MONO GRAIN', builtIn: true, stack: preset(['monochrome'], ['grain', { amount: 0.3 }]) },
+  { id: 'noir', name: 'NOIR', builtIn: true, stack: preset(['monochrome'], ['contrast', { amount: 0.5 }], ['vignette', { amount: 0.8 }]) },
+  { id: 'riso', name: 'RISO', builtIn: true, stack: preset(['duotone'], ['grain', { amount: 0.2, seed: 7 }]) },
+  { id: 'newsprint', name: 'NEWSPRINT', builtIn: true, stack: preset(['contrast', { amount: 0.2 }], ['halftone']) },
+  { id: 'arcade', name: 'ARCADE', builtIn: true, stack: preset(['exposure', { stops: 0.3 }], ['pixelate']) },
+];
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const loadFilterStack = () => read(STACK_KEY, []);
+
+export function saveFilterStack(stack) {
+  localStorage.setItem(STACK_KEY, JSON.stringify(stack));
+}
+
+export const loadPresets = () => read(PRESETS_KEY, []);
+
+export function savePreset(presets, name, stack) {
+  const next = [...presets, { id: crypto.randomUUID(), name, stack }];
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(next));
+  return next;
+}
+
+export function deletePreset(presets, id) {
+  const next = presets.filter(p => p.id !== id);
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(next));
+  return next;
+}
+
+// プリセットを今の並びにする時は key を振り直す（同じプリセットを2回使っても重ならないように）
+export const instantiatePreset = preset => preset.stack.map(item => ({ ...item, key: crypto.randomUUID() }));
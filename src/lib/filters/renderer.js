@@ -0,0 +1,239 @@
+import { FILTERS, getFilter, hexToRgb } from './definitions.js';
+
+/**
+ * フィルターを順にかけて描く。WebGL2 が使えればシェーダーで、なければ Canvas 2D で同じ計算をする。
+ *   renderer.render(source, { width, height, stack, luts })
+ *     source - video / canvas / ImageBitmap など
+ *     stack  - [{ key, filter, params }]（先頭から順にかける）
+ *     luts   - { [id]: { size, domainMin, domainMax, data } }（COLOR LUT が参照する）
+ *   renderer.canvas に結果が入るので、drawImage で表示・保存用の canvas に写す。
+ * 描画先は OffscreenCanvas が使えればそれを使う。
+ */
+export function createFilterRenderer() {
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(1, 1)
+    : document.createElement('canvas');
+
+  const gl = canvas.getContext('webgl2', { premultipliedAlpha: false, preserveDrawingBuffer: true });
+  if (gl) {
+    try {
+      return createWebglRenderer(canvas, gl);
+    } catch (e) {
+      console.warn('WebGL filters unavailable, falling back to Canvas 2D:', e);
+    }
+  }
+  // 一度 webgl2 のコンテキストを取った canvas からは 2d を取れないので作り直す
+  const fallback = gl
+    ? (typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(1, 1) : document.createElement('canvas'))
+    : canvas;
+  return createCanvasRenderer(fallback);
+}
+
+// LUT を参照するフィルターは、参照先が読み込まれていなければ飛ばす
+const resolveStack = (stack, luts) => stack
+  .filter(item => getFilter(item.filter))
+  .filter(item => item.filter !== 'lut' || luts?.[item.params.lut])
+  .map(item => (item.filter === 'lut' ? { ...item, params: { ...item.params, lut: luts[item.params.lut] } } : item));
+
+// ---------------------------------------------------------
+// Canvas 2D（CPU で1画素ずつ）
+// ---------------------------------------------------------
+function createCanvasRenderer(canvas) {
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  return {
+    kind: '2d',
+    canvas,
+
+    render(source, { width, height, stack, luts }) {
+      if (canvas.width !== width) canvas.width = width;
+      if (canvas.height !== height) canvas.height = height;
+      ctx.drawImage(source, 0, 0, width, height);
+
+      const filters = resolveStack(stack, luts);
+      if (!filters.length) return;
+
+      const imageData = ctx.getImageData(0, 0, width, height);
+      for (const item of filters) {
+        getFilter(item.filter).cpu(imageData.data, width, height, item.params);
+      }
+      ctx.putImageData(imageData, 0, 0);
+    },
+
+    destroy() {},
+  };
+}
+
+// ---------------------------------------------------------
+// WebGL2（フィルターごとにシェーダーを作り、2枚のテクスチャを交互に使って重ねる）
+// ---------------------------------------------------------
+const VERTEX_SHADER = `#version 300 es
+out vec2 v_uv;
+void main() {
+  // 頂点バッファを使わずに画面を覆う三角形を作る
+  vec2 p = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  v_uv = p;
+  gl_Position = vec4(p * 2.0 - 1.0, 0.0, 1.0);
+}`;
+
+const FRAGMENT_HEADER = `#version 300 es
+precision highp float;
+precision highp int;
+precision highp sampler3D;
+uniform sampler2D u_image;
+uniform vec2 u_size;
+in vec2 v_uv;
+out vec4 outColor;
+float luma(vec3 c) { return dot(c, vec3(0.299, 0.587, 0.114)); }
+// 左上が原点の画素の座標（Canvas 2D と揃える）
+vec2 pixel() { return vec2(v_uv.x, 1.0 - v_uv.y) * u_size; }
+vec4 sampleAt(vec2 px) { return texture(u_image, vec2(px.x, u_size.y - px.y) / u_size); }
+`;
+
+const COPY_FILTER = { id: 'copy', params: {}, glsl: 'vec4 apply(vec4 c) { return c; }' };
+
+function createWebglRenderer(canvas, gl) {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(gl.getShaderInfoLog(shader));
+    }
+    return shader;
+  };
+
+  const vertexShader = compile(gl.VERTEX_SHADER, VERTEX_SHADER);
+  const programs = new Map();
+
+  const getProgram = (filter) => {
+    if (programs.has(filter.id)) return programs.get(filter.id);
+
+    const program = gl.createProgram();
+    gl.attachShader(program, vertexShader);
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, `${FRAGMENT_HEADER}${filter.glsl}
+void main() { outColor = apply(texture(u_image, v_uv)); }`));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(gl.getProgramInfoLog(program));
+    }
+
+    const uniform = name => gl.getUniformLocation(program, name);
+    const entry = { program, uniform };
+    programs.set(filter.id, entry);
+    return entry;
+  };
+
+  // 全部のシェーダーを最初に作っておく（作れなければ Canvas 2D に切り替える）
+  for (const filter of [COPY_FILTER, ...FILTERS]) getProgram(filter);
+
+  const createTexture = () => {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  };
+
+  const sourceTexture = createTexture();
+  const targets = [0, 1].map(() => ({ texture: createTexture(), framebuffer: gl.createFramebuffer(), width: 0, height: 0 }));
+  const lutTextures = new Map();
+  const vertexArray = gl.createVertexArray();
+
+  const resizeTarget = (target, width, height) => {
+    if (target.width === width && target.height === height) return;
+    gl.bindTexture(gl.TEXTURE_2D, target.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+    target.width = width;
+    target.height = height;
+  };
+
+  const getLutTexture = (lut) => {
+    if (lutTextures.has(lut)) return lutTextures.get(lut);
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_3D, texture);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    for (const wrap of [gl.TEXTURE_WRAP_S, gl.TEXTURE_WRAP_T, gl.TEXTURE_WRAP_R]) {
+      gl.texParameteri(gl.TEXTURE_3D, wrap, gl.CLAMP_TO_EDGE);
+    }
+    const bytes = Uint8Array.from(lut.data, v => Math.round(Math.min(1, Math.max(0, v)) * 255));
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage3D(gl.TEXTURE_3D, 0, gl.RGB8, lut.size, lut.size, lut.size, 0, gl.RGB, gl.UNSIGNED_BYTE, bytes);
+    lutTextures.set(lut, texture);
+    return texture;
+  };
+
+  const setUniforms = ({ uniform }, filter, params) => {
+    for (const [name, param] of Object.entries(filter.params)) {
+      const value = params[name];
+      if (param.type === 'number') gl.uniform1f(uniform(`u_${name}`), value);
+      if (param.type === 'color') gl.uniform3f(uniform(`u_${name}`), ...hexToRgb(value));
+      if (param.type === 'seed') gl.uniform1ui(uniform(`u_${name}`), value >>> 0);
+      if (param.type === 'lut') {
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_3D, getLutTexture(value));
+        gl.uniform1i(uniform('u_lut'), 1);
+        gl.uniform1f(uniform('u_lutSize'), value.size);
+        gl.uniform3f(uniform('u_domainMin'), ...value.domainMin);
+        gl.uniform3f(uniform('u_domainMax'), ...value.domainMax);
+      }
+    }
+  };
+
+  return {
+    kind: 'webgl',
+    canvas,
+
+    render(source, { width, height, stack, luts }) {
+      if (canvas.width !== width) canvas.width = width;
+      if (canvas.height !== height) canvas.height = height;
+
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, sourceTexture);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+      gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+      const passes = resolveStack(stack, luts);
+      if (!passes.length) passes.push({ filter: 'copy', params: {} });
+
+      gl.bindVertexArray(vertexArray);
+      gl.viewport(0, 0, width, height);
+
+      let input = sourceTexture;
+      passes.forEach((item, i) => {
+        const filter = item.filter === 'copy' ? COPY_FILTER : getFilter(item.filter);
+        const last = i === passes.length - 1;
+        const target = targets[i % 2];
+
+        if (last) {
+          gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        } else {
+          resizeTarget(target, width, height);
+          gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        }
+
+        const program = getProgram(filter);
+        gl.useProgram(program.program);
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, input);
+        gl.uniform1i(program.uniform('u_image'), 0);
+        gl.uniform2f(program.uniform('u_size'), width, height);
+        setUniforms(program, filter, item.params);
+        gl.drawArrays(gl.TRIANGLES, 0, 3);
+
+        input = target.texture;
+      });
+    },
+
+    destroy() {
+      gl.getExtension('WEBGL_lose_context')?.loseContext();
+    },
+  };
+}
@@ -0,0 +1,168 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { withStore } from './db.js';
+
+// 撮影履歴。1枚ごとに元の画像・フィルター後の画像と、そのキャプチャで出した結果（results）を持つ。
+//   { id, createdAt, lastUsedAt, raw: Blob, filtered: Blob, width, height, bytes, location,
+//     results: [{ mode, modeName, text, data, meta, writingMode, crop, createdAt }],
+//     thread: [{ mode, question, answer, createdAt }] }
+// thread は結果について質問した（ASK）やり取り。同じモードの結果より後のものがその結果についての質問。
+// crop はその結果で解析した範囲（画像に対する割合の { x, y, width, height }。全体なら null）。
+// location は撮影した場所（{ latitude, longitude }。記録しない設定なら null）。
+// 合計が上限（quota）を超えたら、最後に使った時刻（lastUsedAt）が古いものから消す。
+const STORE = 'captures';
+const QUOTA_KEY = 'camera-describe:history-quota';
+export const DEFAULT_QUOTA_BYTES = 200 * 1024 * 1024;
+
+export function getHistoryQuota() {
+  return Number(localStorage.getItem(QUOTA_KEY)) || DEFAULT_QUOTA_BYTES;
+}
+
+export async function setHistoryQuota(bytes) {
+  localStorage.setItem(QUOTA_KEY, String(bytes));
+  await evictCaptures(bytes);
+}
+
+export async function addCapture({ raw, filtered, width, height, location = null }) {
+  const now = Date.now();
+  const capture = {
+    id: crypto.randomUUID(),
+    createdAt: now,
+    lastUsedAt: now,
+    raw,
+    filtered,
+    width,
+    height,
+    location,
+    bytes: raw.size + filtered.size,
+    results: [],
+    thread: [],
+  };
+  await withStore(STORE, 'readwrite', store => store.put(capture));
+  // 今撮ったものは消さない（これから結果を足すので。1枚で上限を超えていても次に撮った時に消える）
+  await evictCaptures(getHistoryQuota(), capture.id);
+  return capture;
+}
+
+// 読んで書き換えて書き戻す（同じトランザクションの中で）
+function updateCapture(id, fn) {
+  return withStore(STORE, 'readwrite', (store) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (!request.result) {
+        console.warn(`Capture ${id} is no longer in the history`);
+        return;
+      }
+      const capture = fn(request.result);
+      capture.lastUsedAt = Date.now();
+      store.put(capture);
+    };
+  });
+}
+
+export function addResult(id, result) {
+  return updateCapture(id, capture => ({
+    ...capture,
+    results: [...capture.results, { ...result, createdAt: Date.now() }],
+  }));
+}
+
+export function addTurn(id, turn) {
+  return updateCapture(id, capture => ({
+    ...capture,
+    thread: [...(capture.thread || []), { ...turn, createdAt: Date.now() }],
+  }));
+}
+
+// 開いた・共有したなど、使った時刻だけ更新する
+export function touchCapture(id) {
+  return updateCapture(id, capture => capture);
+}
+
+export async function listCaptures() {
+  const captures = await withStore(STORE, 'readonly', store => store.getAll());
+  return captures.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function getCapture(id) {
+  return withStore(STORE, 'readonly', store => store.get(id));
+}
+
+export function deleteCapture(id) {
+  return withStore(STORE, 'readwrite', store => store.delete(id));
+}
+
+export async function historyUsage() {
+  const captures = await withStore(STORE, 'readonly', store => store.getAll());
+  return captures.reduce((sum, capture) => sum + capture.bytes, 0);
+}
+
+// 上限を超えている分を古い順（LRU）に消す（keepId のものは残す）。消した件数を返す
+export async function evictCaptures(quota = getHistoryQuota(), keepId = null) {
+  const captures = await withStore(STORE, 'readonly', store => store.getAll());
+  let usage = captures.reduce((sum, capture) => sum + capture.bytes, 0);
+  if (usage <= quota) return 0;
+
+  const victims = [];
+  for (const capture of captures.sort((a, b) => a.lastUsedAt - b.lastUsedAt)) {
+    if (usage <= quota) break;
+    if (capture.id === keepId) continue;
+    victims.push(capture.id);
+    usage -= capture.bytes;
+  }
+  await withStore(STORE, 'readwrite', (store) => {
+    for (const id of victims) store.delete(id);
+  });
+  return victims.length;
+}
+
+// ---------------------------------------------------------
+// zip への書き出し・読み込み
+//   manifest.json に画像以外の項目、captures/<id>/raw.jpg と filtered.jpg に画像を入れる。
+//   redact（Blob を受けて隠した Blob を返す）を渡すと、filtered.jpg はそれを通したものにし、
+//   元の画像（raw.jpg）は入れない（プライバシーモードの書き出し。manifest に redacted: true が付く）
+// ---------------------------------------------------------
+export async function exportHistory({ redact } = {}) {
+  return historyZip(await listCaptures(), { redact });
+}
+
+export async function historyZip(captures, { redact } = {}) {
+  const files = {};
+  const manifest = [];
+
+  for (const { raw, filtered, ...capture } of captures) {
+    manifest.push(capture);
+    // JPEG はこれ以上縮まないので無圧縮で入れる
+    if (!redact) files[`captures/${capture.id}/raw.jpg`] = [new Uint8Array(await raw.arrayBuffer()), { level: 0 }];
+    const image = redact ? await redact(filtered) : filtered;
+    files[`captures/${capture.id}/filtered.jpg`] = [new Uint8Array(await image.arrayBuffer()), { level: 0 }];
+  }
+  files['manifest.json'] = strToU8(JSON.stringify({ version: 1, ...(redact && { redacted: true }), captures: manifest }));
+
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
+
+// 同じ id のものは上書きしない。読み込んだ件数を返す
+export async function importHistory(file) {
+  const files = unzipSync(new Uint8Array(await file.arrayBuffer()));
+  if (!files['manifest.json']) throw new Error('Not a camera-describe history file');
+
+  const { captures } = JSON.parse(strFromU8(files['manifest.json']));
+  const existing = new Set((await listCaptures()).map(capture => capture.id));
+
+  const imported = captures
+    .filter(capture => !existing.has(capture.id))
+    .filter(capture => files[`captures/${capture.id}/filtered.jpg`])
+    .map((capture) => {
+      // プライバシーモードで書き出したものには元の画像がないので、隠した画像を元の画像としても使う
+      const filtered = new Blob([files[`captures/${capture.id}/filtered.jpg`]], { type: 'image/jpeg' });
+      const rawBytes = files[`captures/${capture.id}/raw.jpg`];
+      const raw = rawBytes ? new Blob([rawBytes], { type: 'image/jpeg' }) : filtered;
+      return { ...capture, raw, filtered, bytes: raw.size + filtered.size };
+    });
+
+  await withStore(STORE, 'readwrite', (store) => {
+    for (const capture of imported) store.put(capture);
+  });
+  await evictCaptures();
+  return imported.length;
+}
@@ -0,0 +1,133 @@
+// 解析に送る画像。長辺を maxEdge までに縮小して、ホスティングのボディサイズ制限に収める
+export const ANALYSIS_MAX_EDGE = 1280;
+
+export function toAnalysisImage(source, maxEdge = ANALYSIS_MAX_EDGE) {
+  const scale = Math.min(1, maxEdge / Math.max(source.width, source.height));
+
+  let canvas = source;
+  if (scale < 1) {
+    canvas = document.createElement('canvas');
+    canvas.width = Math.round(source.width * scale);
+    canvas.height = Math.round(source.height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  }
+
+  return canvas.toDataURL('image/jpeg', 0.8).replace(/^data:image\/\w+;base64,/, '');
+}
+
+export function canvasToBlob(canvas, type = 'image/jpeg', quality = 0.8) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to encode image'))), type, quality);
+  });
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export async function blobToCanvas(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+}
+
+// ---------------------------------------------------------
+// 写真ライブラリ・ドラッグ&ドロップ・貼り付けで読み込む画像
+//   EXIF の向きを直し、HEIC は JPEG に変換し、長辺を maxEdge までに縮めた canvas を返す
+// ---------------------------------------------------------
+// 取り込む写真の長辺の上限（履歴と保存用。解析にはさらに ANALYSIS_MAX_EDGE まで縮める）
+export const IMPORT_MAX_EDGE = 2048;
+
+const isHeic = file => /^image\/hei[cf]/.test(file.type) || /\.hei[cf]$/i.test(file.name || '');
+
+export function isImageFile(file) {
+  return Boolean(file) && (file.type.startsWith('image/') || isHeic(file));
+}
+
+export async function fileToCanvas(file, maxEdge = IMPORT_MAX_EDGE) {
+  let blob = file;
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch (e) {
+    // HEIC をそのまま読めるのは Safari だけなので、ほかのブラウザでは JPEG に変換してから読む
+    if (!isHeic(file)) throw e;
+    const { default: heic2any } = await import('heic2any');
+    const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.9 });
+    blob = Array.isArray(converted) ? converted[0] : converted;
+    bitmap = await createImageBitmap(blob);
+  }
+
+  // image-orientation に対応したブラウザはデコードの時点で EXIF の向きを反映している
+  const orientation = CSS.supports?.('image-orientation', 'from-image') ? 1 : await readExifOrientation(blob);
+  const swap = orientation >= 5;
+  const width = swap ? bitmap.height : bitmap.width;
+  const height = swap ? bitmap.width : bitmap.height;
+  const scale = Math.min(1, maxEdge / Math.max(width, height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.transform(...ORIENTATION_TRANSFORMS[orientation](width, height));
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+}
+
+// EXIF の Orientation（1〜8）ごとの変換。width / height は向きを直した後の大きさ
+const ORIENTATION_TRANSFORMS = {
+  1: () => [1, 0, 0, 1, 0, 0],
+  2: w => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: w => [0, 1, -1, 0, w, 0],
+  7: (w, h) => [0, -1, -1, 0, w, h],
+  8: (w, h) => [0, -1, 1, 0, 0, h],
+};
+
+// JPEG の APP1（Exif）から IFD0 の Orientation タグ（0x0112）を読む。見つからなければ 1
+async function readExifOrientation(blob) {
+  const view = new DataView(await blob.slice(0, 128 * 1024).arrayBuffer());
+  try {
+    if (view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      // 'Exif' の APP1
+      if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+        const tiff = offset + 10;
+        const little = view.getUint16(tiff) === 0x4949;
+        const ifd = tiff + view.getUint32(tiff + 4, little);
+        const count = view.getUint16(ifd, little);
+        for (let i = 0; i < count; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (view.getUint16(entry, little) === 0x0112) {
+            const orientation = view.getUint16(entry + 8, little);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+        return 1;
+      }
+      // 画像データ（SOS）まで来たら Exif はない
+      if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1;
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  } catch {
+    // 途中で切れている・壊れている EXIF は無視する
+  }
+  return 1;
+}
@@ -0,0 +1,24 @@
+// 結果の言語。一覧はサーバー（GET /api/modes の languages）が持っている。
+// 選んだ言語は localStorage に保存し、まだ選んでいなければブラウザの言語から決める。
+const STORAGE_KEY = 'camera-describe:lang';
+export const DEFAULT_LANG = 'en';
+
+// /api/modes に届かない時でも最低限動くように
+export const FALLBACK_LANGUAGES = [{ id: DEFAULT_LANG, name: 'English' }];
+
+// languages を渡すとその中から選ぶ（一覧を読み込む前は保存した言語かブラウザの言語をそのまま使う）
+export function loadLang(languages) {
+  const supported = id => !languages || languages.some(l => l.id === id);
+
+  const saved = localStorage.getItem(STORAGE_KEY);
+  if (saved && supported(saved)) return saved;
+
+  const preferred = (navigator.languages || [navigator.language])
+    .map(tag => tag?.toLowerCase().split('-')[0])
+    .find(id => id && supported(id));
+  return preferred || DEFAULT_LANG;
+}
+
+export function saveLang(lang) {
+  localStorage.setItem(STORAGE_KEY, lang);
+}
@@ -0,0 +1,130 @@
+import { toAnalysisImage } from './image.js';
+
+// ---------------------------------------------------------
+// ライブ解説（シャッターを押さずに、場面が変わった時だけ解析する）
+//   一定間隔でフレームの知覚ハッシュ（dHash）を取り、最後に解析したフレームとの
+//   ハミング距離が threshold 以上で、前回の解析から minInterval 以上経っていれば解析する。
+//   利用回数の上限（429）に当たったら、Retry-After か間隔の倍だけ止まってから再開する。
+// ---------------------------------------------------------
+const SETTINGS_KEY = 'camera-describe:live';
+const SAMPLE_INTERVAL_MS = 500;
+// ライブ解説で送る画像の長辺（撮影より小さくして速く・軽くする）
+const LIVE_MAX_EDGE = 640;
+// 間隔の下限。サーバーの既定の上限（1分あたり 20 回）に収まるように 3 秒
+export const MIN_LIVE_INTERVAL_SEC = 3;
+// 上限に当たった時に止まる時間の上限
+const MAX_BACKOFF_MS = 60 * 1000;
+const RATE_LIMIT_CODES = ['rate_limited', 'quota_exceeded'];
+
+export const DEFAULT_LIVE_SETTINGS = {
+  minIntervalSec: 5,
+  // 64 ビット中いくつ変わったら別の場面とみなすか
+  threshold: 12,
+};
+
+export function loadLiveSettings() {
+  try {
+    const settings = { ...DEFAULT_LIVE_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+    // 下限を上げる前に保存した値も下限に合わせる
+    return { ...settings, minIntervalSec: Math.max(settings.minIntervalSec, MIN_LIVE_INTERVAL_SEC) };
+  } catch {
+    return DEFAULT_LIVE_SETTINGS;
+  }
+}
+
+export function saveLiveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// 9x8 に縮めたグレースケールで、横に隣り合う画素の明るさの大小を 64 ビットにする
+export function frameHash(source, canvas) {
+  canvas.width = 9;
+  canvas.height = 8;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, 9, 8);
+  const { data } = ctx.getImageData(0, 0, 9, 8);
+
+  const bits = new Uint8Array(64);
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const i = (y * 9 + x) * 4;
+      const left = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+      const right = data[i + 4] * 0.299 + data[i + 5] * 0.587 + data[i + 6] * 0.114;
+      bits[y * 8 + x] = left > right ? 1 : 0;
+    }
+  }
+  return bits;
+}
+
+export function hashDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+/**
+ * video のフレームを canvas で見張り、場面が変わったら describe(base64Image, signal) を呼ぶ。
+ * 解析中は次の解析をしない。onBusy(true / false) で解析中かどうかを知らせる。
+ * 戻り値の関数を呼ぶと止まる（解析中のリクエストも中断する）。
+ */
+export function startLiveDescribe({
+  video,
+  canvas,
+  describe,
+  onResult,
+  onError,
+  onBusy,
+  minIntervalMs = DEFAULT_LIVE_SETTINGS.minIntervalSec * 1000,
+  threshold = DEFAULT_LIVE_SETTINGS.threshold,
+}) {
+  let lastHash = null;
+  let lastCallAt = 0;
+  let controller = null;
+  let stopped = false;
+  // 上限に当たった時に、この時刻まで解析しない
+  let pausedUntil = 0;
+  let backoffMs = minIntervalMs * 2;
+
+  const tick = async () => {
+    if (controller || !video.videoWidth || Date.now() < pausedUntil) return;
+
+    const hash = frameHash(video, canvas);
+    // 最後に解析したフレームと比べる（間隔が空くまで待っている間に少しずつ変わった場合も拾う）
+    if (lastHash && hashDistance(hash, lastHash) < threshold) return;
+    if (Date.now() - lastCallAt < minIntervalMs) return;
+
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0);
+    const base64Image = toAnalysisImage(canvas, LIVE_MAX_EDGE);
+
+    lastHash = hash;
+    lastCallAt = Date.now();
+    controller = new AbortController();
+    onBusy?.(true);
+    try {
+      const response = await describe(base64Image, controller.signal);
+      backoffMs = minIntervalMs * 2;
+      if (!stopped) onResult(response);
+    } catch (e) {
+      // 失敗したフレームは解析済みにしない（間隔が空いたらもう一度試す）
+      lastHash = null;
+      if (RATE_LIMIT_CODES.includes(e.code)) {
+        pausedUntil = Date.now() + (e.retryAfter ? e.retryAfter * 1000 : backoffMs);
+        backoffMs = Math.min(backoffMs * 2, MAX_BACKOFF_MS);
+      }
+      if (!stopped) onError?.(e);
+    }
+    controller = null;
+    if (!stopped) onBusy?.(false);
+  };
+
+  const timer = setInterval(tick, SAMPLE_INTERVAL_MS);
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+    controller?.abort();
+  };
+}
@@ -0,0 +1,80 @@
+import { authHeaders } from './auth.js';
+
+// モード一覧はサーバー（GET /api/modes）が持っている。
+// ユーザーが作ったカスタムモードは localStorage に保存し、承認してほしいものだけサーバーへ送る。
+const STORAGE_KEY = 'camera-describe:custom-modes';
+const MULTI_KEY = 'camera-describe:multi-modes';
+
+// 1回のバッチで送れるモードの数（サーバーの MAX_BATCH_MODES と合わせる）
+export const MAX_BATCH_MODES = 12;
+
+// /api/modes に届かない時でも最低限動くように
+export const FALLBACK_MODES = [{ id: 'gemini', name: 'GEMINI', backend: 'gemini' }];
+
+export async function fetchModes() {
+  const response = await fetch('/api/modes');
+  if (!response.ok) throw new Error('Server error');
+  return response.json();
+}
+
+export function loadCustomModes() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveCustomModes(customModes) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(customModes));
+}
+
+export function createCustomMode() {
+  return {
+    id: `custom-${Date.now().toString(36)}`,
+    name: '',
+    backend: 'gemini',
+    prompt: '',
+    wordLimit: 10,
+    casing: 'upper',
+    custom: true,
+  };
+}
+
+// /api/analyze に送るカスタムモードの定義
+export function toCustomModeRequest({ name, prompt, wordLimit, casing }) {
+  return { name, prompt, wordLimit, casing };
+}
+
+export async function submitCustomMode(customMode) {
+  const response = await fetch('/api/modes', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify(toCustomModeRequest(customMode)),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Server error');
+  return data;
+}
+
+// ---------------------------------------------------------
+// 複数モードでまとめて解析するモードの組み合わせ
+//   選んだモードの id を保存する。空なら全部のモード（ALL MODES）。
+// ---------------------------------------------------------
+export function loadMultiModeIds() {
+  try {
+    return JSON.parse(localStorage.getItem(MULTI_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveMultiModeIds(ids) {
+  localStorage.setItem(MULTI_KEY, JSON.stringify(ids));
+}
+
+// 選ばれていて今もあるモード。1つもなければ全部
+export function resolveMultiModes(modes, ids) {
+  const selected = modes.filter(m => ids.includes(m.id));
+  return (selected.length ? selected : modes).slice(0, MAX_BATCH_MODES);
+}
@@ -0,0 +1,124 @@
+import { analyze, analyzeBatch } from './analyze.js';
+import { withStore } from './db.js';
+import { toFullFrame } from './crop.js';
+import { addResult } from './history.js';
+import { toCustomModeRequest } from './modes.js';
+
+// ---------------------------------------------------------
+// オフラインで撮ったキャプチャの解析待ち（outbox）
+//   { id, createdAt, captureId, base64Image, modes: [モードの定義], batch, lang, variant, crop, attempts }
+//   crop は base64Image がキャプチャのどの範囲か（全体なら null）。顔の位置などは画像全体の割合に直して残す。
+//   つながったら古い順に /api/analyze に送り、結果を履歴のキャプチャに足してから消す。
+//   送れなかった（まだつながらない）ものは残して次の機会にもう一度送る。
+//   サーバーが断ったもの（画像が読めない・モードが使えないなど）は何度送っても同じなので捨てる。
+// ---------------------------------------------------------
+const STORE = 'outbox';
+// 一時的なエラー（もう一度送れば通るかもしれない）。redaction_failed はプライバシーモードで顔を探せなかった時
+const RETRY_CODES = ['rate_limited', 'upstream_down', 'quota_exceeded', 'redaction_failed'];
+const MAX_ATTEMPTS = 5;
+
+export async function queueAnalysis({ captureId, base64Image, modes, batch, lang, variant, crop = null }) {
+  const item = {
+    id: crypto.randomUUID(),
+    createdAt: Date.now(),
+    captureId,
+    base64Image,
+    modes,
+    batch,
+    lang,
+    variant,
+    crop,
+    attempts: 0,
+  };
+  await withStore(STORE, 'readwrite', store => store.put(item));
+  return item;
+}
+
+export function countOutbox() {
+  return withStore(STORE, 'readonly', store => store.count());
+}
+
+async function listOutbox() {
+  const items = await withStore(STORE, 'readonly', store => store.getAll());
+  return items.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+const removeItem = id => withStore(STORE, 'readwrite', store => store.delete(id));
+
+// 1件分を送って、履歴に残す形の結果の配列にする
+async function sendItem(item, base64Image) {
+  if (!item.batch) {
+    const [mode] = item.modes;
+    const response = await analyze({
+      base64Image,
+      mode: mode.custom ? 'custom' : mode.id,
+      customMode: mode.custom ? toCustomModeRequest(mode) : undefined,
+      lang: item.lang,
+      variant: item.variant,
+    });
+    return [{
+      mode: mode.id,
+      modeName: mode.name,
+      text: response.result,
+      data: toFullFrame(response.data, item.crop) || null,
+      meta: response.meta || null,
+      writingMode: response.writingMode || null,
+      crop: item.crop || null,
+    }];
+  }
+
+  const results = await analyzeBatch({ base64Image, modes: item.modes, lang: item.lang, variant: item.variant });
+  return results
+    .filter(response => !response.error)
+    .map(response => ({
+      mode: response.mode,
+      modeName: item.modes.find(m => m.id === response.mode)?.name || response.mode,
+      text: response.result,
+      data: toFullFrame(response.data, item.crop) || null,
+      meta: response.meta || null,
+      writingMode: response.writingMode || null,
+      crop: item.crop || null,
+    }));
+}
+
+let flushing = null;
+
+/**
+ * 待っているものを順に送る。同時に呼ばれたら最初の1回が終わるのを待つ。
+ *   prepare(base64Image, modes) - 送る前の画像の加工（プライバシーモードで顔を隠すなど）
+ *   onSent(item, analyses)      - 1件送れて履歴に結果を足した時
+ * 送れた件数を返す。
+ */
+export function flushOutbox({ prepare = base64Image => base64Image, onSent } = {}) {
+  flushing ??= (async () => {
+    let sent = 0;
+    try {
+      for (const item of await listOutbox()) {
+        if (!navigator.onLine) break;
+        let analyses;
+        try {
+          analyses = await sendItem(item, await prepare(item.base64Image, item.modes));
+        } catch (e) {
+          if (e.code === 'network') break;
+          const attempts = item.attempts + 1;
+          if (RETRY_CODES.includes(e.code) && attempts < MAX_ATTEMPTS) {
+            await withStore(STORE, 'readwrite', store => store.put({ ...item, attempts }));
+          } else {
+            console.warn('Dropping queued analysis:', e);
+            await removeItem(item.id);
+          }
+          continue;
+        }
+
+        for (const analysis of analyses) await addResult(item.captureId, analysis);
+        await removeItem(item.id);
+        sent++;
+        onSent?.(item, analyses);
+      }
+    } finally {
+      flushing = null;
+    }
+    return sent;
+  })();
+  return flushing;
+}
@@ -0,0 +1,400 @@
+import { canvasToBlob } from './image.js';
+
+// ---------------------------------------------------------
+// 保存する画像（ポスター）の合成
+//   撮影した元の解像度のフレームに、結果のテキスト・顔の枠・書類の文字のブロック・ラベルのバー・キャプションの帯を
+//   canvas へ直接描く。画面の DOM は使わないので、端末の画面サイズに左右されない。
+//   posterLayout で大きさと切り抜きを決め、drawPoster で描く（クリップの書き出しも同じ関数で描く）。
+// ---------------------------------------------------------
+const SETTINGS_KEY = 'camera-describe:poster';
+const GREEN = 'rgb(0, 255, 0)';
+const FONT_URL = '/fonts/OTRGrotesk-Regular.otf';
+const TEXT_FONT = '"OTR Grotesk", system-ui, sans-serif';
+const VERTICAL_FONT = '"OTR Grotesk", "Hiragino Mincho ProN", "Yu Mincho", "Noto Serif JP", serif';
+
+// 画面の結果表示（幅 390px の端末で 24px）と同じ比率で描くための基準の幅（短い辺で比べる）
+const REFERENCE_WIDTH = 390;
+
+// aspect は幅 / 高さ。null なら撮影したままの比率で、キャプションは下に足す
+export const POSTER_TEMPLATES = {
+  original: { name: 'ORIGINAL', aspect: null },
+  story: { name: '9:16 STORY', aspect: 9 / 16 },
+  square: { name: '1:1 SQUARE', aspect: 1 },
+  portrait: { name: '4:5 PORTRAIT', aspect: 4 / 5 },
+};
+
+export const POSTER_FORMATS = {
+  png: { name: 'PNG', type: 'image/png', lossy: false },
+  jpeg: { name: 'JPEG', type: 'image/jpeg', lossy: true },
+  webp: { name: 'WEBP', type: 'image/webp', lossy: true },
+};
+
+export const DEFAULT_POSTER_SETTINGS = {
+  template: 'original',
+  format: 'png',
+  quality: 0.92,
+  // モード・日時・場所の帯
+  caption: true,
+  // 撮影した場所を記録してキャプションに入れる
+  location: false,
+  // 範囲（CROP）を選んで解析した時は、その範囲だけを書き出す
+  cropped: true,
+};
+
+export function loadPosterSettings() {
+  try {
+    return { ...DEFAULT_POSTER_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_POSTER_SETTINGS;
+  }
+}
+
+export function savePosterSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// ---------------------------------------------------------
+// 撮影した場所
+// ---------------------------------------------------------
+export function currentLocation(timeout = 5000) {
+  if (!navigator.geolocation) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ latitude: coords.latitude, longitude: coords.longitude }),
+      () => resolve(null),
+      { timeout, maximumAge: 60 * 1000 }
+    );
+  });
+}
+
+export function formatLocation({ latitude, longitude }) {
+  const lat = `${Math.abs(latitude).toFixed(4)}°${latitude >= 0 ? 'N' : 'S'}`;
+  const lon = `${Math.abs(longitude).toFixed(4)}°${longitude >= 0 ? 'E' : 'W'}`;
+  return `${lat} ${lon}`;
+}
+
+// 結果のフォントは CSS で宣言していないので、canvas に描く前にここで読み込む
+let fontPromise = null;
+export function loadPosterFont() {
+  fontPromise ??= new FontFace('OTR Grotesk', `url(${FONT_URL})`).load()
+    .then(font => document.fonts.add(font))
+    .catch(e => console.warn('Failed to load font:', e));
+  return fontPromise;
+}
+
+// ---------------------------------------------------------
+// レイアウト
+//   frame   - 写真を描く範囲（出力の座標）
+//   crop    - 元の画像から切り抜く範囲（元の画像の座標。大きさは frame と同じ）
+//   caption - キャプションの帯（なければ null）
+//   unit    - 画面の 1px に当たる大きさ
+// ---------------------------------------------------------
+export function posterLayout(source, { template = 'original', caption = true } = {}) {
+  const { aspect } = POSTER_TEMPLATES[template] || POSTER_TEMPLATES.original;
+  const sourceAspect = source.width / source.height;
+
+  // 拡大はしない。決まった比率に収まる一番大きな範囲を中央から切り抜く（objectFit: cover と同じ）
+  let width = source.width;
+  let height = source.height;
+  if (aspect && sourceAspect > aspect) width = Math.round(source.height * aspect);
+  if (aspect && sourceAspect < aspect) height = Math.round(source.width / aspect);
+
+  // 横長の写真でも文字が大きくなりすぎないよう、短い辺に合わせる
+  const unit = Math.min(width, height) / REFERENCE_WIDTH;
+  const crop = {
+    x: Math.round((source.width - width) / 2),
+    y: Math.round((source.height - height) / 2),
+    width,
+    height,
+  };
+  const frame = { x: 0, y: 0, width, height };
+  const stripHeight = Math.round(40 * unit);
+
+  // 元の比率の時は写真の下に帯を足し、比率が決まっている時は写真の下端に重ねる
+  const canvasHeight = caption && !aspect ? height + stripHeight : height;
+  const strip = caption ? { x: 0, y: canvasHeight - stripHeight, width, height: stripHeight, overlay: Boolean(aspect) } : null;
+
+  return { width, height: canvasHeight, frame, crop, caption: strip, unit, source };
+}
+
+// ---------------------------------------------------------
+// 描画
+//   content: { text, writingMode, data, modeName, createdAt, location }
+//   text は途中まで（タイプライター）でもよい
+// ---------------------------------------------------------
+export function drawPoster(ctx, layout, content) {
+  const { frame, crop, source } = layout;
+
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, layout.width, layout.height);
+  ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, frame.x, frame.y, frame.width, frame.height);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(frame.x, frame.y, frame.width, frame.height);
+  ctx.clip();
+  drawFaces(ctx, layout, content.data?.faces);
+  drawBlocks(ctx, layout, content.data?.document?.blocks);
+  drawLabels(ctx, layout, content.data?.labels);
+  if (content.text) {
+    if (content.writingMode === 'vertical-rl') drawVerticalText(ctx, layout, content.text);
+    else drawText(ctx, layout, content.text);
+  }
+  ctx.restore();
+
+  if (layout.caption) drawCaption(ctx, layout, content);
+}
+
+export async function composePoster(source, options, content) {
+  await loadPosterFont();
+  const layout = posterLayout(source, options);
+  const canvas = document.createElement('canvas');
+  canvas.width = layout.width;
+  canvas.height = layout.height;
+  drawPoster(canvas.getContext('2d'), layout, content);
+  return canvas;
+}
+
+// 指定の形式にする。対応していない形式（Safari の WebP など）は toBlob が PNG で返すので、拡張子は実際の形式に合わせる
+export async function exportPoster(canvas, { format = 'png', quality = 0.92 } = {}) {
+  const { type, lossy } = POSTER_FORMATS[format] || POSTER_FORMATS.png;
+  const blob = await canvasToBlob(canvas, type, lossy ? quality : undefined);
+  const extension = blob.type.split('/')[1].replace('jpeg', 'jpg');
+  return { blob, extension };
+}
+
+// 元の画像の座標（0〜1）を出力の座標にする
+const toFrame = (layout, x, y) => ({
+  x: layout.frame.x + x * layout.source.width - layout.crop.x,
+  y: layout.frame.y + y * layout.source.height - layout.crop.y,
+});
+
+// Vision の Likelihood のうち表情タグとして出すもの（Annotations.jsx と同じ）
+const TAGGED_LIKELIHOODS = { POSSIBLE: '?', LIKELY: '', VERY_LIKELY: '!' };
+
+const emotionTags = (emotions = {}) => {
+  const tags = Object.entries(emotions)
+    .filter(([, likelihood]) => likelihood in TAGGED_LIKELIHOODS)
+    .map(([emotion, likelihood]) => `${emotion.toUpperCase()}${TAGGED_LIKELIHOODS[likelihood]}`);
+  return tags.length ? tags.join(' ') : 'NEUTRAL';
+};
+
+function drawFaces(ctx, layout, faces) {
+  if (!faces?.length) return;
+  // Annotations.jsx と同じく、元の画像の長辺の 1/100 を単位にする
+  const unit = Math.max(layout.source.width, layout.source.height) / 100;
+
+  ctx.strokeStyle = GREEN;
+  ctx.fillStyle = GREEN;
+  ctx.lineWidth = unit * 0.3;
+  ctx.font = `${unit * 2}px monospace`;
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+
+  for (const face of faces) {
+    if (!face.box) continue;
+    const { x, y } = toFrame(layout, face.box.x, face.box.y);
+    ctx.strokeRect(x, y, face.box.width * layout.source.width, face.box.height * layout.source.height);
+    ctx.fillText(emotionTags(face.emotions), x, y - unit * 0.8);
+
+    for (const landmark of face.landmarks || []) {
+      const point = toFrame(layout, landmark.x, landmark.y);
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, unit * 0.25, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// DOCUMENT モードの文字のブロックの枠と番号（Annotations.jsx と同じ。番号は枠のないブロックも数える）
+function drawBlocks(ctx, layout, blocks) {
+  if (!blocks?.some(block => block.box)) return;
+  const unit = Math.max(layout.source.width, layout.source.height) / 100;
+
+  ctx.strokeStyle = GREEN;
+  ctx.lineWidth = unit * 0.2;
+  ctx.font = `${unit * 1.6}px monospace`;
+  ctx.textBaseline = 'alphabetic';
+  ctx.textAlign = 'left';
+
+  blocks.forEach((block, i) => {
+    if (!block.box) return;
+    const { x, y } = toFrame(layout, block.box.x, block.box.y);
+    const width = block.box.width * layout.source.width;
+    const height = block.box.height * layout.source.height;
+    ctx.fillStyle = 'rgba(0, 255, 0, 0.12)';
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeRect(x, y, width, height);
+    ctx.fillStyle = GREEN;
+    ctx.fillText(String(i + 1), x, y - unit * 0.6);
+  });
+}
+
+// 確信度のバー。画面と同じく左右 24px・下から 104px（キャプションの帯があればその上）に並べる
+function drawLabels(ctx, layout, labels) {
+  if (!labels?.length) return;
+  const { unit, frame } = layout;
+  const rows = labels.slice(0, 5);
+  const rowHeight = 12 * unit;
+  const left = frame.x + 24 * unit;
+  const right = frame.x + frame.width - 24 * unit;
+  const bottom = (layout.caption?.overlay ? layout.caption.y : frame.y + frame.height) - 104 * unit;
+  const barLeft = left + 128 * unit;
+  const barRight = right - 44 * unit;
+
+  ctx.font = `${11 * unit}px monospace`;
+  ctx.textBaseline = 'middle';
+
+  rows.forEach((label, i) => {
+    const y = bottom - (rows.length - i) * rowHeight + rowHeight / 2;
+    const score = Math.round(label.score * 100);
+
+    ctx.fillStyle = GREEN;
+    ctx.textAlign = 'left';
+    ctx.fillText(fitText(ctx, label.description.toUpperCase(), 120 * unit), left, y);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${score}%`, right, y);
+
+    ctx.fillStyle = 'rgba(0, 255, 0, 0.2)';
+    ctx.fillRect(barLeft, y - 3 * unit, barRight - barLeft, 6 * unit);
+    ctx.fillStyle = GREEN;
+    ctx.fillRect(barLeft, y - 3 * unit, (barRight - barLeft) * label.score, 6 * unit);
+  });
+}
+
+// 幅に収まらなければ末尾を … にする
+function fitText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let end = text.length;
+  while (end > 0 && ctx.measureText(`${text.slice(0, end)}…`).width > maxWidth) end--;
+  return `${text.slice(0, end)}…`;
+}
+
+// 語の区切り。空白のない文字（かな・漢字・ハングル）は1文字ずつ折り返せるようにする
+const WRAP_TOKENS = /[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]|[^\s\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]+|\s+/g;
+
+function wrapLines(ctx, text, maxWidth) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const token of paragraph.match(WRAP_TOKENS) || []) {
+      const next = line + token;
+      if (line.trim() && ctx.measureText(next.trimEnd()).width > maxWidth) {
+        lines.push(line.trimEnd());
+        line = token.trimStart();
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line.trimEnd());
+  }
+  return lines;
+}
+
+// 写真の範囲（重ねた帯を除く）の中央。画面の ResultText と同じく余白 32px・行の高さ 0.9
+function textArea(layout) {
+  const { frame, unit } = layout;
+  const bottom = layout.caption?.overlay ? layout.caption.y : frame.y + frame.height;
+  const padding = 32 * unit;
+  return {
+    left: frame.x + padding,
+    right: frame.x + frame.width - padding,
+    top: frame.y + padding,
+    bottom: bottom - padding,
+  };
+}
+
+function drawText(ctx, layout, text) {
+  const size = 24 * layout.unit;
+  const area = textArea(layout);
+  const lineHeight = size * 0.9;
+
+  ctx.font = `400 ${size}px ${TEXT_FONT}`;
+  if ('letterSpacing' in ctx) ctx.letterSpacing = `${-0.01 * size}px`;
+  ctx.fillStyle = GREEN;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  const lines = wrapLines(ctx, text, area.right - area.left);
+  const centerX = (area.left + area.right) / 2;
+  const top = (area.top + area.bottom) / 2 - (lines.length * lineHeight) / 2;
+  lines.forEach((line, i) => ctx.fillText(line, centerX, top + (i + 0.5) * lineHeight));
+
+  if ('letterSpacing' in ctx) ctx.letterSpacing = '0px';
+}
+
+// 縦書きでは横向きの記号を90度回す。句読点は右上に寄せる
+const ROTATED = new Set(['ー', '―', '〜', '～', '…', '‥', '-', '—', '(', ')', '（', '）', '「', '」', '『', '』']);
+const PUNCTUATION = new Set(['、', '。', '，', '．']);
+
+// 1行を1列にして、最初の行を右端に置く（長すぎる列は次の列へ送る）
+function drawVerticalText(ctx, layout, text) {
+  const size = 24 * layout.unit;
+  const area = textArea(layout);
+  const advance = size * 1.1;
+  const columnWidth = size * 1.6;
+  const perColumn = Math.max(1, Math.floor((area.bottom - area.top) / advance));
+
+  const columns = text.split('\n').flatMap((line) => {
+    const chars = [...line];
+    if (!chars.length) return [[]];
+    const chunks = [];
+    for (let i = 0; i < chars.length; i += perColumn) chunks.push(chars.slice(i, i + perColumn));
+    return chunks;
+  });
+
+  ctx.font = `400 ${size}px ${VERTICAL_FONT}`;
+  ctx.fillStyle = GREEN;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  const longest = Math.max(...columns.map(column => column.length));
+  const centerX = (area.left + area.right) / 2;
+  const firstX = centerX + ((columns.length - 1) * columnWidth) / 2;
+  const top = (area.top + area.bottom) / 2 - (longest * advance) / 2;
+
+  columns.forEach((column, c) => {
+    const x = firstX - c * columnWidth;
+    column.forEach((char, i) => {
+      const y = top + (i + 0.5) * advance;
+      if (ROTATED.has(char)) {
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(Math.PI / 2);
+        ctx.fillText(char, 0, 0);
+        ctx.restore();
+      } else if (PUNCTUATION.has(char)) {
+        ctx.fillText(char, x + size * 0.5, y - size * 0.5);
+      } else {
+        ctx.fillText(char, x, y);
+      }
+    });
+  });
+}
+
+// 「HAIKU · 2026/10/19 14:03 · 35.6812°N 139.7671°E」と、右端にアプリの名前
+function drawCaption(ctx, layout, { modeName, createdAt, location }) {
+  const { caption, unit } = layout;
+  const parts = [
+    modeName?.toUpperCase(),
+    createdAt && new Date(createdAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }),
+    location && formatLocation(location),
+  ].filter(Boolean);
+
+  ctx.fillStyle = caption.overlay ? 'rgba(0, 0, 0, 0.6)' : 'black';
+  ctx.fillRect(caption.x, caption.y, caption.width, caption.height);
+
+  const padding = 16 * unit;
+  const y = caption.y + caption.height / 2;
+  ctx.font = `${11 * unit}px monospace`;
+  ctx.textBaseline = 'middle';
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+  ctx.textAlign = 'right';
+  ctx.fillText('CAMERA-DESCRIBE', caption.x + caption.width - padding, y);
+  const brandWidth = ctx.measureText('CAMERA-DESCRIBE').width;
+
+  ctx.fillStyle = GREEN;
+  ctx.textAlign = 'left';
+  ctx.fillText(fitText(ctx, parts.join(' · '), caption.width - padding * 3 - brandWidth), caption.x + padding, y);
+}
@@ -0,0 +1,184 @@
+import { AnalyzeError } from './analyze.js';
+import { authHeaders } from './auth.js';
+import { blobToCanvas, canvasToBlob, toAnalysisImage } from './image.js';
+
+// ---------------------------------------------------------
+// プライバシーモード
+//   顔とナンバープレートを見つけて、保存する画像・クリップではモザイクかぼかしで隠す。
+//   顔はブラウザの FaceDetector で探し、使えなければ Vision の顔検出（/api/regions）に頼る。
+//   ナンバープレートはブラウザでは探せないので、いつも /api/regions で探す。
+//   設定すれば、顔の要らないモードで解析に送る画像も隠してから送る。
+//   範囲はどれも画像に対する割合（0〜1）の { x, y, width, height }。
+// ---------------------------------------------------------
+const SETTINGS_KEY = 'camera-describe:privacy';
+
+export const REDACT_STYLES = {
+  pixelate: { name: 'PIXELATE' },
+  blur: { name: 'BLUR' },
+};
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+  enabled: false,
+  style: 'pixelate',
+  // ナンバープレートも隠す
+  plates: true,
+  // 解析に送る画像も隠す（顔の要らないモードだけ）
+  upload: false,
+};
+
+// 枠の外側にも少し広げて隠す（髪や輪郭が残らないように）
+const PADDING = 0.15;
+
+export function loadPrivacySettings() {
+  try {
+    return { ...DEFAULT_PRIVACY_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_PRIVACY_SETTINGS;
+  }
+}
+
+export function savePrivacySettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// 顔が写っていないと答えられないモード
+export const needsFaces = mode => mode?.id === 'celebrity' || mode?.feature === 'faces';
+
+// 写っている人が誰かを答えるモードは、プライバシーモードの間は確認してから使う
+export const needsConsent = mode => mode?.id === 'celebrity';
+
+export const faceDetectorSupported = () => typeof window !== 'undefined' && 'FaceDetector' in window;
+
+const base64ToBitmap = async (base64Image) => {
+  const bytes = Uint8Array.from(atob(base64Image), c => c.charCodeAt(0));
+  return createImageBitmap(new Blob([bytes], { type: 'image/jpeg' }));
+};
+
+// ブラウザで顔を探す（FaceDetector がない・失敗した時は null）
+async function detectFaces(base64Image) {
+  if (!faceDetectorSupported()) return null;
+  let bitmap = null;
+  try {
+    bitmap = await base64ToBitmap(base64Image);
+    const faces = await new window.FaceDetector({ fastMode: false, maxDetectedFaces: 20 }).detect(bitmap);
+    return faces.map(({ boundingBox }) => ({
+      x: boundingBox.x / bitmap.width,
+      y: boundingBox.y / bitmap.height,
+      width: boundingBox.width / bitmap.width,
+      height: boundingBox.height / bitmap.height,
+    }));
+  } catch (e) {
+    console.warn('FaceDetector failed:', e);
+    return null;
+  } finally {
+    bitmap?.close();
+  }
+}
+
+async function fetchRegions(base64Image, regions) {
+  const response = await fetch('/api/regions', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ base64Image, regions }),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Server error');
+  return data;
+}
+
+/**
+ * 解析用の画像（base64 の JPEG）から隠す範囲を探す。
+ * 顔の場所がわからなかった時は、何も隠さずに出してしまわないよう失敗にする。
+ * ナンバープレートが探せなかった時は顔だけ隠す。
+ */
+export async function findPrivateRegions(base64Image, settings) {
+  const faces = await detectFaces(base64Image);
+  const regions = [...(faces ? [] : ['faces']), ...(settings.plates ? ['plates'] : [])];
+  if (!regions.length) return faces;
+
+  let found = {};
+  try {
+    found = await fetchRegions(base64Image, regions);
+  } catch (e) {
+    if (!faces) throw new AnalyzeError(e.message, 'redaction_failed');
+    console.warn('License plates could not be located:', e);
+  }
+  return [...(faces || found.faces || []), ...(found.plates || [])];
+}
+
+// 範囲を画素の矩形にする（PADDING だけ広げて、画像の中に収める）
+function toRect({ x, y, width, height }, canvasWidth, canvasHeight) {
+  const left = Math.max(0, (x - width * PADDING) * canvasWidth);
+  const top = Math.max(0, (y - height * PADDING) * canvasHeight);
+  const right = Math.min(canvasWidth, (x + width * (1 + PADDING)) * canvasWidth);
+  const bottom = Math.min(canvasHeight, (y + height * (1 + PADDING)) * canvasHeight);
+  return { x: Math.round(left), y: Math.round(top), w: Math.round(right - left), h: Math.round(bottom - top) };
+}
+
+// 縮めてから拡大し直してモザイクにする（1辺8ブロックくらい）
+function pixelate(ctx, source, rect) {
+  const blocks = Math.max(1, Math.round(Math.min(rect.w, rect.h) / 8));
+  const cols = Math.max(1, Math.round(rect.w / blocks));
+  const rows = Math.max(1, Math.round(rect.h / blocks));
+  const small = document.createElement('canvas');
+  small.width = cols;
+  small.height = rows;
+  small.getContext('2d').drawImage(source, rect.x, rect.y, rect.w, rect.h, 0, 0, cols, rows);
+
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(small, 0, 0, cols, rows, rect.x, rect.y, rect.w, rect.h);
+  ctx.imageSmoothingEnabled = true;
+}
+
+function blur(ctx, source, rect) {
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(rect.x, rect.y, rect.w, rect.h);
+  ctx.clip();
+  ctx.filter = `blur(${Math.max(4, Math.round(Math.min(rect.w, rect.h) / 6))}px)`;
+  ctx.drawImage(source, 0, 0);
+  ctx.restore();
+}
+
+// 範囲を隠した画像の canvas を返す（source はそのまま）
+// ctx.filter のないブラウザ（古い Safari）ではぼかしの代わりにモザイクにする
+export function redactRegions(source, regions, style = DEFAULT_PRIVACY_SETTINGS.style) {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0);
+
+  const canBlur = style === 'blur' && 'filter' in ctx;
+  for (const region of regions) {
+    const rect = toRect(region, canvas.width, canvas.height);
+    if (rect.w < 1 || rect.h < 1) continue;
+    if (canBlur) blur(ctx, source, rect);
+    else pixelate(ctx, source, rect);
+  }
+  return canvas;
+}
+
+// 解析に送る画像。設定していれば、顔の要らないモードだけ隠してから送る
+// locate は隠す範囲の探し方（見つけた範囲を使い回す時に渡す）
+export async function hideForUpload(base64Image, modes, settings, locate = () => findPrivateRegions(base64Image, settings)) {
+  if (!settings.enabled || !settings.upload || modes.some(needsFaces)) return base64Image;
+  return redactAnalysisImage(base64Image, await locate(), settings.style);
+}
+
+// base64 の解析用画像の範囲を隠して、同じ形式で返す
+export async function redactAnalysisImage(base64Image, regions, style) {
+  if (!regions.length) return base64Image;
+  const bitmap = await base64ToBitmap(base64Image);
+  const canvas = redactRegions(bitmap, regions, style);
+  bitmap.close();
+  return toAnalysisImage(canvas);
+}
+
+// 履歴の画像（Blob）の範囲を隠して JPEG の Blob で返す（ギャラリーの共有と zip の書き出し用）。
+// 範囲は保存する時と同じく解析用の大きさの画像で探す（割合なので元の解像度にそのまま使える）
+export async function redactBlob(blob, settings) {
+  const canvas = await blobToCanvas(blob);
+  const regions = await findPrivateRegions(toAnalysisImage(canvas), settings);
+  return regions.length ? canvasToBlob(redactRegions(canvas, regions, settings.style)) : blob;
+}
@@ -0,0 +1,35 @@
+// ---------------------------------------------------------
+// PWA（ホーム画面に追加して、オフラインでも開ける）
+//   Service Worker（public/sw.js）の登録と、outbox の結果が届いた時の通知・アイコンのバッジ。
+//   開発中（vite）はキャッシュが邪魔になるので登録しない。
+// ---------------------------------------------------------
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(e => console.warn('Service worker registration failed:', e));
+  });
+}
+
+const notificationsSupported = () => 'Notification' in window;
+
+// 結果が届いた時に知らせてよいか聞く（まだ聞いていなければ）
+export function requestNotifications() {
+  if (!notificationsSupported() || Notification.permission !== 'default') return;
+  Notification.requestPermission().catch(() => {});
+}
+
+// 画面を見ていない時だけ通知する（見ている時は画面の中で知らせる）
+// Android の Chrome は new Notification を使えないので、Service Worker があればそちらから出す
+export async function notify(title, body) {
+  if (!document.hidden || !notificationsSupported() || Notification.permission !== 'granted') return;
+  const options = { body, icon: '/icon-192.png', tag: 'outbox' };
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) await registration.showNotification(title, options);
+  else new Notification(title, options);
+}
+
+// ホーム画面のアイコンに待っている件数を出す（対応していなければ何もしない）
+export function setAppBadge(count) {
+  if (!('setAppBadge' in navigator)) return;
+  (count ? navigator.setAppBadge(count) : navigator.clearAppBadge()).catch(() => {});
+}
@@ -0,0 +1,23 @@
+// Web Share APIが使えれば共有シート（iOS Safari対応）、使えなければダウンロードリンク
+export async function shareOrDownload(blob, filename) {
+  const file = new File([blob], filename, { type: blob.type });
+
+  if (navigator.share && navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({
+        files: [file],
+      });
+    } catch {
+      console.log('Share cancelled');
+    }
+    return;
+  }
+
+  // フォールバック：ダウンロードリンク
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
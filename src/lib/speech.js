@@ -0,0 +1,108 @@
+import { authHeaders } from './auth.js';
+
+// ---------------------------------------------------------
+// 結果の読み上げ
+//   画面ではブラウザの Web Speech API で読み上げ、読んでいる語の終わりまでタイプライターを進める。
+//   モードごとの声・速さ・高さは、モードの定義（speech）の既定にユーザーの設定を重ねて決める。
+//   クリップに入れるナレーションは録音できる音声が要るので、サーバー（/api/speech）で作る。
+// ---------------------------------------------------------
+const SETTINGS_KEY = 'camera-describe:speech';
+
+export const DEFAULT_VOICE = { voice: null, rate: 1, pitch: 1 };
+
+export const DEFAULT_SPEECH_SETTINGS = {
+  // 読み上げは選んだ時だけ
+  muted: true,
+  // モードの id ごとの { voice（voiceURI）, rate, pitch }
+  modes: {},
+};
+
+export const speechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+export function loadSpeechSettings() {
+  try {
+    return { ...DEFAULT_SPEECH_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return DEFAULT_SPEECH_SETTINGS;
+  }
+}
+
+export function saveSpeechSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function modeVoice(mode, settings) {
+  return { ...DEFAULT_VOICE, ...mode?.speech, ...settings.modes[mode?.id] };
+}
+
+// 結果の言語で話せる声。一覧は非同期に読み込まれるので voiceschanged で取り直す
+export function listVoices(lang) {
+  if (!speechSupported()) return [];
+  return speechSynthesis.getVoices().filter(voice => voice.lang.toLowerCase().split(/[-_]/)[0] === lang);
+}
+
+export function watchVoices(callback) {
+  if (!speechSupported()) return () => {};
+  speechSynthesis.addEventListener('voiceschanged', callback);
+  return () => speechSynthesis.removeEventListener('voiceschanged', callback);
+}
+
+/**
+ * text を読み上げる。止める関数を返す。
+ *   onBoundary(end) - 読み始めた語の終わりの位置（text の何文字目まで読んだか）
+ *   onEnd()         - 読み終わった・止められた・失敗した
+ */
+export function speak(text, { lang, voice, rate = 1, pitch = 1, onBoundary, onEnd } = {}) {
+  if (!speechSupported() || !text) {
+    onEnd?.();
+    return () => {};
+  }
+
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  utterance.rate = rate;
+  utterance.pitch = pitch;
+  const chosen = voice && speechSynthesis.getVoices().find(v => v.voiceURI === voice);
+  if (chosen) utterance.voice = chosen;
+
+  let ended = false;
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    onEnd?.();
+  };
+  utterance.onboundary = (e) => {
+    if (e.name && e.name !== 'word') return;
+    // charLength がない実装では次の空白までを1語とみなす
+    const length = e.charLength || text.slice(e.charIndex).search(/\s|$/);
+    onBoundary?.(e.charIndex + length);
+  };
+  utterance.onend = end;
+  utterance.onerror = end;
+
+  // 前の読み上げが残っていたら止めてから読む
+  speechSynthesis.cancel();
+  speechSynthesis.speak(utterance);
+
+  return () => {
+    utterance.onboundary = null;
+    utterance.onend = null;
+    utterance.onerror = null;
+    speechSynthesis.cancel();
+  };
+}
+
+// クリップ用のナレーション（/api/speech）。デコードした AudioBuffer を返す
+export async function fetchNarration({ text, lang, rate, pitch }) {
+  const response = await fetch('/api/speech', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders() },
+    body: JSON.stringify({ text, lang, rate, pitch }),
+  });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Server error');
+
+  const bytes = Uint8Array.from(atob(data.audio), c => c.charCodeAt(0));
+  // デコードするだけなので再生しない OfflineAudioContext を使う
+  return new OfflineAudioContext(1, 1, 44100).decodeAudioData(bytes.buffer);
+}
@@ -0,0 +1,69 @@
+// ---------------------------------------------------------
+// 呼び出し元の確認（api/_lib/access.js）
+//   署名付きトークンの期限切れ・改ざんと、X-Forwarded-For のどの値を IP として使うか。
+// ---------------------------------------------------------
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { authenticate, clientIp, signToken, verifyToken } from '../api/_lib/access.js';
+
+const SECRET = 'test-secret';
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+// トークンの1つの部分だけを差し替える
+const replacePart = (token, index, value) => token.split('.').map((part, i) => (i === index ? value : part)).join('.');
+
+test('accepts a token that has not expired', () => {
+  const token = signToken('phone-1', NOW + HOUR, SECRET);
+  assert.equal(verifyToken(token, SECRET, NOW), 'phone-1');
+});
+
+test('rejects an expired token', () => {
+  const token = signToken('phone-1', NOW - 1, SECRET);
+  assert.equal(verifyToken(token, SECRET, NOW), null);
+  assert.equal(verifyToken(signToken('phone-1', NOW, SECRET), SECRET, NOW), null);
+});
+
+test('rejects tampered tokens', () => {
+  const token = signToken('phone-1', NOW + HOUR, SECRET);
+  const [, , signature] = token.split('.');
+
+  // 別のクライアントになりすます・期限を延ばす・署名を書き換える・別の鍵で署名する
+  assert.equal(verifyToken(replacePart(token, 0, 'phone-2'), SECRET, NOW), null);
+  assert.equal(verifyToken(replacePart(token, 1, (NOW + 1000 * HOUR).toString(36)), SECRET, NOW), null);
+  assert.equal(verifyToken(replacePart(token, 2, `${signature.slice(0, -1)}A`), SECRET, NOW), null);
+  assert.equal(verifyToken(signToken('phone-1', NOW + HOUR, 'other-secret'), SECRET, NOW), null);
+  assert.equal(verifyToken(`${token}.extra`, SECRET, NOW), null);
+  assert.equal(verifyToken('', SECRET, NOW), null);
+});
+
+test('authenticate answers unauthorized for an expired token', () => {
+  const env = { ACCESS_TOKEN_SECRET: SECRET };
+  const request = token => ({ headers: { authorization: `Bearer ${token}` }, socket: { remoteAddress: '10.0.0.1' } });
+
+  const valid = signToken('phone-1', Date.now() + HOUR, SECRET);
+  assert.deepEqual(authenticate(request(valid), env), { clientId: 'phone-1', ip: '10.0.0.1' });
+
+  const expired = signToken('phone-1', Date.now() - HOUR, SECRET);
+  assert.throws(() => authenticate(request(expired), env), { code: 'unauthorized' });
+  assert.throws(() => authenticate({ headers: {} }, env), { code: 'unauthorized' });
+});
+
+test('takes the client IP from the trusted end of X-Forwarded-For', () => {
+  // 左の 6.6.6.6 は呼び出し元が書いた偽の値。右から TRUSTED_PROXIES 番目が信頼できるプロキシの見た接続元
+  const req = {
+    headers: { 'x-forwarded-for': '6.6.6.6, 203.0.113.7, 10.0.0.2' },
+    socket: { remoteAddress: '10.0.0.1' },
+  };
+
+  assert.equal(clientIp(req, {}), '10.0.0.2');
+  assert.equal(clientIp(req, { TRUSTED_PROXIES: '1' }), '10.0.0.2');
+  assert.equal(clientIp(req, { TRUSTED_PROXIES: '2' }), '203.0.113.7');
+  assert.equal(clientIp(req, { TRUSTED_PROXIES: '0' }), '10.0.0.1');
+});
+
+test('falls back to the socket address when there are fewer hops than trusted proxies', () => {
+  const req = { headers: { 'x-forwarded-for': '203.0.113.7' }, socket: { remoteAddress: '10.0.0.1' } };
+  assert.equal(clientIp(req, { TRUSTED_PROXIES: '2' }), '10.0.0.1');
+  assert.equal(clientIp({ headers: {}, socket: { remoteAddress: '10.0.0.1' } }, {}), '10.0.0.1');
+});
@@ -0,0 +1,125 @@
+// ---------------------------------------------------------
+// /api を端から端まで通すテスト
+//   ローカルサーバー（scripts/serve-api.js）を --replay で起動するので、キーもネットワークも要らない。
+//   フィクスチャのない画像には、画像から決まる作り物の答えが返る。
+// ---------------------------------------------------------
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+
+const root = new URL('..', import.meta.url);
+
+let server;
+let baseUrl;
+let fixturesDir;
+let base64Image;
+
+// 待ち受けを始めたと表示した URL を返す
+const listening = child => new Promise((resolve, reject) => {
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+    const match = output.match(/listening on (http:\/\/\S+)/);
+    if (match) resolve(match[1]);
+  });
+  child.once('error', reject);
+  child.once('exit', code => reject(new Error(`API server exited with ${code}`)));
+});
+
+before(async () => {
+  base64Image = (await readFile(new URL('fixtures/photo.jpg', import.meta.url))).toString('base64');
+  // 記録済みのフィクスチャに左右されないように、空のディレクトリで再生する
+  fixturesDir = await mkdtemp(join(tmpdir(), 'camera-describe-fixtures-'));
+  server = spawn(process.execPath, ['scripts/serve-api.js', '--replay'], {
+    cwd: root,
+    env: {
+      ...process.env,
+      PORT: '0',
+      FIXTURES_DIR: fixturesDir,
+      CACHE_STORE: 'off',
+      ACCESS_SECRET: '',
+      ACCESS_TOKEN_SECRET: '',
+    },
+    stdio: ['ignore', 'pipe', 'ignore'],
+  });
+  baseUrl = await listening(server);
+});
+
+after(async () => {
+  server?.kill();
+  await rm(fixturesDir, { recursive: true, force: true });
+});
+
+const post = (path, body) => fetch(`${baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('streams a Gemini description as NDJSON', async () => {
+  const response = await post('/api/analyze', { base64Image, mode: 'gemini', stream: true });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /application\/x-ndjson/);
+
+  const messages = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+  const chunks = messages.filter(m => m.chunk !== undefined).map(m => m.chunk);
+  const last = messages.at(-1);
+  assert.ok(chunks.length > 0);
+  assert.equal(last.result, chunks.join(''));
+  assert.equal(last.meta.provider, 'replay');
+});
+
+test('returns Vision labels as a JSON body', async () => {
+  const response = await post('/api/analyze', { base64Image, mode: 'labels' });
+  assert.equal(response.status, 200);
+
+  const body = await response.json();
+  assert.equal(typeof body.result, 'string');
+  assert.ok(body.data.labels.length > 0);
+  for (const label of body.data.labels) {
+    assert.equal(typeof label.description, 'string');
+    assert.equal(typeof label.score, 'number');
+  }
+});
+
+test('gives the same answer for the same image', async () => {
+  const [first, second] = await Promise.all([
+    post('/api/analyze', { base64Image, mode: 'gemini' }).then(r => r.json()),
+    post('/api/analyze', { base64Image, mode: 'gemini' }).then(r => r.json()),
+  ]);
+  assert.equal(first.result, second.result);
+});
+
+test('has a detailed variant for every Gemini mode', async () => {
+  const { modes } = await fetch(`${baseUrl}/api/modes`).then(r => r.json());
+  const geminiModes = modes.filter(m => m.backend === 'gemini');
+  assert.ok(geminiModes.length > 0);
+  for (const mode of geminiModes) {
+    assert.ok(mode.variants.includes('detailed'), `${mode.id} has no detailed variant`);
+    const response = await post('/api/analyze', { base64Image, mode: mode.id, variant: 'detailed' });
+    assert.equal(response.status, 200);
+    assert.equal(typeof (await response.json()).result, 'string');
+  }
+});
+
+test('finds private regions', async () => {
+  const response = await post('/api/regions', { base64Image });
+  assert.equal(response.status, 200);
+
+  const body = await response.json();
+  assert.ok(Array.isArray(body.faces));
+  assert.ok(Array.isArray(body.plates));
+  for (const box of body.faces) {
+    assert.deepEqual(Object.keys(box).sort(), ['height', 'width', 'x', 'y']);
+  }
+  assert.equal(body.meta.provider, 'replay');
+});
+
+test('rejects an unknown mode with a coded error', async () => {
+  const response = await post('/api/analyze', { base64Image, mode: 'no-such-mode' });
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).code, 'invalid_request');
+});
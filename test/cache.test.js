@@ -0,0 +1,65 @@
+// ---------------------------------------------------------
+// 解析結果のキャッシュ（api/_lib/cache.js）
+//   知覚ハッシュが数ビットだけ違う画像（センサーのノイズ）でも前の結果を使い、
+//   違う場面の画像には使わないことを確かめる。
+//   dHash の 9x8 と同じ大きさのグレースケール PNG を作るので、ハッシュのビットを直接決められる。
+// ---------------------------------------------------------
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { createResultCache } from '../api/_lib/cache.js';
+import { hashDistance, imageHash } from '../api/_lib/image.js';
+
+const sharp = await import('sharp').then(m => m.default).catch(() => null);
+const skip = sharp ? false : 'sharp is not installed';
+
+const modeConfig = { id: 'gemini', backend: 'gemini', prompt: 'Describe this image.', wordLimit: 10, casing: 'upper' };
+const outcome = { result: 'A QUIET ROOM', meta: { provider: 'test', model: 'model-a' } };
+
+// 明るさがばらばらの 9x8。flip の行は左端の画素を変えて、その行の最初のビットだけを反転させる
+async function makeImage({ flip = [], invert = false } = {}) {
+  const pixels = Buffer.alloc(9 * 8);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = 40 + ((i * 97) % 180);
+  for (const y of flip) pixels[y * 9] = pixels[y * 9] > pixels[y * 9 + 1] ? 0 : 255;
+  if (invert) for (let i = 0; i < pixels.length; i++) pixels[i] = 255 - pixels[i];
+  const png = await sharp(pixels, { raw: { width: 9, height: 8, channels: 1 } }).png().toBuffer();
+  return png.toString('base64');
+}
+
+const cacheFor = (image, providerName, env = {}) => createResultCache({ providerName, image }, { CACHE_STORE: 'memory', ...env });
+
+test('measures the Hamming distance between perceptual hashes', () => {
+  assert.equal(hashDistance('dhash:0000000000000000', 'dhash:0000000000000000'), 0);
+  assert.equal(hashDistance('dhash:0000000000000000', 'dhash:8000000000000003'), 3);
+  assert.equal(hashDistance('dhash:0000000000000000', 'dhash:ffffffffffffffff'), 64);
+  assert.equal(hashDistance('sha256:abc', 'dhash:0000000000000000'), null);
+});
+
+test('reuses the result of a near-duplicate frame', { skip }, async () => {
+  const original = await makeImage();
+  const noisy = await makeImage({ flip: [0, 3] });
+  assert.equal(hashDistance(await imageHash(original), await imageHash(noisy)), 2);
+
+  await (await cacheFor(original, 'near')).set(modeConfig, outcome);
+  const hit = await (await cacheFor(noisy, 'near')).get(modeConfig);
+
+  assert.equal(hit.result, outcome.result);
+  assert.equal(hit.meta.cached, true);
+  assert.equal(hit.meta.hashDistance, 2);
+});
+
+test('does not reuse the result of a different scene', { skip }, async () => {
+  await (await cacheFor(await makeImage(), 'far')).set(modeConfig, outcome);
+  assert.equal(await (await cacheFor(await makeImage({ invert: true }), 'far')).get(modeConfig), null);
+  assert.equal(await (await cacheFor(await makeImage({ flip: [0, 1, 2, 3, 4] }), 'far')).get(modeConfig), null);
+});
+
+test('matches only identical hashes with CACHE_HASH_DISTANCE=0', { skip }, async () => {
+  const env = { CACHE_HASH_DISTANCE: '0' };
+  const original = await makeImage();
+  await (await cacheFor(original, 'exact', env)).set(modeConfig, outcome);
+
+  assert.equal(await (await cacheFor(await makeImage({ flip: [0] }), 'exact', env)).get(modeConfig), null);
+  const hit = await (await cacheFor(original, 'exact', env)).get(modeConfig);
+  assert.equal(hit.result, outcome.result);
+  assert.equal(hit.meta.hashDistance, undefined);
+});
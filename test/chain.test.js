@@ -0,0 +1,64 @@
+// ---------------------------------------------------------
+// モデルのフォールバックチェーン（api/_lib/chain.js）
+//   ストリーミングが途中で止まった時に、待ち続けずに中断して upstream_down を投げることを確かめる。
+// ---------------------------------------------------------
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { runStreamChain } from '../api/_lib/chain.js';
+
+const config = { attemptTimeoutMs: 50, deadlineMs: 1000, retries: 0, backoffMs: 0 };
+
+// 中断されるまで返らない
+const stall = signal => new Promise((_, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+const collect = async (chunks) => {
+  const received = [];
+  try {
+    for await (const chunk of chunks) received.push(chunk);
+    return { received };
+  } catch (error) {
+    return { received, error };
+  }
+};
+
+test('aborts a stream that stalls after the first chunk', async () => {
+  let openSignal;
+  const { received, error } = await collect(runStreamChain(['model-a'], async function* (model, signal) {
+    openSignal = signal;
+    yield 'FIRST';
+    await stall(signal);
+    yield 'NEVER';
+  }, config));
+
+  assert.deepEqual(received, ['FIRST']);
+  assert.equal(error.code, 'upstream_down');
+  assert.equal(openSignal.aborted, true);
+});
+
+test('stops a slow stream at the overall deadline', async () => {
+  const startedAt = Date.now();
+  const { received, error } = await collect(runStreamChain(['model-a'], async function* () {
+    for (;;) {
+      yield 'CHUNK';
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }, { ...config, deadlineMs: 200 }));
+
+  assert.ok(received.length > 1);
+  assert.equal(error.code, 'upstream_down');
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('finishes a stream that keeps sending chunks', async () => {
+  const chunks = runStreamChain(['model-a'], async function* () {
+    yield 'A';
+    await new Promise(resolve => setTimeout(resolve, 20));
+    yield 'B';
+  }, config);
+
+  const { received, error } = await collect(chunks);
+  assert.equal(error, undefined);
+  assert.deepEqual(received, ['A', 'B']);
+});
@@ -0,0 +1,70 @@
+// ---------------------------------------------------------
+// 撮影履歴の zip の書き出し（src/lib/history.js の historyZip）
+//   プライバシーモードの書き出しに、隠す前の画像が1画素も入らないことを確かめる。
+//   隠す処理そのもの（canvas）はブラウザでしか動かないので、印を付けた Blob に置き換える。
+// ---------------------------------------------------------
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { test } from 'node:test';
+import { strFromU8, unzipSync } from 'fflate';
+import { historyZip } from '../src/lib/history.js';
+
+const jpeg = bytes => new Blob([bytes], { type: 'image/jpeg' });
+
+const makeCapture = (id) => {
+  const raw = randomBytes(256);
+  const filtered = randomBytes(256);
+  return {
+    capture: {
+      id,
+      createdAt: 1,
+      lastUsedAt: 1,
+      raw: jpeg(raw),
+      filtered: jpeg(filtered),
+      width: 4,
+      height: 3,
+      bytes: 512,
+      location: null,
+      results: [],
+      thread: [],
+    },
+    pixels: [raw, filtered],
+  };
+};
+
+// bytes の中に part がそのまま入っているか
+const contains = (bytes, part) => Buffer.from(bytes).indexOf(Buffer.from(part)) !== -1;
+
+const unzip = async blob => unzipSync(new Uint8Array(await blob.arrayBuffer()));
+
+test('a privacy export holds only redacted images', async () => {
+  const entries = [makeCapture('a'), makeCapture('b')];
+  const redacted = [];
+  const redact = async (blob) => {
+    const bytes = new TextEncoder().encode(`redacted ${redacted.length}`);
+    redacted.push(blob);
+    return jpeg(bytes);
+  };
+
+  const zip = await historyZip(entries.map(e => e.capture), { redact });
+  const bytes = new Uint8Array(await zip.arrayBuffer());
+  for (const { pixels } of entries) {
+    for (const original of pixels) assert.ok(!contains(bytes, original), 'an unredacted image is in the zip');
+  }
+
+  const files = await unzip(zip);
+  assert.deepEqual(Object.keys(files).sort(), ['captures/a/filtered.jpg', 'captures/b/filtered.jpg', 'manifest.json']);
+  assert.equal(strFromU8(files['captures/a/filtered.jpg']), 'redacted 0');
+  assert.equal(strFromU8(files['captures/b/filtered.jpg']), 'redacted 1');
+  assert.deepEqual(redacted, entries.map(e => e.capture.filtered));
+  assert.equal(JSON.parse(strFromU8(files['manifest.json'])).redacted, true);
+});
+
+test('a normal export keeps the original and filtered images', async () => {
+  const { capture, pixels: [raw, filtered] } = makeCapture('a');
+  const files = await unzip(await historyZip([capture]));
+
+  assert.deepEqual(files['captures/a/raw.jpg'], new Uint8Array(raw));
+  assert.deepEqual(files['captures/a/filtered.jpg'], new Uint8Array(filtered));
+  assert.equal(JSON.parse(strFromU8(files['manifest.json'])).redacted, undefined);
+});
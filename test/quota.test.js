@@ -0,0 +1,110 @@
+// ---------------------------------------------------------
+// クライアントごとの利用回数（api/_lib/quota.js）
+//   上限を超えたら 429 quota_exceeded と Retry-After を返すこと、
+//   /api/analyze が確認を通ったリクエストだけを数えることを確かめる。
+// ---------------------------------------------------------
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, before, test } from 'node:test';
+import { enforceQuota } from '../api/_lib/quota.js';
+
+// setHeader だけの res
+const fakeResponse = () => {
+  const headers = {};
+  return { headers, setHeader: (name, value) => { headers[name.toLowerCase()] = value; } };
+};
+
+test('throws quota_exceeded with Retry-After past the per-minute limit', async () => {
+  const env = { RATE_LIMIT_PER_MINUTE: '2', DAILY_QUOTA: '0' };
+  const caller = { clientId: null, ip: '198.51.100.1' };
+
+  await enforceQuota(fakeResponse(), caller, {}, env);
+  const res = fakeResponse();
+  await enforceQuota(res, caller, {}, env);
+  assert.equal(res.headers['x-ratelimit-remaining'], '0');
+
+  const error = await enforceQuota(fakeResponse(), caller, {}, env).catch(e => e);
+  assert.equal(error.code, 'quota_exceeded');
+  assert.equal(error.status, 429);
+  assert.ok(error.retryAfter >= 1 && error.retryAfter <= 60);
+
+  // 別のクライアントは別に数える
+  await enforceQuota(fakeResponse(), { clientId: 'phone-1', ip: '198.51.100.1' }, {}, env);
+});
+
+test('charges a batch once per mode', async () => {
+  const env = { RATE_LIMIT_PER_MINUTE: '0', DAILY_QUOTA: '5' };
+  const caller = { clientId: null, ip: '198.51.100.2' };
+
+  const res = fakeResponse();
+  await enforceQuota(res, caller, { cost: 4 }, env);
+  assert.equal(res.headers['x-quota-remaining'], '1');
+  await assert.rejects(enforceQuota(fakeResponse(), caller, { cost: 2 }, env), { code: 'quota_exceeded' });
+});
+
+// ---------------------------------------------------------
+// /api/analyze を通して（保存した答えで動かすので、キーもネットワークも要らない）
+// ---------------------------------------------------------
+let server;
+let baseUrl;
+let fixturesDir;
+let base64Image;
+
+before(async () => {
+  base64Image = (await readFile(new URL('fixtures/photo.jpg', import.meta.url))).toString('base64');
+  fixturesDir = await mkdtemp(join(tmpdir(), 'camera-describe-fixtures-'));
+  Object.assign(process.env, {
+    GOOGLE_FIXTURES: 'replay',
+    FIXTURES_DIR: fixturesDir,
+    CACHE_STORE: 'off',
+    ACCESS_SECRET: '',
+    ACCESS_TOKEN_SECRET: '',
+    RATE_LIMIT_PER_MINUTE: '2',
+    DAILY_QUOTA: '0',
+  });
+  const { createApiServer } = await import('../scripts/serve-api.js');
+  server = createApiServer().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(fixturesDir, { recursive: true, force: true });
+});
+
+const post = body => fetch(`${baseUrl}/api/analyze`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body),
+});
+
+test('only charges /api/analyze requests that pass validation', async () => {
+  // どれも確認で落ちるので数えない
+  const rejected = [
+    await post({ mode: 'gemini' }),
+    await post({ base64Image, mode: 'no-such-mode' }),
+    await post({ base64Image: Buffer.from('not an image').toString('base64'), mode: 'gemini' }),
+  ];
+  for (const response of rejected) {
+    assert.equal(response.status >= 400 && response.status < 429, true);
+    assert.equal(response.headers.get('x-ratelimit-remaining'), null);
+    await response.body?.cancel();
+  }
+
+  const first = await post({ base64Image, mode: 'gemini' });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+  await first.body?.cancel();
+
+  const second = await post({ base64Image, mode: 'labels' });
+  assert.equal(second.status, 200);
+  await second.body?.cancel();
+
+  const over = await post({ base64Image, mode: 'gemini' });
+  assert.equal(over.status, 429);
+  assert.ok(Number(over.headers.get('retry-after')) >= 1);
+  assert.equal((await over.json()).code, 'quota_exceeded');
+});
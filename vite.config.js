@@ -1,7 +1,14 @@
+import process from 'node:process'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // /api は npm run api のローカルサーバーへ（API_URL で変えられる）
+    proxy: {
+      '/api': process.env.API_URL || 'http://localhost:3001',
+    },
+  },
 })